@@ -1,11 +1,51 @@
 // Main Application Entry Point
 import { TabManager } from './modules/TabManager.js';
 import { HandicapCalculator } from './modules/HandicapCalculator.js';
+import { Scorecard } from './modules/Scorecard.js';
+import { CoursePicker } from './modules/CoursePicker.js';
+import { PlayingHandicapCalculator } from './modules/PlayingHandicapCalculator.js';
+import { DataImportPanel } from './modules/DataImportPanel.js';
+import { ProfileSwitcher } from './modules/ProfileSwitcher.js';
+import { CsvImportPanel } from './modules/CsvImportPanel.js';
 import { ClaudeAPI } from './modules/ClaudeAPI.js';
+import { SyncService } from './modules/SyncService.js';
+import { BackupBrowser } from './modules/BackupBrowser.js';
+import { EncryptionPanel } from './modules/EncryptionPanel.js';
+import { UsagePanel } from './modules/UsagePanel.js';
+import { UnlockDialog } from './modules/UnlockDialog.js';
+import { PassphraseDialog } from './modules/PassphraseDialog.js';
+import { PracticePlanList } from './modules/PracticePlanList.js';
+import { ThreadList } from './modules/ThreadList.js';
+import { PromptTemplateEditor } from './modules/PromptTemplateEditor.js';
 import { StorageManager } from './utils/storage.js';
+import { CourseLibrary } from './utils/courses.js';
+import { ProfileManager } from './utils/profiles.js';
+import { BackupManager } from './utils/backups.js';
+import { PracticePlans } from './utils/plans.js';
+import { ThreadManager } from './utils/threads.js';
+import { PromptTemplates } from './utils/templates.js';
+import { Vault } from './utils/vault.js';
+import { CryptoUtils } from './utils/crypto.js';
+import { DataImporter } from './utils/importer.js';
+import { CsvUtils } from './utils/csv.js';
 import { GolfHelpers } from './utils/helpers.js';
+import { HandicapEngine } from './utils/handicap.js';
 import { UIUtils } from './utils/ui.js';
-import { APP_CONFIG, DEFAULT_SETTINGS } from './utils/constants.js';
+import { html, HtmlUtils } from './utils/html.js';
+import { Markdown } from './utils/markdown.js';
+import { CoachingError } from './utils/requests.js';
+import { UsageTracker } from './utils/usage.js';
+import {
+    APP_CONFIG,
+    DEFAULT_SETTINGS,
+    VALIDATION_RULES,
+    CSV_COLUMNS,
+    SYNC_CONFIG,
+    BACKUP_CONFIG,
+    ENCRYPTION_CONFIG,
+    LLM_CONFIG,
+    COACHING_CONFIG
+} from './utils/constants.js';
 
 /**
  * Main Golf Tracker Application
@@ -15,8 +55,16 @@ class GolfTrackerApp {
         this.sessions = [];
         this.rounds = [];
         this.settings = {};
+        this.threads = [];
+        this.activeThreadId = null;
+        this.coachingRequest = null;
+        this.profile = null;
         this.components = {};
+        this.editing = { session: null, round: null };
         this.claudeAPI = new ClaudeAPI();
+        this.syncing = false;
+        this.syncPending = false;
+        this.scheduleSync = GolfHelpers.debounce(() => this.syncNow(true), SYNC_CONFIG.AUTO_SYNC_DELAY_MS);
 
         this.init();
     }
@@ -26,12 +74,16 @@ class GolfTrackerApp {
      */
     async init() {
         try {
-            this.loadData();
+            await this.loadData();
             this.initializeComponents();
             this.bindGlobalEvents();
             this.initializeInteractiveFeatures();
             this.updateUI();
 
+            this.migration.notices.forEach(notice => UIUtils.showNotification(notice, 'info'));
+            await this.runDailyBackup();
+            this.syncNow(true);
+
             console.log(`${APP_CONFIG.NAME} v${APP_CONFIG.VERSION} initialized successfully`);
         } catch (error) {
             console.error('Failed to initialize application:', error);
@@ -42,16 +94,74 @@ class GolfTrackerApp {
     /**
      * Load data from storage
      */
-    loadData() {
-        this.sessions = StorageManager.getSessions();
-        this.rounds = StorageManager.getRounds();
+    async loadData() {
+        await StorageManager.init();
+        if (Vault.isEnabled()) {
+            await this.promptUnlock();
+        }
+        this.profile = ProfileManager.getActive();
+        StorageManager.useProfile(this.profile.id);
+        this.migration = await StorageManager.migrate();
+        await this.loadProfileData();
+    }
+
+    /**
+     * Load the active profile's records, settings and coaching threads
+     */
+    async loadProfileData() {
+        this.sessions = await StorageManager.getSessions();
+        this.rounds = await StorageManager.getRounds();
         this.settings = { ...DEFAULT_SETTINGS, ...StorageManager.getSettings() };
+        this.threads = await ThreadManager.list();
+        this.activeThreadId = this.threads.length > 0 ? this.threads[0].id : null;
+        HandicapEngine.configure({ nineHoleMethod: this.settings.nineHoleMethod });
+        this.claudeAPI.configure(this.settings);
+    }
+
+    /**
+     * Switch to another player profile
+     * @param {number} profileId - Profile id
+     */
+    async switchProfile(profileId) {
+        const profile = ProfileManager.setActive(profileId);
+        if (!profile) return;
+
+        this.profile = profile;
+        StorageManager.useProfile(profile.id);
+        await this.loadProfileData();
+
+        this.resetPracticeForm();
+        this.resetRoundForm();
+        this.components.profileSwitcher.render();
+        this.populateSettingsForm();
+        this.renderChatHistory();
+        this.renderPracticePlans();
+        this.renderCoachTemplates();
+        this.updateUI();
+
+        UIUtils.showNotification(`Switched to ${profile.name}`, 'success');
+        await this.runDailyBackup();
+        this.renderBackups();
+        this.syncNow(true);
     }
 
     /**
      * Initialize all components
      */
     initializeComponents() {
+        // Initialize Profile Switcher
+        this.components.profileSwitcher = new ProfileSwitcher('#profileSwitcher');
+        this.components.profileSwitcher.init();
+        this.components.profileSwitcher.on('profileSelected', (event) => {
+            this.switchProfile(event.detail.profileId);
+        });
+        this.components.profileSwitcher.on('profileRenamed', () => {
+            this.profile = ProfileManager.getActive();
+        });
+        this.components.profileSwitcher.on('profileDeleteRequested', (event) => {
+            this.deleteProfile(event.detail.profile);
+        });
+
         // Initialize Tab Manager
         this.components.tabManager = new TabManager('.tab-navigation');
         this.components.tabManager.init();
@@ -61,6 +171,130 @@ class GolfTrackerApp {
         this.components.handicapCalculator.update(this.rounds);
         this.components.handicapCalculator.init();
 
+        // Initialize Scorecard
+        this.components.scorecard = new Scorecard('#scorecard');
+        this.components.scorecard.init();
+        this.components.scorecard.on('scorecardChanged', (event) => {
+            this.applyScorecardSummary(event.detail);
+            this.updatePlayingHandicap();
+        });
+
+        // Initialize Course Picker
+        this.components.coursePicker = new CoursePicker('#roundForm');
+        this.components.coursePicker.init();
+        this.components.coursePicker.on('teeSelected', (event) => {
+            this.applyTee(event.detail.tee);
+        });
+
+        // Initialize Playing Handicap Calculator
+        this.components.playingHandicap = new PlayingHandicapCalculator('#playingHandicapCard');
+        this.updatePlayingHandicap();
+        this.components.playingHandicap.init();
+
+        // Initialize passphrase prompt for encrypted files
+        this.components.passphraseDialog = new PassphraseDialog('#passphraseDialog');
+        this.components.passphraseDialog.init();
+
+        // Initialize Data Import
+        this.components.dataImport = new DataImportPanel('#dataImport', {
+            passphraseDialog: this.components.passphraseDialog
+        });
+        this.components.dataImport.init();
+        this.components.dataImport.on('importConfirmed', (event) => {
+            this.applyImport(event.detail);
+        });
+
+        // Initialize CSV Import
+        this.components.csvImport = new CsvImportPanel('#csvImport');
+        this.components.csvImport.init();
+        this.components.csvImport.on('csvImportConfirmed', (event) => {
+            this.applyCsvImport(event.detail);
+        });
+
+        // Initialize Backup Browser
+        this.components.backupBrowser = new BackupBrowser('#backupBrowser');
+        this.components.backupBrowser.init();
+        this.components.backupBrowser.on('backupRequested', () => {
+            this.createBackup();
+        });
+        this.components.backupBrowser.on('backupRestoreRequested', (event) => {
+            this.restoreBackup(event.detail.backup);
+        });
+        this.components.backupBrowser.on('deletedProfileRestoreRequested', (event) => {
+            this.restoreDeletedProfile(event.detail.profileId);
+        });
+        this.components.backupBrowser.on('deletedProfileDiscardRequested', (event) => {
+            this.discardDeletedProfile(event.detail.profileId);
+        });
+        this.renderBackups();
+
+        // Initialize AI coach usage
+        this.components.usagePanel = new UsagePanel('#coachingUsage');
+        this.components.usagePanel.init();
+
+        // Initialize AI coach personas
+        this.components.templateEditor = new PromptTemplateEditor('#coachTemplates');
+        this.components.templateEditor.init();
+        this.components.templateEditor.on('templateSaveRequested', (event) => {
+            this.saveCoachTemplate(event.detail.template);
+        });
+        this.components.templateEditor.on('templateDeleteRequested', (event) => {
+            this.deleteCoachTemplate(event.detail.template);
+        });
+        this.components.templateEditor.on('templatesExportRequested', () => {
+            this.exportCoachTemplates();
+        });
+        this.components.templateEditor.on('templatesImportRequested', (event) => {
+            this.importCoachTemplates(event.detail);
+        });
+        this.renderCoachTemplates();
+
+        // Initialize Encryption Settings
+        this.components.encryptionPanel = new EncryptionPanel('#encryptionSettings');
+        this.components.encryptionPanel.init();
+        this.components.encryptionPanel.on('encryptionEnableRequested', (event) => {
+            this.enableEncryption(event.detail);
+        });
+        this.components.encryptionPanel.on('encryptionDisableRequested', () => {
+            this.disableEncryption();
+        });
+        this.components.encryptionPanel.on('lockRequested', () => {
+            this.lock();
+        });
+        this.components.encryptionPanel.on('unlockRequested', async () => {
+            if (await this.promptUnlock()) {
+                this.components.encryptionPanel.render();
+                this.populateSettingsForm();
+            }
+        });
+
+        // Initialize Practice Plans
+        this.components.practicePlans = new PracticePlanList('#practicePlans');
+        this.components.practicePlans.init();
+        this.components.practicePlans.on('planCopyRequested', (event) => {
+            this.copyPracticePlan(event.detail.plan);
+        });
+        this.components.practicePlans.on('planDeleteRequested', (event) => {
+            this.deletePracticePlan(event.detail.plan);
+        });
+        this.renderPracticePlans();
+
+        // Initialize Coaching Conversations
+        this.components.threadList = new ThreadList('#chatThreads');
+        this.components.threadList.init();
+        this.components.threadList.on('threadCreateRequested', () => {
+            this.openThread(null);
+        });
+        this.components.threadList.on('threadSelected', (event) => {
+            this.openThread(event.detail.threadId);
+        });
+        this.components.threadList.on('threadDeleteRequested', (event) => {
+            this.deleteThread(event.detail.threadId);
+        });
+        this.components.threadList.on('threadTemplateChanged', (event) => {
+            this.setThreadTemplate(event.detail.templateId);
+        });
+
         // Set up tab change listener
         this.components.tabManager.on('tabChanged', (event) => {
             this.handleTabChange(event.detail.tabId);
@@ -89,6 +323,48 @@ class GolfTrackerApp {
             });
         }
 
+        // Scorecard entry mode
+        const scoreEntry = document.getElementById('scoreEntry');
+        if (scoreEntry) {
+            scoreEntry.addEventListener('change', (e) => this.setScoreEntryMode(e.target.value));
+        }
+
+        // Holes played
+        const holesPlayed = document.getElementById('holesPlayed');
+        if (holesPlayed) {
+            holesPlayed.addEventListener('change', (e) => this.setHolesPlayed(parseInt(e.target.value)));
+        }
+
+        // Edit and delete actions on rendered items
+        const sessionsList = document.getElementById('sessionsList');
+        if (sessionsList) {
+            sessionsList.addEventListener('click', (e) => this.handleItemAction(e, 'session'));
+        }
+
+        const recentRounds = document.getElementById('recentRounds');
+        if (recentRounds) {
+            recentRounds.addEventListener('click', (e) => this.handleItemAction(e, 'round'));
+        }
+
+        document.querySelectorAll('[data-action="cancel-edit"]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (button.form.id === 'practiceForm') {
+                    this.resetPracticeForm();
+                } else {
+                    this.resetRoundForm();
+                }
+            });
+        });
+
+        // Course Library
+        const courseLibrary = document.getElementById('courseLibrary');
+        if (courseLibrary) {
+            courseLibrary.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-course-id]');
+                if (button) this.removeCourse(parseInt(button.dataset.courseId));
+            });
+        }
+
         // Settings Form
         const settingsForm = document.getElementById('settingsForm');
         if (settingsForm) {
@@ -98,6 +374,12 @@ class GolfTrackerApp {
             });
         }
 
+        // Coach provider: the model, endpoint and key only apply to the Anthropic API
+        const coachProvider = document.getElementById('coachProvider');
+        if (coachProvider) {
+            coachProvider.addEventListener('change', (e) => this.showCoachProviderFields(e.target.value));
+        }
+
         // AI Coaching
         this.initializeCoaching();
     }
@@ -148,6 +430,20 @@ class GolfTrackerApp {
      */
     updateRoundsTab() {
         this.renderRounds();
+        this.updatePlayingHandicap();
+    }
+
+    /**
+     * Refresh the playing handicap calculator with the current index and scorecard layout
+     */
+    updatePlayingHandicap() {
+        const form = document.getElementById('roundForm');
+        const usesScorecard = form && form.scoreEntry.value === 'holes';
+
+        this.components.playingHandicap.update({
+            index: HandicapEngine.getIndex(this.rounds),
+            holes: usesScorecard ? this.components.scorecard.getHoles() : null
+        });
     }
 
     /**
@@ -169,14 +465,17 @@ class GolfTrackerApp {
      */
     updateSettingsTab() {
         this.populateSettingsForm();
+        this.renderCourseLibrary();
+        this.renderBackups();
     }
 
     /**
      * Handle practice session submission
      */
     handlePracticeSubmit(form) {
+        const editingId = this.editing.session;
         const session = {
-            id: GolfHelpers.generateId(),
+            id: editingId || GolfHelpers.generateId(),
             date: form.date.value,
             duration: parseInt(form.duration.value),
             focus: form.focus.value,
@@ -186,65 +485,576 @@ class GolfTrackerApp {
             rating: parseInt(form.rating.value)
         };
 
-        this.sessions.unshift(session);
+        if (editingId) {
+            const index = this.sessions.findIndex(existing => existing.id === editingId);
+            this.sessions[index] = session;
+        } else {
+            this.sessions.unshift(session);
+        }
+
         this.saveSessions();
         this.updateUI();
+        this.resetPracticeForm();
+
+        UIUtils.showNotification(
+            editingId ? 'Practice session updated!' : 'Practice session logged successfully!',
+            'success'
+        );
+        this.components.tabManager.setActiveTab('history');
+    }
+
+    /**
+     * Reset the practice form and leave edit mode
+     */
+    resetPracticeForm() {
+        const form = document.getElementById('practiceForm');
+        if (!form) return;
+
         form.reset();
+        this.setEditMode('session', null);
 
         // Set default values from settings
         form.duration.value = this.settings.defaultDuration;
-
-        UIUtils.showNotification('Practice session logged successfully!', 'success');
-        this.components.tabManager.setActiveTab('history');
     }
 
     /**
      * Handle round submission
      */
     handleRoundSubmit(form) {
+        const usesScorecard = form.scoreEntry.value === 'holes';
+        const scorecard = usesScorecard ? this.components.scorecard.getSummary() : null;
+
+        if (scorecard && !scorecard.isComplete) {
+            UIUtils.showNotification('Enter a score for every hole on the scorecard', 'error');
+            return;
+        }
+
+        const totalScore = scorecard ? scorecard.totalScore : parseInt(form.totalScore.value);
+        const editingId = this.editing.round;
+        const existing = editingId ? this.rounds.find(other => other.id === editingId) : null;
+
         const round = {
-            id: GolfHelpers.generateId(),
+            ...existing,
+            id: editingId || GolfHelpers.generateId(),
             date: form.roundDate.value,
             courseName: form.courseName.value,
+            holesPlayed: parseInt(form.holesPlayed.value),
             courseRating: parseFloat(form.courseRating.value),
             slopeRating: parseInt(form.slopeRating.value),
-            totalScore: parseInt(form.totalScore.value),
-            par: parseInt(form.par.value),
+            totalScore: totalScore,
+            par: scorecard ? scorecard.par : parseInt(form.par.value),
             weather: form.weather.value,
-            notes: form.roundNotes.value,
-            differential: GolfHelpers.calculateDifferential(
-                parseInt(form.totalScore.value),
-                parseFloat(form.courseRating.value),
-                parseInt(form.slopeRating.value)
-            )
+            notes: form.roundNotes.value
         };
 
-        this.rounds.unshift(round);
+        // Re-derived from the form below, so an edited course or tee doesn't keep the old ones
+        delete round.holes;
+        delete round.stats;
+        delete round.courseId;
+        delete round.teeId;
+        delete round.handicapAllocation;
+
+        if (scorecard) {
+            round.holes = this.components.scorecard.getHoles();
+            round.stats = scorecard.stats;
+        }
+
+        this.linkCourse(round, form);
+        this.applyAdjustedScore(round);
+
+        const allocation = this.components.playingHandicap.getResult();
+        if (allocation) {
+            round.handicapAllocation = {
+                index: allocation.index,
+                courseHandicap: allocation.courseHandicap,
+                playingHandicap: allocation.playingHandicap,
+                format: allocation.format,
+                allowance: allocation.allowance
+            };
+        }
+
+        if (existing) {
+            this.rounds[this.rounds.indexOf(existing)] = round;
+        } else {
+            this.rounds.unshift(round);
+        }
+
         this.saveRounds();
         this.updateUI();
+        this.resetRoundForm();
+
+        UIUtils.showNotification(existing ? 'Round updated!' : 'Round logged successfully!', 'success');
+    }
+
+    /**
+     * Reset the round form and leave edit mode
+     */
+    resetRoundForm() {
+        const form = document.getElementById('roundForm');
+        if (!form) return;
+
+        form.reset();
+        this.setEditMode('round', null);
+        this.components.coursePicker.render();
+        this.components.scorecard.reset();
+        this.setHolesPlayed(parseInt(form.holesPlayed.value));
+        this.setScoreEntryMode(form.scoreEntry.value);
+    }
+
+    /**
+     * Toggle a form between logging and editing
+     * @param {string} type - 'session' or 'round'
+     * @param {number|null} id - Id of the item being edited, or null to leave edit mode
+     */
+    setEditMode(type, id) {
+        this.editing[type] = id;
+
+        const formId = type === 'session' ? 'practiceForm' : 'roundForm';
+        const labels = type === 'session'
+            ? ['Log Practice Session', 'Update Practice Session']
+            : ['Log Round', 'Update Round'];
+
+        const form = document.getElementById(formId);
+        if (!form) return;
+
+        form.querySelector('[type="submit"]').textContent = id ? labels[1] : labels[0];
+        const cancelButton = form.querySelector('[data-action="cancel-edit"]');
+        if (cancelButton) cancelButton.hidden = !id;
+    }
+
+    /**
+     * Open a practice session in the practice form
+     * @param {number} id - Session id
+     */
+    editSession(id) {
+        const session = this.sessions.find(existing => existing.id === id);
+        const form = document.getElementById('practiceForm');
+        if (!session || !form) return;
+
+        form.date.value = session.date;
+        form.duration.value = session.duration;
+        form.focus.value = session.focus;
+        form.clubs.value = session.clubs;
+        form.ballsHit.value = session.ballsHit;
+        form.summary.value = session.summary;
+        form.rating.value = session.rating;
+
+        this.setEditMode('session', id);
+        this.components.tabManager.setActiveTab('practice');
+    }
+
+    /**
+     * Open a round in the round form
+     * @param {number} id - Round id
+     */
+    editRound(id) {
+        const round = this.rounds.find(existing => existing.id === id);
+        const form = document.getElementById('roundForm');
+        if (!round || !form) return;
+
         form.reset();
+        form.roundDate.value = round.date;
+        form.courseName.value = round.courseName;
+        if (round.courseId) {
+            this.components.coursePicker.select(round.courseId, round.teeId);
+        } else {
+            this.components.coursePicker.renderTees();
+        }
+
+        form.holesPlayed.value = round.holesPlayed || 18;
+        this.setHolesPlayed(round.holesPlayed || 18);
+
+        form.courseRating.value = round.courseRating;
+        form.slopeRating.value = round.slopeRating;
+        form.weather.value = round.weather;
+        form.roundNotes.value = round.notes || '';
+
+        if (round.holes) {
+            this.components.scorecard.update(round.holes.map(hole => ({ ...hole })));
+        }
+        form.scoreEntry.value = round.holes ? 'holes' : 'total';
+        this.setScoreEntryMode(form.scoreEntry.value);
+
+        if (!round.holes) {
+            form.totalScore.value = round.totalScore;
+            form.par.value = round.par;
+        }
+
+        this.setEditMode('round', id);
+        this.components.tabManager.setActiveTab('rounds');
+        UIUtils.scrollToElement(form, 80);
+    }
+
+    /**
+     * Delete a session or round after confirmation, with an undo window
+     * @param {string} type - 'session' or 'round'
+     * @param {number} id - Item id
+     */
+    deleteItem(type, id) {
+        const list = type === 'session' ? this.sessions : this.rounds;
+        const index = list.findIndex(existing => existing.id === id);
+        if (index === -1) return;
+
+        const label = type === 'session' ? 'practice session' : 'round';
+        if (!confirm(`Delete this ${label}?`)) return;
+
+        const [removed] = list.splice(index, 1);
+        if (this.editing[type] === id) {
+            if (type === 'session') {
+                this.resetPracticeForm();
+            } else {
+                this.resetRoundForm();
+            }
+        }
+        this.persistAfterChange(type);
+
+        const profileId = this.profile.id;
+        UIUtils.showUndoNotification(`Deleted ${label}`, async () => {
+            if (await this.restoreItem(type, removed, index, profileId)) {
+                UIUtils.showNotification(`Restored ${label}`, 'success');
+            } else {
+                UIUtils.showNotification(`Could not restore the ${label}`, 'error');
+            }
+        });
+    }
+
+    /**
+     * Put a deleted session or round back
+     *
+     * The lists may have been reloaded since the delete (profile switch, sync,
+     * import), so the item goes into the current list of the profile it was
+     * deleted from rather than the one it was taken out of.
+     * @param {string} type - 'session' or 'round'
+     * @param {Object} item - Deleted item
+     * @param {number} index - Position it was deleted from
+     * @param {number} profileId - Profile it was deleted from
+     * @returns {Promise<boolean>} Success status
+     */
+    async restoreItem(type, item, index, profileId) {
+        const key = type === 'session' ? 'sessions' : 'rounds';
+        const isActive = profileId === this.profile.id;
+        const list = isActive ? this[key] : await StorageManager.getRecords(key, profileId);
+
+        if (!list.some(existing => existing.id === item.id)) {
+            list.splice(Math.min(index, list.length), 0, item);
+        }
+
+        if (isActive) {
+            this.persistAfterChange(type);
+            return true;
+        }
+        return StorageManager.setRecords(key, list, profileId);
+    }
+
+    /**
+     * Save a changed list and refresh the UI
+     * @param {string} type - 'session' or 'round'
+     */
+    persistAfterChange(type) {
+        if (type === 'session') {
+            this.saveSessions();
+        } else {
+            this.saveRounds();
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Handle edit/delete buttons on rendered sessions and rounds
+     * @param {Event} e - Click event
+     * @param {string} type - 'session' or 'round'
+     */
+    handleItemAction(e, type) {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        const id = Number(button.dataset.id);
+        if (button.dataset.action === 'edit' && type === 'session') {
+            this.editSession(id);
+        } else if (button.dataset.action === 'edit') {
+            this.editRound(id);
+        } else if (button.dataset.action === 'delete') {
+            this.deleteItem(type, id);
+        }
+    }
+
+    /**
+     * Link a round to its course and tee, saving them to the library if asked
+     * @param {Object} round - Round to update in place
+     * @param {HTMLFormElement} form - Round form
+     */
+    linkCourse(round, form) {
+        let { course, tee } = this.components.coursePicker.getSelection();
+
+        if (form.saveCourse.checked) {
+            const teeName = form.teeName.value.trim() || (tee ? tee.name : 'Default');
+            ({ course, tee } = CourseLibrary.saveTee(round.courseName, {
+                name: teeName,
+                holeCount: round.holesPlayed,
+                rating: round.courseRating,
+                slope: round.slopeRating,
+                par: round.par,
+                holes: round.holes || null
+            }));
+        }
+
+        if (course) round.courseId = course.id;
+        if (course && tee) round.teeId = tee.id;
+    }
+
+    /**
+     * Autofill the round form from a saved tee set
+     * @param {Object} tee - Tee object
+     */
+    applyTee(tee) {
+        const form = document.getElementById('roundForm');
+        if (!form) return;
+
+        form.holesPlayed.value = tee.holeCount;
+        this.setHolesPlayed(tee.holeCount);
+
+        form.courseRating.value = tee.rating;
+        form.slopeRating.value = tee.slope;
+        form.par.value = tee.par;
+        form.teeName.value = tee.name;
+
+        if (tee.holes) {
+            this.components.scorecard.applyLayout(tee.holes);
+            this.applyScorecardSummary(this.components.scorecard.getSummary());
+        }
+    }
+
+    /**
+     * Render the saved courses in settings
+     */
+    renderCourseLibrary() {
+        const container = document.getElementById('courseLibrary');
+        if (!container) return;
+
+        const courses = CourseLibrary.getCourses();
+        if (courses.length === 0) {
+            HtmlUtils.render(container, html`<p class="course-library__empty">No saved courses yet. Tick "Save course and tees to library" when logging a round.</p>`);
+            return;
+        }
+
+        HtmlUtils.render(container, html`${courses.map(course => {
+            const roundCount = this.rounds.filter(round => round.courseId === course.id).length;
+            return html`
+                <div class="course-library__item">
+                    <div>
+                        <div class="course-library__name">${course.name}</div>
+                        <div class="course-library__tees">
+                            ${course.tees.map((tee, index) => html`${index > 0 ? html`<br>` : ''}${CourseLibrary.formatTee(tee)}`)}
+                        </div>
+                        <div class="course-library__tees">${roundCount} round${roundCount === 1 ? '' : 's'} logged</div>
+                    </div>
+                    <button type="button" class="btn btn--sm btn--outline" data-course-id="${course.id}">Remove</button>
+                </div>
+            `;
+        })}`);
+    }
+
+    /**
+     * Remove a course from the library (rounds keep their copied ratings)
+     * @param {number} courseId - Course id
+     */
+    removeCourse(courseId) {
+        const course = CourseLibrary.getCourse(courseId);
+        if (!course || !confirm(`Remove ${course.name} from your course library?`)) return;
+
+        CourseLibrary.removeCourse(courseId);
+        this.renderCourseLibrary();
+        this.components.coursePicker.render();
+        UIUtils.showNotification('Course removed', 'success');
+    }
+
+    /**
+     * Calculate the adjusted gross score and differential for a round
+     * Per-hole scores are capped at net double bogey using the course
+     * handicap from the index in effect before the round was played.
+     * @param {Object} round - Round to update in place
+     */
+    applyAdjustedScore(round) {
+        round.adjustedScore = round.totalScore;
+        delete round.scoreAdjustment;
+
+        if (round.holes) {
+            const priorRounds = this.rounds.filter(other =>
+                other.id !== round.id && new Date(other.date) <= new Date(round.date)
+            );
+            const index = HandicapEngine.getIndex(priorRounds);
+            const courseHandicap = index !== null
+                ? HandicapEngine.getCourseHandicap(
+                    index, round.slopeRating, round.courseRating, round.par, round.holesPlayed
+                )
+                : null;
+
+            round.scoreAdjustment = HandicapEngine.calculateAdjustedGrossScore(round.holes, courseHandicap);
+            round.adjustedScore = round.scoreAdjustment.adjustedScore;
+        }
+
+        round.differential = GolfHelpers.calculateDifferential(
+            round.adjustedScore,
+            round.courseRating,
+            round.slopeRating
+        );
+    }
+
+    /**
+     * Switch the round form between total-only and hole-by-hole entry
+     * @param {string} mode - 'total' or 'holes'
+     */
+    setScoreEntryMode(mode) {
+        const form = document.getElementById('roundForm');
+        const section = document.getElementById('scorecardSection');
+        if (!form || !section) return;
+
+        const usesScorecard = mode === 'holes';
+        section.hidden = !usesScorecard;
+
+        // Derived fields are read-only, which also exempts them from form validation
+        [form.totalScore, form.par].forEach(input => {
+            input.readOnly = usesScorecard;
+            input.required = !usesScorecard;
+        });
+
+        if (usesScorecard) {
+            this.applyScorecardSummary(this.components.scorecard.getSummary());
+        } else {
+            form.totalScore.value = '';
+            form.par.value = '';
+        }
+
+        this.updatePlayingHandicap();
+    }
+
+    /**
+     * Switch the round form between 18 and 9 holes
+     * Rating, par and score limits change to their 9-hole ranges.
+     * @param {number} holes - 18 or 9
+     */
+    setHolesPlayed(holes) {
+        const form = document.getElementById('roundForm');
+        if (!form) return;
+
+        const isNine = holes === 9;
+        const limits = isNine
+            ? [
+                [form.courseRating, VALIDATION_RULES.COURSE_RATING_9, '36.0'],
+                [form.par, VALIDATION_RULES.PAR_9, '36'],
+                [form.totalScore, VALIDATION_RULES.SCORE_9, '43']
+            ]
+            : [
+                [form.courseRating, VALIDATION_RULES.COURSE_RATING, '72.0'],
+                [form.par, VALIDATION_RULES.PAR, '72'],
+                [form.totalScore, VALIDATION_RULES.SCORE, '85']
+            ];
+
+        limits.forEach(([input, rule, placeholder]) => {
+            input.min = rule.min;
+            input.max = rule.max;
+            input.placeholder = placeholder;
+        });
+
+        this.components.scorecard.setHoleCount(holes);
+        this.applyScorecardSummary(this.components.scorecard.getSummary());
+        this.updatePlayingHandicap();
+    }
+
+    /**
+     * Copy scorecard totals into the round form
+     * @param {Object} summary - Scorecard summary
+     */
+    applyScorecardSummary(summary) {
+        const form = document.getElementById('roundForm');
+        if (!form || form.scoreEntry.value !== 'holes') return;
 
-        UIUtils.showNotification('Round logged successfully!', 'success');
+        form.totalScore.value = summary.totalScore || '';
+        form.par.value = summary.par;
     }
 
     /**
      * Handle settings submission
      */
-    handleSettingsSubmit(form) {
+    async handleSettingsSubmit(form) {
+        const coachMaxTokens = parseInt(form.coachMaxTokens.value);
+        if (!GolfHelpers.validateInput(coachMaxTokens, VALIDATION_RULES.MAX_TOKENS)) {
+            UIUtils.showNotification(
+                `Reply length must be between ${VALIDATION_RULES.MAX_TOKENS.min} and ${VALIDATION_RULES.MAX_TOKENS.max} tokens`,
+                'error'
+            );
+            return;
+        }
+
+        const coachContextTokens = parseInt(form.coachContextTokens.value);
+        if (!GolfHelpers.validateInput(coachContextTokens, VALIDATION_RULES.CONTEXT_TOKENS)) {
+            UIUtils.showNotification(
+                `Data context must be between ${VALIDATION_RULES.CONTEXT_TOKENS.min} and ${VALIDATION_RULES.CONTEXT_TOKENS.max} tokens`,
+                'error'
+            );
+            return;
+        }
+
+        const coachMonthlyBudget = form.coachMonthlyBudget.value === '' ? 0 : parseFloat(form.coachMonthlyBudget.value);
+        if (!GolfHelpers.validateInput(coachMonthlyBudget, VALIDATION_RULES.BUDGET)) {
+            UIUtils.showNotification(`Monthly budget must be at most $${VALIDATION_RULES.BUDGET.max}`, 'error');
+            return;
+        }
+
+        // A price for the chosen model replaces the built-in one; clearing both fields goes back to it
+        const coachModel = form.coachModel.value.trim() || LLM_CONFIG.DEFAULT_MODEL;
+        const coachPrices = { ...this.settings.coachPrices };
+        delete coachPrices[coachModel];
+        if (form.coachPriceInput.value !== '' || form.coachPriceOutput.value !== '') {
+            const price = { input: parseFloat(form.coachPriceInput.value), output: parseFloat(form.coachPriceOutput.value) };
+            const valid = value => Number.isFinite(value) && GolfHelpers.validateInput(value, VALIDATION_RULES.PRICE);
+            if (!valid(price.input) || !valid(price.output)) {
+                UIUtils.showNotification('Enter both the input and output price per million tokens', 'error');
+                return;
+            }
+            coachPrices[coachModel] = price;
+        }
+
         this.settings = {
+            ...this.settings,
             defaultDuration: parseInt(form.defaultDuration.value),
             theme: form.theme.value,
-            notifications: form.notifications.value
+            notifications: form.notifications.value,
+            nineHoleMethod: form.nineHoleMethod.value,
+            syncUrl: form.syncUrl.value.trim(),
+            syncSpace: form.syncSpace.value.trim(),
+            coachProvider: form.coachProvider.value,
+            coachModel,
+            coachMaxTokens,
+            coachEndpoint: form.coachEndpoint.value.trim(),
+            coachContextTokens,
+            coachPrices
         };
 
+        const syncToken = form.syncToken.value.trim();
+        if (syncToken) {
+            this.settings.syncToken = syncToken;
+        }
+
+        HandicapEngine.configure({ nineHoleMethod: this.settings.nineHoleMethod });
+        this.claudeAPI.configure(this.settings);
+        this.updateUI();
+
         // Handle Claude API key
         const apiKey = form.claudeApiKey.value.trim();
         if (apiKey) {
-            this.claudeAPI.setApiKey(apiKey);
-            UIUtils.showNotification('Claude API key saved successfully!', 'success');
+            try {
+                await this.claudeAPI.setApiKey(apiKey);
+                UIUtils.showNotification('Claude API key saved successfully!', 'success');
+            } catch (error) {
+                UIUtils.showNotification(error.message, 'error');
+            }
         }
 
         StorageManager.setSettings(this.settings);
+        StorageManager.setCoachingBudget(coachMonthlyBudget);
+        this.renderBackups();
+        this.renderCoachingUsage();
         UIUtils.showNotification('Settings saved successfully!', 'success');
     }
 
@@ -256,6 +1066,7 @@ class GolfTrackerApp {
         this.renderSessions();
         this.renderRounds();
         this.components.handicapCalculator.update(this.rounds);
+        this.updateHeaderStats();
     }
 
     /**
@@ -291,11 +1102,11 @@ class GolfTrackerApp {
         if (!sessionsList) return;
 
         if (this.sessions.length === 0) {
-            sessionsList.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No practice sessions recorded yet</p>';
+            HtmlUtils.render(sessionsList, html`<p style="text-align: center; color: var(--text-secondary);">No practice sessions recorded yet</p>`);
             return;
         }
 
-        sessionsList.innerHTML = this.sessions.slice(0, APP_CONFIG.MAX_RECENT_SESSIONS).map(session => `
+        HtmlUtils.render(sessionsList, html`${this.sessions.slice(0, APP_CONFIG.MAX_RECENT_SESSIONS).map(session => html`
             <div class="session-item">
                 <div class="session-item__header">
                     <div>
@@ -315,8 +1126,9 @@ class GolfTrackerApp {
                 <p class="session-item__details">
                     Clubs: ${session.clubs} • Balls Hit: ${session.ballsHit}
                 </p>
+                ${this.renderItemActions(session.id)}
             </div>
-        `).join('');
+        `)}`);
     }
 
     /**
@@ -327,44 +1139,99 @@ class GolfTrackerApp {
         if (!roundsList) return;
 
         if (this.rounds.length === 0) {
-            roundsList.innerHTML = '<p style="text-align: center; color: var(--text-secondary);">No rounds recorded yet</p>';
+            HtmlUtils.render(roundsList, html`<p style="text-align: center; color: var(--text-secondary);">No rounds recorded yet</p>`);
             return;
         }
 
-        roundsList.innerHTML = this.rounds.slice(0, APP_CONFIG.MAX_RECENT_ROUNDS).map(round => `
+        HtmlUtils.render(roundsList, html`${this.rounds.slice(0, APP_CONFIG.MAX_RECENT_ROUNDS).map(round => html`
             <div class="round-item">
                 <div class="round-item__header">
-                    <span class="round-item__course">${round.courseName}</span>
+                    <span class="round-item__course">
+                        ${round.courseName}
+                        ${round.holesPlayed === 9 ? html`<span class="round-item__badge">9 holes</span>` : ''}
+                    </span>
                     <span class="round-item__score">${round.totalScore}</span>
                 </div>
+                ${this.renderScoreAdjustment(round)}
                 <div class="round-item__details">
                     <div>Date: ${GolfHelpers.formatDate(round.date)}</div>
                     <div>Par: ${round.par}</div>
                     <div>Rating: ${round.courseRating}</div>
                     <div>Slope: ${round.slopeRating}</div>
                     <div>Weather: ${round.weather}</div>
-                    <div>Diff: ${round.differential.toFixed(1)}</div>
+                    <div>${round.holesPlayed === 9 ? '9-hole diff' : 'Diff'}: ${round.differential.toFixed(1)}</div>
+                    ${round.handicapAllocation ? html`<div>Course HCP: ${round.handicapAllocation.courseHandicap}</div>
+                    <div>Playing HCP: ${round.handicapAllocation.playingHandicap}</div>` : ''}
+                    ${round.stats ? this.renderRoundStats(round.stats) : ''}
                 </div>
-                ${round.notes ? `<div class="round-item__notes">${round.notes}</div>` : ''}
+                ${round.notes ? html`<div class="round-item__notes">${round.notes}</div>` : ''}
+                ${this.renderItemActions(round.id)}
             </div>
-        `).join('');
+        `)}`);
     }
 
     /**
-     * Initialize interactive features
+     * Render edit/delete buttons for a list item
+     * @param {number} id - Item id
+     * @returns {SafeHtml} Markup
      */
-    initializeInteractiveFeatures() {
-        this.createInteractiveCursor();
-        this.createParticleSystem();
-        this.addCardHoverEffects();
-        this.updateHeaderStats();
+    renderItemActions(id) {
+        return html`
+            <div class="item-actions">
+                <button type="button" class="btn btn--sm btn--ghost" data-action="edit" data-id="${id}">Edit</button>
+                <button type="button" class="btn btn--sm btn--ghost" data-action="delete" data-id="${id}">Delete</button>
+            </div>
+        `;
     }
 
     /**
-     * Create interactive cursor effect
+     * Render the net double bogey note for a round
+     * @param {Object} round - Round object
+     * @returns {SafeHtml|string} Markup, or '' when nothing was capped
      */
-    createInteractiveCursor() {
-        const cursor = document.createElement('div');
+    renderScoreAdjustment(round) {
+        const adjustment = round.scoreAdjustment;
+        if (!adjustment || adjustment.holesCapped.length === 0) return '';
+
+        const cap = adjustment.method === 'net-double-bogey' ? 'net double bogey' : 'par + 5';
+        const holes = adjustment.holesCapped.map(hole => hole.number).join(', ');
+
+        return html`
+            <div class="round-item__adjustment">
+                Adjusted score ${round.adjustedScore} • capped at ${cap} on hole${adjustment.holesCapped.length > 1 ? 's' : ''} ${holes}
+            </div>
+        `;
+    }
+
+    /**
+     * Render scorecard-derived stats for a round
+     * @param {Object} stats - Round stats
+     * @returns {SafeHtml} Markup
+     */
+    renderRoundStats(stats) {
+        return html`
+            ${Number.isFinite(stats.putts) ? html`<div>Putts: ${stats.putts}</div>` : ''}
+            ${Number.isFinite(stats.fairwaysAttempted) ? html`<div>FIR: ${stats.fairwaysHit}/${stats.fairwaysAttempted}</div>` : ''}
+            ${Number.isFinite(stats.greensInRegulation) ? html`<div>GIR: ${stats.greensInRegulation}</div>` : ''}
+            ${Number.isFinite(stats.penalties) ? html`<div>Penalties: ${stats.penalties}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Initialize interactive features
+     */
+    initializeInteractiveFeatures() {
+        this.createInteractiveCursor();
+        this.createParticleSystem();
+        this.addCardHoverEffects();
+        this.updateHeaderStats();
+    }
+
+    /**
+     * Create interactive cursor effect
+     */
+    createInteractiveCursor() {
+        const cursor = document.createElement('div');
         cursor.className = 'interactive-cursor';
         document.body.appendChild(cursor);
 
@@ -439,8 +1306,8 @@ class GolfTrackerApp {
         if (headerSessions) headerSessions.textContent = this.sessions.length;
         if (headerRounds) headerRounds.textContent = this.rounds.length;
         if (headerHandicap) {
-            const handicap = GolfHelpers.calculateHandicap(this.rounds);
-            headerHandicap.textContent = handicap ? handicap : 'N/A';
+            const handicap = HandicapEngine.getIndex(this.rounds);
+            headerHandicap.textContent = handicap !== null ? handicap : 'N/A';
         }
     }
 
@@ -449,19 +1316,47 @@ class GolfTrackerApp {
      */
     initializeCoaching() {
         const sendButton = document.getElementById('sendMessage');
+        const stopButton = document.getElementById('stopMessage');
         const input = document.getElementById('coachingInput');
         const actionCards = document.querySelectorAll('.action-card');
+        const chatContainer = document.getElementById('chatContainer');
 
         if (sendButton) {
             sendButton.addEventListener('click', () => this.sendCoachingMessage());
         }
 
+        if (stopButton) {
+            stopButton.addEventListener('click', () => {
+                if (this.coachingRequest) this.coachingRequest.abort();
+            });
+        }
+
+        // Questions asked while offline go out when the connection returns
+        window.addEventListener('online', () => this.sendQueuedCoachingReplies());
+
         if (input) {
             input.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') this.sendCoachingMessage();
             });
         }
 
+        if (chatContainer) {
+            chatContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-drill-action]');
+                if (!button) return;
+
+                const list = button.closest('.drill-actions').previousElementSibling;
+                if (button.dataset.drillAction === 'copy') {
+                    this.copyPracticePlan(PracticePlans.fromList(list));
+                } else if (button.dataset.drillAction === 'save') {
+                    this.savePracticePlan(PracticePlans.fromList(list));
+                }
+            });
+        }
+
+        this.renderChatHistory();
+        this.sendQueuedCoachingReplies();
+
         actionCards.forEach(card => {
             card.addEventListener('click', () => {
                 if (input) {
@@ -473,67 +1368,488 @@ class GolfTrackerApp {
     }
 
     /**
-     * Send coaching message
+     * Send coaching message, streaming the reply into the chat as it arrives.
+     * While offline the question is kept and sent once the connection returns.
      */
     async sendCoachingMessage() {
         const input = document.getElementById('coachingInput');
-        if (!input) return;
+        // One reply at a time, so Stop always refers to the one on screen
+        if (!input || this.coachingRequest) return;
 
         const message = input.value.trim();
-        if (!message) return;
+        if (!message || !this.confirmCoachingBudget()) return;
 
-        this.addMessageToChat(message, 'user');
+        // Replies that arrive after a profile or conversation switch still belong to the asker
+        const profileId = this.profile.id;
+        if (this.activeThreadId === null) {
+            this.activeThreadId = ThreadManager.create(this.threads).id;
+        }
+        const threadId = this.activeThreadId;
+
+        const messageDiv = this.addMessageToChat(message, 'user');
         input.value = '';
 
-        // Show loading message
-        const loadingMessage = this.addMessageToChat('', 'ai', true);
-        loadingMessage.querySelector('.message-text').innerHTML = '<span class="loading-dots">Thinking</span>';
+        if (this.isCoachingOffline()) {
+            await this.recordChatMessage(message, 'user', profileId, threadId);
+            this.queueCoachingReply(profileId, threadId, messageDiv);
+            return;
+        }
+
+        await this.requestCoachingReply(profileId, threadId, message);
+    }
+
+    /**
+     * Get the coach's reply to the latest question in a thread
+     * @param {number} profileId - Profile the conversation belongs to
+     * @param {number} threadId - Thread id
+     * @param {string|null} question - New question to add first, or null to answer
+     *   the one the thread ends with (a queued question)
+     */
+    async requestCoachingReply(profileId, threadId, question) {
+        const visible = () => profileId === this.profile.id && threadId === this.activeThreadId;
+        const chatContainer = document.getElementById('chatContainer');
+
+        // Show loading message; streamed text replaces it as it arrives
+        const loadingMessage = visible() ? this.addMessageToChat('', 'ai', true) : null;
+        const loadingText = loadingMessage ? loadingMessage.querySelector('.message-text') : null;
+        if (loadingText) {
+            HtmlUtils.render(loadingText, html`<span class="loading-dots">Thinking</span>`);
+        }
+
+        const controller = new AbortController();
+        let partial = '';
+        let usage = null;
+        this.coachingRequest = controller;
+        this.setCoachingBusy(true);
 
         try {
-            // Prepare context for Claude
+            const thread = question !== null
+                ? await this.recordChatMessage(question, 'user', profileId, threadId)
+                : await this.findThread(profileId, threadId);
+            const lastMessage = thread ? thread.messages[thread.messages.length - 1] : null;
+            // Deleted, or already answered, while it waited
+            if (!lastMessage || lastMessage.sender !== 'user') {
+                if (loadingMessage) loadingMessage.remove();
+                return;
+            }
+
+            // Prepare context for Claude, in the conversation's persona or else the default one
+            const profile = ProfileManager.getProfiles().find(candidate => candidate.id === profileId);
+            // A queued question may belong to a profile that is no longer active
+            const isActive = profileId === this.profile.id;
+            const settings = isActive
+                ? this.settings
+                : { ...DEFAULT_SETTINGS, ...StorageManager.getSettings(profileId) };
+            const sessions = isActive ? this.sessions : await StorageManager.getSessions(profileId);
+            const rounds = isActive ? this.rounds : await StorageManager.getRounds(profileId);
             const context = {
-                sessions: this.sessions,
-                rounds: this.rounds,
-                handicap: GolfHelpers.calculateHandicap(this.rounds)
+                sessions,
+                rounds,
+                handicap: HandicapEngine.getIndex(rounds),
+                name: profile ? profile.name : '',
+                template: PromptTemplates.resolve([thread.templateId, settings.coachTemplate], profileId).prompt
             };
 
             let response;
-            if (this.claudeAPI.hasApiKey()) {
-                // Use Claude API
-                response = await this.claudeAPI.sendMessage(message, context);
+            if (this.claudeAPI.isReady()) {
+                // Use the coach provider with the conversation so far
+                const reply = await this.claudeAPI.sendConversation(thread, context, {
+                    signal: controller.signal,
+                    onText: (text) => {
+                        partial = text;
+                        if (!loadingMessage) return;
+                        loadingMessage.classList.remove('loading');
+                        loadingMessage.querySelector('.message-note')?.remove();
+                        HtmlUtils.render(loadingText, Markdown.render(text));
+                        chatContainer.scrollTop = chatContainer.scrollHeight;
+                    },
+                    onUsage: (response, model) => {
+                        const entry = UsageTracker.fromResponse(response, model, settings.coachPrices);
+                        usage = UsageTracker.add(usage, entry);
+                        UsageTracker.record(entry);
+                    },
+                    onRetry: ({ attempt, attempts, delayMs, error }) => {
+                        if (!loadingMessage) return;
+                        loadingMessage.querySelector('.message-note')?.remove();
+                        this.addMessageNote(
+                            loadingMessage,
+                            `${error.message}. Retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${attempt} of ${attempts})…`,
+                            'info'
+                        );
+                    }
+                });
+                response = reply.text;
+                if (reply.compacted) {
+                    await this.updateThread(profileId, threadId, current => ({ ...current, ...reply.compacted }));
+                }
             } else {
                 // Fallback to local response
-                response = this.generateCoachingResponse(message);
+                response = this.generateCoachingResponse(lastMessage.text, { sessions, rounds });
             }
 
             // Remove loading message and add real response
-            loadingMessage.remove();
-            this.addMessageToChat(response, 'ai');
+            if (loadingMessage) loadingMessage.remove();
+            await this.recordChatMessage(response, 'ai', profileId, threadId);
+            if (visible()) {
+                this.addMessageToChat(response, 'ai');
+            }
 
         } catch (error) {
-            console.error('Coaching message error:', error);
-            loadingMessage.remove();
-            this.addMessageToChat(
-                `Sorry, I encountered an error: ${error.message}. Please check your API key in settings.`,
-                'ai'
+            if (loadingMessage) loadingMessage.remove();
+            const stopped = error.name === 'AbortError';
+            const guidance = error instanceof CoachingError ? error.guidance : 'Please check the AI Coach settings.';
+
+            if (partial) {
+                // Keep what arrived, with a note saying why it ends early
+                await this.recordChatMessage(partial, 'ai', profileId, threadId);
+                if (visible()) {
+                    this.addMessageNote(
+                        this.addMessageToChat(partial, 'ai'),
+                        stopped ? 'Stopped' : `The reply was interrupted: ${error.message}. ${guidance}`,
+                        stopped ? 'info' : 'error'
+                    );
+                }
+            } else if (error.kind === 'network' && this.isCoachingOffline()) {
+                // The connection dropped: try again once it is back
+                this.queueCoachingReply(profileId, threadId);
+            } else if (!stopped) {
+                console.error('Coaching message error:', error);
+                if (visible()) {
+                    this.addMessageNote(
+                        this.addMessageToChat(`Sorry, I couldn't get a reply: ${error.message}.`, 'ai'),
+                        guidance,
+                        'error'
+                    );
+                }
+            }
+        } finally {
+            if (usage) {
+                await this.updateThread(profileId, threadId, current => ({
+                    ...current,
+                    usage: UsageTracker.add(current.usage, usage)
+                }));
+                this.renderCoachingUsage();
+            }
+            this.coachingRequest = null;
+            this.setCoachingBusy(false);
+        }
+    }
+
+    /**
+     * Ask before sending once this month's estimated cost, across all profiles,
+     * has reached the budget
+     * @returns {boolean} True if the question should be sent
+     */
+    confirmCoachingBudget() {
+        const budget = StorageManager.getCoachingBudget();
+        if (!budget || !this.claudeAPI.requiresNetwork()) return true;
+
+        const month = UsageTracker.monthTotal(StorageManager.getCoachingUsage());
+        if (!month || month.cost < budget) return true;
+
+        return confirm(
+            `You've used about ${UsageTracker.formatCost(month.cost)} of your ${UsageTracker.formatCost(budget)} ` +
+            'monthly AI coaching budget. Send this question anyway?'
+        );
+    }
+
+    /**
+     * Refresh the AI coach usage panel in Settings
+     */
+    renderCoachingUsage() {
+        if (!this.components.usagePanel) return;
+
+        this.components.usagePanel.update({
+            log: StorageManager.getCoachingUsage(),
+            budget: StorageManager.getCoachingBudget()
+        });
+    }
+
+    /**
+     * Check if the coach has to wait for a connection
+     * @returns {boolean} True if the provider needs the network and the browser is offline
+     */
+    isCoachingOffline() {
+        return this.claudeAPI.requiresNetwork() && navigator.onLine === false;
+    }
+
+    /**
+     * Remember a thread whose latest question should be answered once back online
+     * @param {number} profileId - Profile the conversation belongs to
+     * @param {number} threadId - Thread id
+     * @param {HTMLElement} messageDiv - The question in the chat, if shown, to mark as waiting
+     */
+    queueCoachingReply(profileId, threadId, messageDiv = null) {
+        const queue = StorageManager.getCoachingQueue();
+        // Questions in the same thread are sent together, so it only needs to wait once
+        if (!queue.some(entry => entry.profileId === profileId && entry.threadId === threadId)) {
+            StorageManager.setCoachingQueue([...queue, { profileId, threadId }]);
+        }
+
+        const chatContainer = document.getElementById('chatContainer');
+        const question = messageDiv || (profileId === this.profile.id && threadId === this.activeThreadId
+            ? chatContainer?.querySelector(':scope > .user-message:last-child')
+            : null);
+        this.addMessageNote(question, 'Waiting for a connection: this will be sent when you are back online', 'info');
+    }
+
+    /**
+     * Answer questions asked while offline, oldest first
+     */
+    async sendQueuedCoachingReplies() {
+        while (!this.coachingRequest && !this.isCoachingOffline() && this.claudeAPI.isReady()) {
+            const [next, ...rest] = StorageManager.getCoachingQueue();
+            if (!next) return;
+
+            StorageManager.setCoachingQueue(rest);
+            if (next.profileId === this.profile.id && next.threadId === this.activeThreadId) {
+                document.querySelectorAll('#chatContainer .user-message .message-note').forEach(note => note.remove());
+            }
+            await this.requestCoachingReply(next.profileId, next.threadId, null);
+        }
+    }
+
+    /**
+     * Find one of a profile's threads
+     * @param {number} profileId - Profile id
+     * @param {number} threadId - Thread id
+     * @returns {Promise<Object|null>} Thread or null
+     */
+    async findThread(profileId, threadId) {
+        const threads = profileId === this.profile.id ? this.threads : await ThreadManager.list(profileId);
+        return threads.find(thread => thread.id === threadId) || null;
+    }
+
+    /**
+     * Swap the send button for a stop button while a reply is on its way
+     * @param {boolean} busy - Whether a reply is being generated
+     */
+    setCoachingBusy(busy) {
+        const sendButton = document.getElementById('sendMessage');
+        const stopButton = document.getElementById('stopMessage');
+
+        if (sendButton) sendButton.hidden = busy;
+        if (stopButton) stopButton.hidden = !busy;
+    }
+
+    /**
+     * Add a short status line under a chat message
+     * @param {HTMLElement} messageDiv - Message from addMessageToChat
+     * @param {string} text - Note text
+     * @param {string} type - 'info' or 'error'
+     */
+    addMessageNote(messageDiv, text, type = 'info') {
+        if (!messageDiv) return;
+
+        const note = document.createElement('p');
+        note.className = `message-note message-note--${type}`;
+        note.textContent = text;
+        messageDiv.querySelector('.message-content').appendChild(note);
+    }
+
+    /**
+     * Save a chat message to one of a profile's threads
+     * @param {string} text - Message text
+     * @param {string} sender - 'user' or 'ai'
+     * @param {number} profileId - Profile the conversation belongs to
+     * @param {number} threadId - Thread the message belongs to
+     * @returns {Promise<Object>} Updated thread
+     */
+    recordChatMessage(text, sender, profileId, threadId) {
+        return this.updateThread(profileId, threadId, thread => ThreadManager.addMessage(thread, sender, text));
+    }
+
+    /**
+     * Change one of a profile's threads and save them all
+     * @param {number} profileId - Profile the thread belongs to
+     * @param {number} threadId - Thread id; the thread is started if it doesn't exist yet
+     * @param {Function} change - Receives the thread and returns the updated one
+     * @returns {Promise<Object>} Updated thread
+     */
+    async updateThread(profileId, threadId, change) {
+        const active = profileId === this.profile.id;
+        const threads = active ? this.threads : await ThreadManager.list(profileId);
+        const settings = active ? this.settings : { ...DEFAULT_SETTINGS, ...StorageManager.getSettings(profileId) };
+        const thread = threads.find(existing => existing.id === threadId)
+            || { ...ThreadManager.create(threads, settings.coachTemplate), id: threadId };
+
+        const updated = change(thread);
+        const next = ThreadManager.prune([updated, ...threads.filter(existing => existing.id !== threadId)]);
+
+        if (active) {
+            this.threads = next;
+            this.renderThreads();
+        }
+        if (!await ThreadManager.save(next, profileId)) {
+            UIUtils.showNotification('Could not save the conversation', 'error');
+        }
+        return updated;
+    }
+
+    /**
+     * Show a thread in the chat
+     * @param {number|null} threadId - Thread id, or null to start a new conversation
+     */
+    openThread(threadId) {
+        this.activeThreadId = threadId;
+        this.renderChatHistory();
+
+        const input = document.getElementById('coachingInput');
+        if (input) input.focus();
+    }
+
+    /**
+     * Delete a conversation
+     * @param {number} threadId - Thread id
+     */
+    async deleteThread(threadId) {
+        const thread = this.threads.find(existing => existing.id === threadId);
+        if (!thread || !confirm(`Delete the conversation "${thread.title || 'Untitled conversation'}"?`)) return;
+
+        this.threads = this.threads.filter(existing => existing.id !== threadId);
+        if (this.activeThreadId === threadId) {
+            this.activeThreadId = this.threads.length > 0 ? this.threads[0].id : null;
+        }
+        this.renderChatHistory();
+
+        if (!await ThreadManager.save(this.threads, this.profile.id)) {
+            UIUtils.showNotification('Could not delete the conversation', 'error');
+        }
+    }
+
+    /**
+     * Replace the chat with the active thread's messages, keeping the welcome message
+     */
+    renderChatHistory() {
+        const chatContainer = document.getElementById('chatContainer');
+        if (!chatContainer) return;
+
+        const thread = this.threads.find(existing => existing.id === this.activeThreadId);
+        chatContainer.querySelectorAll(':scope > .message:not(:first-child)').forEach(message => message.remove());
+        if (thread) {
+            thread.messages.forEach(entry => this.addMessageToChat(entry.text, entry.sender, false, new Date(entry.time)));
+        }
+        this.renderThreads();
+    }
+
+    /**
+     * Refresh the conversation list with the active profile's threads
+     */
+    renderThreads() {
+        if (!this.components.threadList) return;
+
+        const thread = this.threads.find(existing => existing.id === this.activeThreadId);
+        this.components.threadList.update({
+            threads: this.threads,
+            activeThreadId: this.activeThreadId,
+            templates: PromptTemplates.list(),
+            templateId: PromptTemplates.resolve([thread?.templateId, this.settings.coachTemplate]).id
+        });
+    }
+
+    /**
+     * Choose the persona of the open conversation; before the first question,
+     * the choice is kept as the one new conversations start with
+     * @param {string} templateId - Prompt template id
+     */
+    async setThreadTemplate(templateId) {
+        const thread = this.threads.find(existing => existing.id === this.activeThreadId);
+        if (thread) {
+            await this.updateThread(this.profile.id, thread.id, current => ({ ...current, templateId }));
+            return;
+        }
+
+        this.settings = { ...this.settings, coachTemplate: templateId };
+        StorageManager.setSettings(this.settings);
+    }
+
+    /**
+     * Refresh the prompt template list in Settings and the persona choice in the coaching tab
+     */
+    renderCoachTemplates() {
+        if (this.components.templateEditor) {
+            this.components.templateEditor.update({ templates: PromptTemplates.list() });
+        }
+        this.renderThreads();
+    }
+
+    /**
+     * Save a template from the template editor
+     * @param {Object} template - { id, name, prompt }; id is null for a new template
+     */
+    saveCoachTemplate(template) {
+        if (!PromptTemplates.save(template)) {
+            UIUtils.showNotification(
+                `Could not save the template (at most ${COACHING_CONFIG.MAX_TEMPLATES} of your own)`,
+                'error'
             );
+        } else {
+            UIUtils.showNotification(`Saved "${template.name.trim()}"`, 'success');
+        }
+        this.renderCoachTemplates();
+    }
+
+    /**
+     * Delete one of the profile's templates; conversations using it go back to the default persona
+     * @param {Object} template - Template
+     */
+    deleteCoachTemplate(template) {
+        if (!confirm(`Delete the template "${template.name}"? Conversations using it will use the default persona.`)) return;
+
+        PromptTemplates.remove(template.id);
+        if (this.settings.coachTemplate === template.id) {
+            this.settings = { ...this.settings, coachTemplate: PromptTemplates.DEFAULT_ID };
+            StorageManager.setSettings(this.settings);
+        }
+        this.renderCoachTemplates();
+    }
+
+    /**
+     * Download the profile's own templates
+     */
+    exportCoachTemplates() {
+        const templates = PromptTemplates.list().filter(template => !template.builtIn);
+        UIUtils.downloadFile(
+            PromptTemplates.exportFile(templates),
+            `golf-coach-templates-${new Date().toISOString().split('T')[0]}.json`,
+            'application/json'
+        );
+    }
+
+    /**
+     * Add templates read from an export file
+     * @param {Object} detail - { templates, errors, fileName } from the template editor
+     */
+    importCoachTemplates({ templates, errors, fileName }) {
+        const result = PromptTemplates.import(templates);
+        if (!result) {
+            UIUtils.showNotification('Could not save the imported templates', 'error');
+            return;
         }
+
+        const skipped = result.skipped + errors.length;
+        UIUtils.showNotification(
+            `${fileName}: added ${result.added}, updated ${result.updated} templates`
+                + (skipped > 0 ? ` (${skipped} skipped${errors.length > 0 ? `: ${errors.join('; ')}` : ''})` : ''),
+            skipped > 0 ? 'info' : 'success',
+            skipped > 0 ? 6000 : 3000
+        );
+        this.renderCoachTemplates();
     }
 
     /**
      * Add message to chat
      */
-    addMessageToChat(message, sender, isLoading = false) {
+    addMessageToChat(message, sender, isLoading = false, time = new Date()) {
         const chatContainer = document.getElementById('chatContainer');
         if (!chatContainer) return;
 
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${sender}-message ${isLoading ? 'loading' : ''}`;
 
-        const now = new Date();
-        const timeString = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const timeString = time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-        messageDiv.innerHTML = `
+        HtmlUtils.render(messageDiv, html`
             <div class="message-avatar">
                 <div class="avatar-circle small">
                     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
@@ -546,9 +1862,13 @@ class GolfTrackerApp {
                     <span class="sender-name">${sender === 'ai' ? 'Claude AI' : 'You'}</span>
                     <span class="message-time">${timeString}</span>
                 </div>
-                <div class="message-text">${message}</div>
+                <div class="message-text">${sender === 'ai' ? Markdown.render(message) : message}</div>
             </div>
-        `;
+        `);
+
+        if (sender === 'ai' && !isLoading) {
+            this.addDrillActions(messageDiv.querySelector('.message-text'));
+        }
 
         chatContainer.appendChild(messageDiv);
         chatContainer.scrollTop = chatContainer.scrollHeight;
@@ -556,28 +1876,95 @@ class GolfTrackerApp {
         return messageDiv;
     }
 
+    /**
+     * Add copy and save buttons under each list in an AI reply
+     * @param {HTMLElement} messageText - Rendered reply
+     */
+    addDrillActions(messageText) {
+        messageText.querySelectorAll(':scope > ul, :scope > ol').forEach(list => {
+            if (list.children.length < 2) return;
+
+            const actions = document.createElement('div');
+            actions.className = 'drill-actions';
+            HtmlUtils.render(actions, html`
+                <button type="button" class="btn btn--ghost btn--sm" data-drill-action="copy">Copy</button>
+                <button type="button" class="btn btn--ghost btn--sm" data-drill-action="save">Save as practice plan</button>
+            `);
+            list.after(actions);
+        });
+    }
+
+    /**
+     * Copy a plan or drill list to the clipboard as a checklist
+     * @param {Object} plan - { title, drills }
+     */
+    async copyPracticePlan(plan) {
+        if (await UIUtils.copyToClipboard(PracticePlans.toText(plan))) {
+            UIUtils.showNotification('Copied to clipboard', 'success');
+        } else {
+            UIUtils.showNotification('Could not copy to the clipboard', 'error');
+        }
+    }
+
+    /**
+     * Save a drill list from an AI reply as a practice plan
+     * @param {Object} plan - { title, drills }
+     */
+    savePracticePlan(plan) {
+        if (!PracticePlans.save(plan, this.profile.id)) {
+            UIUtils.showNotification('Could not save the practice plan', 'error');
+            return;
+        }
+
+        this.renderPracticePlans();
+        UIUtils.showNotification(`Saved "${plan.title}" to your practice plans`, 'success');
+    }
+
+    /**
+     * Delete a saved practice plan
+     * @param {Object} plan - Plan to delete
+     */
+    deletePracticePlan(plan) {
+        if (!plan || !confirm(`Delete the practice plan "${plan.title}"?`)) return;
+
+        PracticePlans.remove(plan.id, this.profile.id);
+        this.renderPracticePlans();
+        UIUtils.showNotification('Practice plan deleted', 'success');
+    }
+
+    /**
+     * Refresh the saved plan list with the active profile's plans
+     */
+    renderPracticePlans() {
+        if (!this.components.practicePlans) return;
+
+        this.components.practicePlans.update({ plans: PracticePlans.list(this.profile.id) });
+    }
+
     /**
      * Generate coaching response
+     * @param {string} message - Golfer's question
+     * @param {Object} data - { sessions, rounds } of the profile asking
      */
-    generateCoachingResponse(message) {
+    generateCoachingResponse(message, { sessions, rounds }) {
         const lowerMessage = message.toLowerCase();
 
         if (lowerMessage.includes('handicap') || lowerMessage.includes('trend')) {
-            const handicap = GolfHelpers.calculateHandicap(this.rounds);
+            const handicap = HandicapEngine.getIndex(rounds);
             if (handicap === null) {
                 return "You need at least 3 rounds to establish a handicap. Keep playing and logging your rounds!";
             }
-            return `Your current handicap is ${handicap}. Based on your ${this.rounds.length} rounds, you're showing good progress. Keep practicing to lower it further!`;
+            return `Your current handicap is ${handicap}. Based on your ${rounds.length} rounds, you're showing good progress. Keep practicing to lower it further!`;
         }
 
         if (lowerMessage.includes('practice') || lowerMessage.includes('drill')) {
-            const totalSessions = this.sessions.length;
-            const avgRating = GolfHelpers.calculateAverage(this.sessions.map(s => s.rating));
+            const totalSessions = sessions.length;
+            const avgRating = GolfHelpers.calculateAverage(sessions.map(s => s.rating));
             return `You've logged ${totalSessions} practice sessions with an average rating of ${avgRating}/5. Focus on your weakest areas and consider more targeted practice sessions.`;
         }
 
         if (lowerMessage.includes('weakness') || lowerMessage.includes('improve')) {
-            const focusAreas = this.sessions.map(s => s.focus);
+            const focusAreas = sessions.map(s => s.focus);
             const focusCounts = focusAreas.reduce((acc, focus) => {
                 acc[focus] = (acc[focus] || 0) + 1;
                 return acc;
@@ -599,63 +1986,606 @@ class GolfTrackerApp {
         form.defaultDuration.value = this.settings.defaultDuration;
         form.theme.value = this.settings.theme;
         form.notifications.value = this.settings.notifications;
+        form.nineHoleMethod.value = this.settings.nineHoleMethod;
+        form.syncUrl.value = this.settings.syncUrl;
+        form.syncSpace.value = this.settings.syncSpace;
+        form.syncToken.value = '';
+        form.syncToken.placeholder = this.settings.syncToken
+            ? 'Token is set (enter new token to update)'
+            : 'Optional, if the server requires one';
+        this.renderSyncStatus();
+
+        form.coachProvider.value = this.settings.coachProvider;
+        form.coachModel.value = this.settings.coachModel;
+        form.coachMaxTokens.value = this.settings.coachMaxTokens;
+        form.coachEndpoint.value = this.settings.coachEndpoint;
+        form.coachContextTokens.value = this.settings.coachContextTokens;
+        this.showCoachProviderFields(this.settings.coachProvider);
+
+        form.coachMonthlyBudget.value = StorageManager.getCoachingBudget() || '';
+        const priceModel = document.getElementById('coachPriceModel');
+        if (priceModel) priceModel.textContent = this.settings.coachModel;
+        const override = this.settings.coachPrices[this.settings.coachModel];
+        const builtInPrice = UsageTracker.getPrice(this.settings.coachModel);
+        form.coachPriceInput.value = override ? override.input : '';
+        form.coachPriceOutput.value = override ? override.output : '';
+        form.coachPriceInput.placeholder = `Input${builtInPrice ? ` (default ${builtInPrice.input})` : ': unknown, please set'}`;
+        form.coachPriceOutput.placeholder = `Output${builtInPrice ? ` (default ${builtInPrice.output})` : ': unknown, please set'}`;
+        this.renderCoachingUsage();
 
         // Load existing API key (masked)
         const existingKey = this.claudeAPI.getApiKey();
         if (existingKey) {
             form.claudeApiKey.placeholder = 'API key is set (enter new key to update)';
             form.claudeApiKey.value = '';
+        } else if (this.claudeAPI.isApiKeyLocked()) {
+            form.claudeApiKey.placeholder = 'API key is encrypted (unlock to use or change it)';
+            form.claudeApiKey.value = '';
+        }
+    }
+
+    /**
+     * Show the settings that only apply to the chosen coach provider
+     * @param {string} provider - 'anthropic' or 'mock'
+     */
+    showCoachProviderFields(provider) {
+        const fields = document.getElementById('anthropicSettings');
+        if (fields) {
+            fields.hidden = provider !== 'anthropic';
         }
     }
 
     /**
      * Save sessions to storage
      */
-    saveSessions() {
-        StorageManager.setSessions(this.sessions);
+    async saveSessions() {
+        if (!await StorageManager.setSessions(this.sessions)) {
+            UIUtils.showNotification('Could not save practice sessions', 'error');
+        }
+        this.scheduleSync();
     }
 
     /**
      * Save rounds to storage
      */
-    saveRounds() {
-        StorageManager.setRounds(this.rounds);
+    async saveRounds() {
+        if (!await StorageManager.setRounds(this.rounds)) {
+            UIUtils.showNotification('Could not save rounds', 'error');
+        }
+        this.scheduleSync();
     }
 
     /**
-     * Export all data
+     * Sync the active profile with the configured server
+     * @param {boolean} quiet - Skip notifications (automatic syncs)
      */
-    exportData() {
-        const data = {
-            sessions: this.sessions,
-            rounds: this.rounds,
-            settings: this.settings,
-            exportDate: new Date().toISOString()
-        };
+    async syncNow(quiet = false) {
+        const profileId = this.profile.id;
+        const service = new SyncService(this.settings, profileId);
+
+        if (!service.isConfigured()) {
+            if (!quiet) UIUtils.showNotification('Set a sync server URL and space first', 'error');
+            return;
+        }
+        // Changes made during a sync go out in another one straight after it
+        if (this.syncing) {
+            this.syncPending = true;
+            return;
+        }
+
+        this.syncing = true;
+        this.renderSyncStatus('Syncing...');
+
+        try {
+            // A copy, so edits made while the sync runs can be told apart from what it sent
+            const sent = structuredClone({ sessions: this.sessions, rounds: this.rounds });
+            const result = await service.sync(sent);
+            await this.applySyncChanges(result.changes, profileId, sent);
+
+            this.syncError = null;
+            if (!quiet) {
+                UIUtils.showNotification(
+                    `Synced: ${result.pushed} sent, ${result.pulled} received`
+                        + (result.conflicts > 0 ? `, ${result.conflicts} conflicts resolved by the server` : ''),
+                    'success'
+                );
+            }
+        } catch (error) {
+            console.error('Sync error:', error);
+            this.syncError = error.message;
+            if (!quiet) UIUtils.showNotification(`Sync failed: ${error.message}`, 'error');
+        } finally {
+            this.syncing = false;
+            this.renderSyncStatus();
+        }
+
+        if (this.syncPending) {
+            this.syncPending = false;
+            await this.syncNow(true);
+        }
+    }
+
+    /**
+     * Apply records received from the sync server
+     * @param {Array} changes - Changes from SyncService.sync()
+     * @param {number} profileId - Profile the sync ran for
+     * @param {Object} sent - The { sessions, rounds } the sync started from
+     */
+    async applySyncChanges(changes, profileId, sent) {
+        if (changes.length === 0) return;
+
+        for (const type of SYNC_CONFIG.RECORD_TYPES) {
+            let typeChanges = changes.filter(change => change.type === type);
+            if (typeChanges.length === 0) continue;
+
+            // Save directly so applying server data doesn't schedule another sync
+            if (profileId !== this.profile.id) {
+                const stored = await StorageManager.getRecords(type, profileId);
+                await StorageManager.setRecords(type, SyncService.applyChanges(stored, typeChanges), profileId);
+                continue;
+            }
+
+            // Records edited while the sync ran keep the local version; the next sync sends it
+            const before = new Map(sent[type].map(record => [record.id, JSON.stringify(record)]));
+            const now = new Map(this[type].map(record => [record.id, JSON.stringify(record)]));
+            typeChanges = typeChanges.filter(change => before.get(change.id) === now.get(change.id));
+
+            // Update this[type] before awaiting, so saves made meanwhile aren't dropped
+            this[type] = SyncService.applyChanges(this[type], typeChanges);
+            await StorageManager.setRecords(type, this[type], profileId);
+        }
+
+        if (profileId === this.profile.id) this.updateUI();
+    }
+
+    /**
+     * Show when the active profile last synced
+     * @param {string} message - Status to show instead of the last sync time
+     */
+    renderSyncStatus(message = null) {
+        const status = document.getElementById('syncStatus');
+        if (!status) return;
+
+        const { lastSync } = StorageManager.getSyncState();
+        status.textContent = message
+            || (this.syncError ? `Last sync failed: ${this.syncError}` : null)
+            || (lastSync ? `Last synced ${new Date(lastSync).toLocaleString()}` : 'Not synced yet');
+    }
+
+    /**
+     * Export the active profile's data, or every profile's
+     * @param {string} scope - 'profile' or 'all'
+     */
+    async exportData(scope = 'profile') {
+        const date = new Date().toISOString().split('T')[0];
+        let data;
+        let filename;
+
+        if (scope === 'all') {
+            const profiles = [];
+            for (const profile of ProfileManager.getProfiles()) {
+                profiles.push({
+                    profile,
+                    sessions: await StorageManager.getSessions(profile.id),
+                    rounds: await StorageManager.getRounds(profile.id),
+                    settings: BackupManager.stripSettings({ ...DEFAULT_SETTINGS, ...StorageManager.getSettings(profile.id) })
+                });
+            }
+            data = { profiles };
+            filename = `golf-data-all-profiles-${date}.json`;
+        } else {
+            data = {
+                profile: this.profile,
+                sessions: this.sessions,
+                rounds: this.rounds,
+                settings: BackupManager.stripSettings(this.settings)
+            };
+            filename = `golf-data-${this.profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${date}.json`;
+        }
+
+        data.courses = StorageManager.getCourses();
+        data.exportDate = new Date().toISOString();
+
+        let content = JSON.stringify(data, null, 2);
+        if (document.getElementById('encryptExport')?.checked) {
+            const passphrase = await this.components.passphraseDialog.open({
+                message: `Choose a passphrase for the export file (${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH}+ characters). It cannot be recovered.`,
+                repeat: true
+            });
+            if (passphrase === null) return;
+
+            content = JSON.stringify(await CryptoUtils.encryptText(passphrase, content), null, 2);
+            filename = filename.replace(/\.json$/, '.encrypted.json');
+        }
+
+        UIUtils.downloadFile(content, filename, 'application/json');
+    }
+
+    /**
+     * Export rounds or practice sessions as CSV
+     * @param {string} type - 'rounds' or 'sessions'
+     */
+    exportCsv(type) {
+        const records = type === 'rounds' ? this.rounds : this.sessions;
+
+        UIUtils.downloadFile(
+            CsvUtils.stringify(records, CSV_COLUMNS[type]),
+            `golf-${type}-${new Date().toISOString().split('T')[0]}.csv`,
+            'text/csv'
+        );
+    }
+
+    /**
+     * Merge records accepted by the CSV import panel
+     * @param {Object} detail - { type, records } from the CSV import panel
+     */
+    applyCsvImport({ type, records }) {
+        const incoming = type === 'rounds'
+            ? records.map(round => DataImporter.normalizeRound(round))
+            : records;
+        const result = GolfHelpers.mergeById(this[type], incoming);
+
+        this[type] = result.records;
+        if (type === 'rounds') {
+            this.saveRounds();
+        } else {
+            this.saveSessions();
+        }
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `golf-data-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        UIUtils.showNotification(
+            `Added ${result.added} ${type === 'rounds' ? 'rounds' : 'sessions'}`
+                + (result.duplicates > 0 ? ` (${result.duplicates} duplicates skipped)` : ''),
+            'success'
+        );
+        this.updateUI();
+    }
+
+    /**
+     * Apply a validated import
+     * @param {Object} detail - { prepared, mode } from the import panel
+     */
+    async applyImport({ prepared, mode }) {
+        // Profiles missing from this browser are only created once the import goes ahead
+        const targets = prepared.format === 'profiles'
+            ? prepared.profiles.map(entry => ({
+                name: entry.profile.name,
+                profile: ProfileManager.findByName(entry.profile.name),
+                prepared: entry
+            }))
+            : [{ name: this.profile.name, profile: this.profile, prepared }];
+
+        if (mode === 'replace') {
+            const names = targets.map(target => target.name).join(', ');
+            const replaced = prepared.format === 'legacy'
+                ? 'practice sessions (rounds are kept)'
+                : 'practice sessions and rounds';
+            if (!confirm(`Replace all ${replaced} for ${names} with this file? What isn't in the file is lost; a backup is kept in Settings.`)) return;
+
+            for (const { profile } of targets) {
+                if (profile && !await this.backupBefore('import', profile.id)) return;
+            }
+        }
+
+        targets.forEach(target => {
+            target.profile = target.profile || ProfileManager.create(target.name);
+        });
+
+        let sessionsAdded = 0;
+        let roundsAdded = 0;
+        let duplicates = 0;
+
+        for (const { profile, prepared: data } of targets) {
+            // Legacy exports have no rounds, so replacing with one leaves the rounds alone
+            const existingSessions = mode === 'replace' ? [] : await StorageManager.getSessions(profile.id);
+            const existingRounds = mode === 'replace' && data.format !== 'legacy'
+                ? []
+                : await StorageManager.getRounds(profile.id);
+            const sessions = GolfHelpers.mergeById(existingSessions, data.sessions);
+            const rounds = GolfHelpers.mergeById(existingRounds, data.rounds);
+
+            await StorageManager.setSessions(sessions.records, profile.id);
+            await StorageManager.setRounds(rounds.records, profile.id);
+
+            // data.settings only holds IMPORTED_SETTINGS; connections and the sync token stay as they are
+            if (mode === 'replace' && data.settings) {
+                StorageManager.setSettings({
+                    ...DEFAULT_SETTINGS,
+                    ...StorageManager.getSettings(profile.id),
+                    ...data.settings
+                }, profile.id);
+            }
+
+            sessionsAdded += sessions.added;
+            roundsAdded += rounds.added;
+            duplicates += sessions.duplicates + rounds.duplicates;
+        }
+
+        // The course library is shared by every profile, so it is merged even when replacing
+        StorageManager.setCourses(GolfHelpers.mergeById(StorageManager.getCourses(), prepared.courses).records);
+
+        UIUtils.showNotification(
+            `Imported ${sessionsAdded} sessions and ${roundsAdded} rounds`
+                + (targets.length > 1 ? ` into ${targets.length} profiles` : '')
+                + (duplicates > 0 ? ` (${duplicates} duplicates skipped)` : ''),
+            'success'
+        );
+
+        await this.loadProfileData();
+        this.updateUI();
+        this.components.profileSwitcher.render();
+        this.components.coursePicker.render();
+        this.populateSettingsForm();
+        this.renderCourseLibrary();
+        this.renderBackups();
     }
 
     /**
      * Clear all data
      */
-    clearData() {
-        if (confirm('Are you sure you want to clear all your golf data? This cannot be undone!')) {
-            StorageManager.clearAll();
-            this.sessions = [];
-            this.rounds = [];
-            this.settings = { ...DEFAULT_SETTINGS };
+    async clearData() {
+        if (confirm(`Are you sure you want to clear all golf data for ${this.profile.name}? A backup is kept in Settings.`)) {
+            if (!await this.backupBefore('clear')) return;
+
+            await StorageManager.clearProfile(this.profile.id, { keepBackups: true });
+            await this.loadProfileData();
+            this.populateSettingsForm();
+            this.renderChatHistory();
+            this.renderPracticePlans();
+            this.renderCoachTemplates();
+            this.renderBackups();
             this.updateUI();
-            UIUtils.showNotification('All data has been cleared', 'success');
+            UIUtils.showNotification(`All data for ${this.profile.name} has been cleared`, 'success');
+        }
+    }
+
+    /**
+     * Get the data a backup of a profile would hold
+     * @param {number} profileId - Profile id
+     * @returns {Promise<Object>} { sessions, rounds, settings }
+     */
+    async getBackupData(profileId = this.profile.id) {
+        if (profileId === this.profile.id) {
+            return { sessions: this.sessions, rounds: this.rounds, settings: this.settings };
+        }
+        return {
+            sessions: await StorageManager.getSessions(profileId),
+            rounds: await StorageManager.getRounds(profileId),
+            settings: { ...DEFAULT_SETTINGS, ...StorageManager.getSettings(profileId) }
+        };
+    }
+
+    /**
+     * Back up a profile before a destructive operation
+     * @param {string} reason - Key from BACKUP_CONFIG.REASONS
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Promise<boolean>} Whether the operation should go ahead
+     */
+    async backupBefore(reason, profileId = this.profile.id) {
+        const data = await this.getBackupData(profileId);
+        if (data.sessions.length === 0 && data.rounds.length === 0) return true;
+
+        if (await BackupManager.create(reason, data, profileId)) return true;
+        return confirm('Could not save a backup first. Continue anyway?');
+    }
+
+    /**
+     * Take the active profile's daily backup if it hasn't been taken today
+     */
+    async runDailyBackup() {
+        if (this.sessions.length === 0 && this.rounds.length === 0) return;
+        if (!BackupManager.isDailyDue(await BackupManager.list(this.profile.id))) return;
+
+        if (!await BackupManager.create('daily', await this.getBackupData(), this.profile.id)) {
+            console.warn('Daily backup could not be saved');
+        }
+    }
+
+    /**
+     * Back up the active profile now
+     */
+    async createBackup() {
+        if (await BackupManager.create('manual', await this.getBackupData(), this.profile.id)) {
+            UIUtils.showNotification('Backup saved', 'success');
+        } else {
+            UIUtils.showNotification('Could not save a backup', 'error');
+        }
+        this.renderBackups();
+    }
+
+    /**
+     * Replace the active profile's sessions, rounds and settings with a backup
+     * @param {Object} backup - Backup to restore
+     */
+    async restoreBackup(backup) {
+        if (!backup) return;
+
+        const date = new Date(backup.createdAt).toLocaleString();
+        if (!confirm(`Restore the backup from ${date}? Your current data is backed up first.`)) return;
+        if (!await this.backupBefore('restore')) return;
+
+        const settings = { ...DEFAULT_SETTINGS, ...backup.settings };
+        BACKUP_CONFIG.EXCLUDED_SETTINGS.forEach(key => {
+            settings[key] = this.settings[key];
+        });
+
+        this.sessions = backup.sessions.map(session => ({ ...session }));
+        this.rounds = backup.rounds.map(round => ({ ...round }));
+        this.settings = settings;
+        StorageManager.setSettings(this.settings);
+        await this.saveSessions();
+        await this.saveRounds();
+        HandicapEngine.configure({ nineHoleMethod: this.settings.nineHoleMethod });
+        this.claudeAPI.configure(this.settings);
+
+        this.populateSettingsForm();
+        this.renderBackups();
+        this.updateUI();
+        UIUtils.showNotification(`Restored the backup from ${date}`, 'success');
+    }
+
+    /**
+     * Refresh the backup list with the active profile's backups and the deleted profiles
+     */
+    async renderBackups() {
+        if (!this.components.backupBrowser) return;
+
+        this.components.backupBrowser.update({
+            backups: await BackupManager.list(this.profile.id),
+            current: await this.getBackupData(),
+            deletedProfiles: ProfileManager.getDeleted()
+        });
+    }
+
+    /**
+     * Back up a profile, delete it and switch to the first remaining one
+     * @param {Object} profile - Profile to delete
+     */
+    async deleteProfile(profile) {
+        if (!await this.backupBefore('delete', profile.id)) return;
+
+        if (!await ProfileManager.remove(profile.id)) {
+            UIUtils.showNotification('Could not delete this profile', 'error');
+            return;
+        }
+
+        // With no backups there is nothing to restore, so don't list it
+        const kept = (await BackupManager.list(profile.id)).length > 0;
+        if (!kept) await ProfileManager.discard(profile.id);
+
+        UIUtils.showNotification(`Deleted ${profile.name}` + (kept ? '; a backup is kept in Settings' : ''), 'success');
+        await this.switchProfile(ProfileManager.getProfiles()[0].id);
+    }
+
+    /**
+     * Bring a deleted profile back from its newest backup and switch to it
+     * @param {number} profileId - Deleted profile id
+     */
+    async restoreDeletedProfile(profileId) {
+        const [backup] = await BackupManager.list(profileId);
+        const profile = ProfileManager.undelete(profileId);
+        if (!profile) return;
+
+        if (backup) {
+            await StorageManager.setSessions(backup.sessions.map(session => ({ ...session })), profileId);
+            await StorageManager.setRounds(backup.rounds.map(round => ({ ...round })), profileId);
+            StorageManager.setSettings({ ...DEFAULT_SETTINGS, ...backup.settings }, profileId);
+        }
+
+        UIUtils.showNotification(`Restored ${profile.name}`, 'success');
+        await this.switchProfile(profileId);
+    }
+
+    /**
+     * Remove a deleted profile's backups for good
+     * @param {number} profileId - Deleted profile id
+     */
+    async discardDeletedProfile(profileId) {
+        const profile = ProfileManager.getDeleted().find(candidate => candidate.id === profileId);
+        if (!profile || !confirm(`Remove the backups of ${profile.name} for good? This cannot be undone!`)) return;
+
+        if (await ProfileManager.discard(profileId)) {
+            UIUtils.showNotification(`Removed the backups of ${profile.name}`, 'success');
+        } else {
+            UIUtils.showNotification('Could not remove these backups', 'error');
+        }
+        this.renderBackups();
+    }
+
+    /**
+     * Ask for the passphrase and start using the unlocked key
+     * @returns {Promise<boolean>} Whether the vault was unlocked
+     */
+    async promptUnlock() {
+        if (!this.components.unlockDialog) {
+            this.components.unlockDialog = new UnlockDialog('#unlockDialog');
+            this.components.unlockDialog.init();
+            this.components.unlockDialog.on('resetRequested', () => {
+                this.resetEncryption();
+            });
+        }
+
+        // Without the key encrypted records can't be read, so the dialog can't be skipped
+        if (!await this.components.unlockDialog.open({ required: Vault.isDataEncrypted() })) return false;
+
+        if (Vault.isDataEncrypted()) {
+            StorageManager.useCipher(Vault);
+        }
+        await this.claudeAPI.loadApiKey();
+        return true;
+    }
+
+    /**
+     * Turn on passphrase encryption for the API key and, optionally, all records
+     * @param {Object} detail - { passphrase, encryptData } from the encryption panel
+     */
+    async enableEncryption({ passphrase, encryptData }) {
+        const apiKey = this.claudeAPI.getApiKey();
+
+        await Vault.enable(passphrase);
+        if (apiKey) {
+            await this.claudeAPI.setApiKey(apiKey);
+        }
+
+        if (encryptData) {
+            // Mark first: records are read through the cipher from here on, encrypted or not
+            Vault.setDataEncrypted(true);
+            if (!await StorageManager.setCipher(Vault)) {
+                StorageManager.useCipher(Vault);
+                UIUtils.showNotification('Some records could not be encrypted; they will be when next saved', 'error');
+            }
+        }
+
+        this.components.encryptionPanel.render();
+        this.populateSettingsForm();
+        UIUtils.showNotification('Encryption is on. Keep your passphrase safe: it cannot be recovered.', 'success');
+    }
+
+    /**
+     * Turn encryption off, decrypting records and the API key
+     */
+    async disableEncryption() {
+        if (!confirm('Turn off encryption? Your API key and data will be stored unencrypted in this browser.')) return;
+
+        // Decrypt before forgetting the key so nothing is left unreadable
+        if (Vault.isDataEncrypted() && !await StorageManager.setCipher(null)) {
+            UIUtils.showNotification('Could not decrypt your records; encryption is still on', 'error');
+            return;
+        }
+
+        const apiKey = this.claudeAPI.getApiKey();
+        Vault.disable();
+        if (apiKey) {
+            await this.claudeAPI.setApiKey(apiKey);
+        }
+
+        this.components.encryptionPanel.render();
+        this.populateSettingsForm();
+        UIUtils.showNotification('Encryption is off', 'success');
+    }
+
+    /**
+     * Forget the key and reload, so nothing decrypted stays in memory
+     */
+    lock() {
+        Vault.lock();
+        window.location.reload();
+    }
+
+    /**
+     * Erase everything the forgotten passphrase protects and start over
+     */
+    async resetEncryption() {
+        const erased = Vault.isDataEncrypted()
+            ? 'every profile\'s sessions, rounds and backups and the saved API key'
+            : 'the saved API key';
+        if (!confirm(`Without the passphrase encrypted data can't be recovered. Erase ${erased} and turn encryption off?`)) return;
+
+        if (Vault.isDataEncrypted()) {
+            await StorageManager.clearRecords();
         }
+        this.claudeAPI.clearApiKey();
+        Vault.disable();
+        window.location.reload();
     }
 }
 
@@ -0,0 +1,237 @@
+import { CoachingError, RequestPipeline } from '../utils/requests.js';
+import { LLM_CONFIG } from '../utils/constants.js';
+
+/**
+ * Coaching provider that calls the Anthropic Messages API, directly or through a
+ * compatible proxy
+ *
+ * Providers share isReady, requiresNetwork and createMessage, which makes a
+ * single Messages API call and resolves with the message
+ * ({ content, stop_reason, model, usage }); see MockProvider.
+ */
+export class AnthropicProvider {
+    /**
+     * @param {Object} options - { endpoint, model, maxTokens, getApiKey }; getApiKey
+     *   is asked for the key on every request so a key saved later is picked up
+     */
+    constructor({ endpoint, model, maxTokens, getApiKey } = {}) {
+        this.endpoint = endpoint || LLM_CONFIG.DEFAULT_ENDPOINT;
+        this.model = model || LLM_CONFIG.DEFAULT_MODEL;
+        this.maxTokens = maxTokens || LLM_CONFIG.DEFAULT_MAX_TOKENS;
+        this.getApiKey = getApiKey || (() => null);
+    }
+
+    /**
+     * Get the text of a message's content blocks, from any provider
+     * @param {Array} content - Content blocks
+     * @returns {string} Text
+     */
+    static getText(content) {
+        return content.filter(block => block && block.type === 'text').map(block => block.text).join('');
+    }
+
+    /**
+     * Check if requests can be made
+     * @returns {boolean} True if an API key is available
+     */
+    isReady() {
+        return !!this.getApiKey();
+    }
+
+    /**
+     * @returns {boolean} Always true: replies come from the network
+     */
+    requiresNetwork() {
+        return true;
+    }
+
+    /**
+     * Make one Messages API call
+     * @param {Object} options - { system, messages, maxTokens, signal, tools, toolChoice, onText, onPartialUsage }.
+     *   With onText the reply is streamed and onText(textSoFar) is called as each piece arrives;
+     *   if the stream then ends early, onPartialUsage(usage, model) gets the tokens billed so far
+     * @returns {Promise<Object>} The message: { content, stop_reason, model, usage }
+     * @throws {DOMException} AbortError when the signal cancels the request
+     * @throws {CoachingError} When the request fails
+     */
+    async createMessage({ system, messages, maxTokens = this.maxTokens, signal, tools, toolChoice, onText, onPartialUsage }) {
+        const apiKey = this.getApiKey();
+        if (!apiKey) {
+            throw new CoachingError('auth', 'Claude API key not set. Please add your API key in settings.');
+        }
+
+        try {
+            const response = await this.send(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    max_tokens: maxTokens,
+                    system,
+                    messages,
+                    ...(tools ? { tools } : {}),
+                    ...(toolChoice ? { tool_choice: toolChoice } : {}),
+                    stream: Boolean(onText)
+                }),
+                signal
+            });
+
+            if (!response.ok) {
+                throw await this.toError(response);
+            }
+
+            if (onText) {
+                return await this.readStream(response, onText, onPartialUsage);
+            }
+            return await response.json();
+
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Claude API Error:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch, reporting a failure to connect as a network error
+     * @param {string} url - Endpoint
+     * @param {Object} options - fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async send(url, options) {
+        try {
+            return await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            throw new CoachingError('network', `Could not reach ${url}`);
+        }
+    }
+
+    /**
+     * Turn an error response into a CoachingError. The body is usually JSON
+     * but may be an HTML page from a proxy or gateway.
+     * @param {Response} response - Non-OK response
+     * @returns {Promise<CoachingError>} Error
+     */
+    async toError(response) {
+        const body = await response.text().catch(() => '');
+        let apiError = {};
+        try {
+            apiError = JSON.parse(body).error || {};
+        } catch (error) {
+            // Not JSON; fall back to the status line
+        }
+
+        const message = apiError.message || `${response.status} ${response.statusText || 'error'}`;
+        return CoachingError.fromResponse(response.status, `Claude API error: ${message}`, {
+            type: apiError.type,
+            retryAfterMs: RequestPipeline.parseRetryAfter(response.headers?.get('retry-after'))
+        });
+    }
+
+    /**
+     * Read a server-sent event stream from the Messages API
+     * @param {Response} response - Streaming response
+     * @param {Function} onText - Called with the message text so far after each piece
+     * @param {Function} onPartialUsage - Called with (usage, model) when the stream ends before
+     *   the message is complete, since the tokens already generated are billed
+     * @returns {Promise<Object>} The complete message: { content, stop_reason, model, usage }
+     * @throws {DOMException} AbortError when the request is cancelled while streaming
+     * @throws {CoachingError} If the stream reports an error or ends before the message is complete
+     */
+    async readStream(response, onText, onPartialUsage) {
+        const decoder = new TextDecoder();
+        const reader = response.body && response.body.getReader ? response.body.getReader() : null;
+        const content = [];
+        const toolInputs = {};
+        let buffer = '';
+        let stopReason = null;
+        let model = this.model;
+        let usage = {};
+        let complete = false;
+
+        const handleEvent = (block) => {
+            const data = block.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+            if (!data) return;
+
+            const event = JSON.parse(data);
+            switch (event.type) {
+                case 'message_start':
+                    model = event.message?.model || model;
+                    usage = { ...event.message?.usage };
+                    break;
+                case 'content_block_start':
+                    content[event.index] = { ...event.content_block };
+                    if (event.content_block.type === 'tool_use') toolInputs[event.index] = '';
+                    break;
+                case 'content_block_delta':
+                    if (event.delta.type === 'text_delta') {
+                        content[event.index].text += event.delta.text;
+                        onText(AnthropicProvider.getText(content));
+                    } else if (event.delta.type === 'input_json_delta') {
+                        toolInputs[event.index] += event.delta.partial_json;
+                    }
+                    break;
+                case 'content_block_stop':
+                    // Tool input arrives as pieces of JSON that only parse once complete
+                    if (event.index in toolInputs) {
+                        content[event.index].input = toolInputs[event.index] ? JSON.parse(toolInputs[event.index]) : {};
+                    }
+                    break;
+                case 'message_delta':
+                    stopReason = event.delta.stop_reason ?? stopReason;
+                    // Token counts so far, output_tokens growing as the reply is written
+                    usage = { ...usage, ...event.usage };
+                    break;
+                case 'message_stop':
+                    complete = true;
+                    break;
+                case 'error':
+                    throw CoachingError.fromApiError(
+                        event.error?.type,
+                        `Claude API error: ${event.error?.message || 'Unknown error'}`
+                    );
+            }
+        };
+
+        try {
+            // Without a readable body (older browsers) the events are handled once the response has finished
+            if (!reader) {
+                (await response.text()).split(/\r?\n\r?\n/).forEach(handleEvent);
+            } else {
+                for (;;) {
+                    const { done, value } = await reader.read().catch(error => {
+                        if (error.name === 'AbortError') throw error;
+                        throw new CoachingError('network', 'The connection closed before the reply was complete');
+                    });
+                    buffer += decoder.decode(value, { stream: !done });
+
+                    const blocks = buffer.split(/\r?\n\r?\n/);
+                    buffer = done ? '' : blocks.pop();
+                    blocks.forEach(handleEvent);
+
+                    if (done) break;
+                }
+            }
+
+            if (!complete) {
+                throw new CoachingError('network', 'The connection closed before the reply was complete');
+            }
+        } catch (error) {
+            // Usage arrives with message_start, so anything before it wasn't billed
+            if (onPartialUsage && usage.input_tokens !== undefined) {
+                onPartialUsage(usage, model);
+            }
+            throw error;
+        }
+        return { content: content.filter(Boolean), stop_reason: stopReason, model, usage };
+    }
+}
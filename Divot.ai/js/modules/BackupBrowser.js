@@ -0,0 +1,146 @@
+import { BaseComponent } from './BaseComponent.js';
+import { BackupManager } from '../utils/backups.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { html, HtmlUtils } from '../utils/html.js';
+
+// Records listed per change group before the rest are summarised as "and N more"
+const MAX_LISTED = 5;
+
+/**
+ * Settings panel listing the active profile's backups, showing what restoring
+ * one would change, and asking the app to restore it; also lists deleted
+ * profiles whose backups are kept so they can be restored or discarded
+ */
+export class BackupBrowser extends BaseComponent {
+    getDefaultOptions() {
+        return { backups: [], current: { sessions: [], rounds: [], settings: {} }, deletedProfiles: [] };
+    }
+
+    render() {
+        this.select = this.container.querySelector('#backupSelect');
+        this.detailsElement = this.container.querySelector('#backupDetails');
+        this.deletedElement = this.container.querySelector('#deletedProfiles');
+
+        const { backups } = this.data || this.options;
+        const selected = this.select.value;
+
+        HtmlUtils.render(this.select, backups.length > 0
+            ? html`${backups.map(backup => html`<option value="${backup.id}">${new Date(backup.createdAt).toLocaleString()}
+                - ${BackupManager.describe(backup)} (${backup.rounds.length} rounds, ${backup.sessions.length} sessions)</option>`)}`
+            : html`<option value="">No backups yet</option>`);
+        this.select.disabled = backups.length === 0;
+
+        if (backups.some(backup => String(backup.id) === selected)) {
+            this.select.value = selected;
+        }
+        this.renderDetails();
+        this.renderDeleted();
+    }
+
+    bindEvents() {
+        this.select.addEventListener('change', () => this.renderDetails());
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-backup-action]');
+            if (!button) return;
+
+            if (button.dataset.backupAction === 'create') {
+                this.emit('backupRequested');
+            } else if (button.dataset.backupAction === 'restore') {
+                this.emit('backupRestoreRequested', { backup: this.getSelected() });
+            } else if (button.dataset.backupAction === 'restore-profile') {
+                this.emit('deletedProfileRestoreRequested', { profileId: Number(button.dataset.profileId) });
+            } else if (button.dataset.backupAction === 'discard-profile') {
+                this.emit('deletedProfileDiscardRequested', { profileId: Number(button.dataset.profileId) });
+            }
+        });
+    }
+
+    /**
+     * Get the backup chosen in the list
+     * @returns {Object|null} Backup or null
+     */
+    getSelected() {
+        const { backups } = this.data || this.options;
+        return backups.find(backup => String(backup.id) === this.select.value) || null;
+    }
+
+    /**
+     * Show how the selected backup differs from the current data
+     */
+    renderDetails() {
+        const backup = this.getSelected();
+        if (!backup) {
+            this.detailsElement.hidden = true;
+            HtmlUtils.render(this.detailsElement, html``);
+            return;
+        }
+
+        const { current } = this.data || this.options;
+        const diff = BackupManager.diff(backup, current);
+        const groups = [
+            ...this.describeChanges('round', diff.rounds, round => `${GolfHelpers.formatDate(round.date)} ${round.courseName} (${round.totalScore})`),
+            ...this.describeChanges('session', diff.sessions, session => `${GolfHelpers.formatDate(session.date)} ${session.focus}`)
+        ];
+        if (diff.settings.length > 0) {
+            groups.push({ title: `${diff.settings.length} setting${diff.settings.length === 1 ? '' : 's'} changed`, items: diff.settings });
+        }
+
+        this.detailsElement.hidden = false;
+        HtmlUtils.render(this.detailsElement, html`
+            <p class="import-preview__title">Restoring this backup would:</p>
+            ${groups.length > 0 ? groups.map(group => html`
+                <details class="backup-browser__diff">
+                    <summary>${group.title}</summary>
+                    <ul>
+                        ${group.items.slice(0, MAX_LISTED).map(item => html`<li>${item}</li>`)}
+                        ${group.items.length > MAX_LISTED ? html`<li>and ${group.items.length - MAX_LISTED} more</li>` : ''}
+                    </ul>
+                </details>
+            `) : html`<p class="import-preview__counts">Change nothing - it matches your current data</p>`}
+            <div class="settings-buttons">
+                <button type="button" class="btn btn-danger" data-backup-action="restore" ${groups.length === 0 ? html`disabled` : ''}>Restore This Backup</button>
+            </div>
+        `);
+    }
+
+    /**
+     * List deleted profiles whose backups are kept
+     */
+    renderDeleted() {
+        const { deletedProfiles = [] } = this.data || this.options;
+
+        this.deletedElement.hidden = deletedProfiles.length === 0;
+        HtmlUtils.render(this.deletedElement, deletedProfiles.length > 0 ? html`
+            <p class="import-preview__title">Deleted profiles</p>
+            ${deletedProfiles.map(profile => html`
+                <div class="backup-browser__deleted-item">
+                    <span>${profile.name} (deleted ${new Date(profile.deletedAt).toLocaleString()})</span>
+                    <button type="button" class="btn btn--outline btn--sm" data-backup-action="restore-profile"
+                        data-profile-id="${profile.id}">Restore</button>
+                    <button type="button" class="btn btn--danger btn--sm" data-backup-action="discard-profile"
+                        data-profile-id="${profile.id}">Discard Backups</button>
+                </div>
+            `)}
+        ` : html``);
+    }
+
+    /**
+     * Turn one record type's diff into titled lists
+     * @param {string} noun - 'round' or 'session'
+     * @param {Object} changes - { restored, removed, changed }
+     * @param {Function} label - Record to display text
+     * @returns {Array} [{ title, items }] for non-empty groups
+     */
+    describeChanges(noun, changes, label) {
+        const plural = count => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+        return [
+            { title: `Bring back ${plural(changes.restored.length)}`, records: changes.restored },
+            { title: `Remove ${plural(changes.removed.length)} added since`, records: changes.removed },
+            { title: `Undo edits to ${plural(changes.changed.length)}`, records: changes.changed }
+        ]
+            .filter(group => group.records.length > 0)
+            .map(group => ({ title: group.title, items: group.records.map(label) }));
+    }
+}
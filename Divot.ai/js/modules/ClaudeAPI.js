@@ -1,37 +1,117 @@
 import { UIUtils } from '../utils/ui.js';
+import { Vault } from '../utils/vault.js';
+import { CoachingTools } from '../utils/tools.js';
+import { AnthropicProvider } from './AnthropicProvider.js';
+import { MockProvider } from './MockProvider.js';
+import { RequestPipeline } from '../utils/requests.js';
+import { CoachingContext } from '../utils/context.js';
+import { PromptTemplates } from '../utils/templates.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { STORAGE_KEYS, COACHING_CONFIG, DEFAULT_SETTINGS, APP_CONFIG } from '../utils/constants.js';
 
 /**
  * Claude API Integration for AI Coaching
+ *
+ * Builds the prompts and conversations; the requests themselves go through a
+ * provider (AnthropicProvider, or MockProvider for offline use) chosen in settings.
  */
 export class ClaudeAPI {
     constructor() {
         this.apiKey = null;
-        this.baseURL = 'https://api.anthropic.com/v1/messages';
-        this.model = 'claude-3-sonnet-20240229';
-        this.maxTokens = 1000;
+        this.configure(DEFAULT_SETTINGS);
+    }
+
+    /**
+     * Pick the provider and its model, reply length and endpoint, and how much
+     * of the golfer's data goes in the system prompt
+     * @param {Object} settings - Profile settings with coachProvider, coachModel,
+     *   coachMaxTokens, coachEndpoint and coachContextTokens
+     */
+    configure(settings) {
+        const { coachProvider, coachModel, coachMaxTokens, coachEndpoint, coachContextTokens } = {
+            ...DEFAULT_SETTINGS,
+            ...settings
+        };
+
+        this.contextTokens = coachContextTokens;
+
+        this.provider = coachProvider === 'mock'
+            ? new MockProvider()
+            : new AnthropicProvider({
+                endpoint: coachEndpoint,
+                model: coachModel,
+                maxTokens: coachMaxTokens,
+                getApiKey: () => this.getApiKey()
+            });
+    }
+
+    /**
+     * Check if the coach can answer, i.e. the provider has what it needs
+     * @returns {boolean} True if requests can be made
+     */
+    isReady() {
+        return this.provider.isReady();
+    }
+
+    /**
+     * Check if the provider needs a connection to answer
+     * @returns {boolean} True for online providers
+     */
+    requiresNetwork() {
+        return this.provider.requiresNetwork();
     }
 
     /**
      * Set the API key
      * @param {string} apiKey - Claude API key
+     * @returns {Promise<void>}
      */
-    setApiKey(apiKey) {
+    async setApiKey(apiKey) {
+        if (Vault.isEnabled() && !Vault.isUnlocked()) {
+            throw new Error('Unlock encryption before changing the API key');
+        }
+
         this.apiKey = apiKey;
-        // Store in localStorage for persistence
-        localStorage.setItem('claude_api_key', apiKey);
+        // Store in localStorage for persistence, encrypted when a passphrase is set
+        if (Vault.isUnlocked()) {
+            localStorage.setItem(STORAGE_KEYS.ENCRYPTED_API_KEY, JSON.stringify(await Vault.encrypt(apiKey)));
+            localStorage.removeItem(STORAGE_KEYS.CLAUDE_API_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEYS.CLAUDE_API_KEY, apiKey);
+            localStorage.removeItem(STORAGE_KEYS.ENCRYPTED_API_KEY);
+        }
     }
 
     /**
      * Get stored API key
-     * @returns {string|null} API key or null
+     * @returns {string|null} API key or null (also while an encrypted key is locked)
      */
     getApiKey() {
         if (!this.apiKey) {
-            this.apiKey = localStorage.getItem('claude_api_key');
+            this.apiKey = localStorage.getItem(STORAGE_KEYS.CLAUDE_API_KEY);
         }
         return this.apiKey;
     }
 
+    /**
+     * Decrypt the stored API key into memory once the vault is unlocked
+     * @returns {Promise<void>}
+     */
+    async loadApiKey() {
+        const sealed = localStorage.getItem(STORAGE_KEYS.ENCRYPTED_API_KEY);
+        if (sealed && Vault.isUnlocked()) {
+            this.apiKey = await Vault.decrypt(JSON.parse(sealed));
+        }
+    }
+
+    /**
+     * Check if an encrypted API key is waiting to be unlocked
+     * @returns {boolean} True if the key is stored but locked
+     */
+    isApiKeyLocked() {
+        return !this.apiKey && localStorage.getItem(STORAGE_KEYS.ENCRYPTED_API_KEY) !== null;
+    }
+
     /**
      * Check if API key is set
      * @returns {boolean} True if API key is available
@@ -41,128 +121,249 @@ export class ClaudeAPI {
     }
 
     /**
-     * Send message to Claude API
+     * Send a single question to Claude API, without conversation history
      * @param {string} message - User message
      * @param {Object} context - Golf data context
      * @returns {Promise<string>} Claude's response
      */
     async sendMessage(message, context = {}) {
-        if (!this.hasApiKey()) {
-            throw new Error('Claude API key not set. Please add your API key in settings.');
-        }
-
-        const systemPrompt = this.buildSystemPrompt(context);
-
-        try {
-            const response = await fetch(this.baseURL, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey,
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model: this.model,
-                    max_tokens: this.maxTokens,
-                    system: systemPrompt,
-                    messages: [
-                        {
-                            role: 'user',
-                            content: message
-                        }
-                    ]
-                })
-            });
+        return this.request(this.buildSystemPrompt(context), [{ role: 'user', content: message }]);
+    }
 
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(`Claude API error: ${errorData.error?.message || 'Unknown error'}`);
+    /**
+     * Continue a coaching thread whose last message is the new question.
+     * History that no longer fits COACHING_CONFIG.HISTORY_TOKEN_BUDGET is folded
+     * into the thread's summary; if summarizing fails it is simply left out.
+     * The coach can look up the golfer's rounds and practice through CoachingTools.
+     * @param {Object} thread - Thread from ThreadManager
+     * @param {Object} context - Golf data context
+     * @param {Object} options - { signal, onText, onRetry, onUsage } to cancel the request,
+     *   stream the reply, follow retries or count tokens (see request)
+     * @returns {Promise<Object>} { text, compacted } where compacted is
+     *   { summary, summarizedCount } to store on the thread, or null
+     */
+    async sendConversation(thread, context = {}, { signal, onText, onRetry, onUsage } = {}) {
+        const { messages, dropped } = this.buildConversation(thread);
+        let summary = thread.summary;
+        let compacted = null;
+
+        if (dropped.length > 0) {
+            try {
+                summary = await this.summarize(dropped, thread.summary, { signal, onUsage });
+                compacted = { summary, summarizedCount: (thread.summarizedCount || 0) + dropped.length };
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Could not summarize earlier messages, leaving them out:', error);
             }
+        }
 
-            const data = await response.json();
-            return data.content[0].text;
+        const tools = {
+            definitions: CoachingTools.definitions,
+            run: (name, input) => CoachingTools.run(name, input, context)
+        };
+        const text = await this.request(
+            this.buildSystemPrompt({ ...context, summary, tools: true }),
+            messages,
+            { signal, onText, onRetry, onUsage, tools }
+        );
+        return { text, compacted };
+    }
 
-        } catch (error) {
-            console.error('Claude API Error:', error);
-            throw error;
+    /**
+     * Pick the newest messages of a thread that fit the history budget
+     * @param {Object} thread - Thread from ThreadManager
+     * @returns {Object} { messages, dropped }: API messages to send, and the
+     *   thread messages that didn't fit and aren't summarized yet
+     */
+    buildConversation(thread) {
+        const pending = thread.messages.slice(thread.summarizedCount || 0);
+        let kept = 0;
+        let tokens = 0;
+
+        for (let index = pending.length - 1; index >= 0; index--) {
+            const cost = GolfHelpers.estimateTokens(pending[index].text);
+            if (kept > 0 && tokens + cost > COACHING_CONFIG.HISTORY_TOKEN_BUDGET) break;
+            tokens += cost;
+            kept++;
+        }
+
+        // The API expects the conversation to open with a question
+        let start = pending.length - kept;
+        while (start < pending.length - 1 && pending[start].sender !== 'user') {
+            start++;
         }
+
+        return { messages: this.toApiMessages(pending.slice(start)), dropped: pending.slice(0, start) };
     }
 
     /**
-     * Build system prompt with golf context
-     * @param {Object} context - Golf data context
-     * @returns {string} System prompt
+     * Convert thread messages to API messages, merging neighbours from the same
+     * side (e.g. a question whose reply failed, followed by the next question)
+     * @param {Array} messages - Thread messages
+     * @returns {Array} API messages alternating between user and assistant
      */
-    buildSystemPrompt(context) {
-        const { sessions = [], rounds = [], handicap = null } = context;
-
-        let prompt = `You are Claude, an expert AI golf coach and analyst. You help golfers improve their game through data-driven insights and personalized advice.
+    toApiMessages(messages) {
+        return messages.reduce((result, message) => {
+            const role = message.sender === 'user' ? 'user' : 'assistant';
+            const previous = result[result.length - 1];
 
-Your expertise includes:
-- Golf swing mechanics and technique
-- Course management and strategy
-- Practice routines and drills
-- Mental game and course psychology
-- Equipment recommendations
-- Handicap analysis and improvement strategies
+            if (previous && previous.role === role) {
+                previous.content += `\n\n${message.text}`;
+            } else {
+                result.push({ role, content: message.text });
+            }
+            return result;
+        }, []);
+    }
 
-Current golfer data:
-- Practice Sessions: ${sessions.length} total
-- Rounds Played: ${rounds.length} total
-- Current Handicap: ${handicap || 'Not established (need 3+ rounds)'}
+    /**
+     * Summarize part of a conversation so it can be left out of later requests
+     * @param {Array} messages - Thread messages to summarize
+     * @param {string} previousSummary - Summary of the messages before these
+     * @param {Object} options - { signal, onUsage } as for request
+     * @returns {Promise<string>} Updated summary
+     */
+    async summarize(messages, previousSummary = '', { signal, onUsage } = {}) {
+        const transcript = messages
+            .map(message => `${message.sender === 'user' ? 'Golfer' : 'Coach'}: ${message.text}`)
+            .join('\n\n');
+        const content = previousSummary
+            ? `Summary so far:\n${previousSummary}\n\nConversation since then:\n${transcript}`
+            : `Conversation:\n${transcript}`;
+
+        return this.request(
+            'You summarize golf coaching conversations. Write a brief summary of the golfer\'s goals, ' +
+                'the facts they shared, and the advice and drills already given, so the coach can carry on ' +
+                'the conversation without the full transcript. Reply with the summary only.',
+            [{ role: 'user', content }],
+            { maxTokens: COACHING_CONFIG.SUMMARY_MAX_TOKENS, signal, onUsage }
+        );
+    }
 
-Recent Practice Focus Areas: ${this.getPracticeFocusAreas(sessions)}
-Recent Round Performance: ${this.getRoundPerformance(rounds)}
+    /**
+     * Call the Messages API. With tools, any tool calls the model makes are run
+     * and their results sent back until it gives its final answer. Each call
+     * goes through RequestPipeline, so it times out and is retried when it
+     * fails before any of its text has arrived.
+     * @param {string} system - System prompt
+     * @param {Array} messages - API messages
+     * @param {Object} options - { maxTokens, signal, onText, onRetry, onUsage, tools }. maxTokens
+     *   defaults to the provider's; with onText the reply is streamed and onText(textSoFar) is
+     *   called as each piece arrives; onRetry is told about retries (see RequestPipeline.run);
+     *   onUsage(usage, model) gets the usage block of every API response, including streams
+     *   that were stopped or cut off; tools is
+     *   { definitions, run(name, input) }
+     * @returns {Promise<string>} Reply text
+     * @throws {DOMException} AbortError when the signal cancels the request
+     * @throws {CoachingError} When the request fails
+     */
+    async request(system, messages, { maxTokens, signal, onText, onRetry, onUsage, tools } = {}) {
+        const conversation = [...messages];
+        let text = '';
+
+        for (let round = 0; ; round++) {
+            // Text already shown can't be taken back, so a call that fails partway isn't retried
+            let streamed = false;
+            const message = await RequestPipeline.run(({ signal: attemptSignal, touch }) => this.provider.createMessage({
+                system,
+                messages: conversation,
+                maxTokens,
+                signal: attemptSignal,
+                tools: tools ? tools.definitions : undefined,
+                // Past the last allowed round the model has to answer with what it has
+                toolChoice: tools && round >= COACHING_CONFIG.MAX_TOOL_ROUNDS ? { type: 'none' } : undefined,
+                onText: onText ? partial => {
+                    streamed = true;
+                    touch();
+                    onText(this.joinText(text, partial));
+                } : undefined,
+                onPartialUsage: onUsage
+            }), { signal, onRetry, shouldRetry: () => !streamed });
+
+            if (onUsage && message.usage) {
+                onUsage(message.usage, message.model);
+            }
 
-Guidelines for responses:
-1. Be encouraging and positive while being honest about areas for improvement
-2. Provide specific, actionable advice based on the data provided
-3. Use golf terminology appropriately but explain complex concepts clearly
-4. Suggest specific drills or practice routines when relevant
-5. Reference the golfer's actual data when making recommendations
-6. Keep responses concise but comprehensive (aim for 2-3 paragraphs)
-7. Ask follow-up questions to better understand their goals when appropriate
+            text = this.joinText(text, AnthropicProvider.getText(message.content));
 
-Always base your advice on the actual data provided and be specific about what the numbers mean for their game.`;
+            const toolUses = message.content.filter(block => block.type === 'tool_use');
+            if (!tools || message.stop_reason !== 'tool_use' || toolUses.length === 0) {
+                return text;
+            }
 
-        return prompt;
+            conversation.push({ role: 'assistant', content: message.content });
+            conversation.push({
+                role: 'user',
+                content: await Promise.all(toolUses.map(toolUse => this.runTool(tools, toolUse)))
+            });
+        }
     }
 
     /**
-     * Get practice focus areas from sessions
-     * @param {Array} sessions - Practice sessions
-     * @returns {string} Focus areas summary
+     * Run one tool call, turning failures into an error result the model can read
+     * @param {Object} tools - { definitions, run(name, input) }
+     * @param {Object} toolUse - tool_use content block
+     * @returns {Promise<Object>} tool_result content block
      */
-    getPracticeFocusAreas(sessions) {
-        if (sessions.length === 0) return 'No practice data available';
-
-        const focusCounts = sessions.reduce((acc, session) => {
-            acc[session.focus] = (acc[session.focus] || 0) + 1;
-            return acc;
-        }, {});
-
-        const sortedFocus = Object.entries(focusCounts)
-            .sort(([, a], [, b]) => b - a)
-            .slice(0, 3)
-            .map(([focus, count]) => `${focus} (${count} sessions)`)
-            .join(', ');
+    async runTool(tools, toolUse) {
+        try {
+            const result = await tools.run(toolUse.name, toolUse.input);
+            return { type: 'tool_result', tool_use_id: toolUse.id, content: JSON.stringify(result) };
+        } catch (error) {
+            return { type: 'tool_result', tool_use_id: toolUse.id, content: error.message, is_error: true };
+        }
+    }
 
-        return sortedFocus || 'No focus areas recorded';
+    /**
+     * Join the text of successive messages in a tool-use exchange
+     * @param {string} before - Text so far
+     * @param {string} after - Text to add
+     * @returns {string} Combined text
+     */
+    joinText(before, after) {
+        return before && after ? `${before}\n\n${after}` : before || after;
     }
 
     /**
-     * Get round performance summary
-     * @param {Array} rounds - Golf rounds
-     * @returns {string} Performance summary
+     * Build system prompt with golf context
+     * @param {Object} context - Golf data context (sessions, rounds, handicap, name), the
+     *   prompt template to fill in, plus summary of earlier conversation if any and
+     *   whether data lookup tools are available
+     * @returns {string} System prompt
      */
-    getRoundPerformance(rounds) {
-        if (rounds.length === 0) return 'No round data available';
+    buildSystemPrompt(context) {
+        const {
+            sessions = [],
+            rounds = [],
+            handicap = null,
+            name = '',
+            template = PromptTemplates.resolve([]).prompt,
+            summary = '',
+            tools = false
+        } = context;
+        const today = new Date().toISOString().split('T')[0];
+
+        const sections = CoachingContext.sections({ sessions, rounds }, this.contextTokens);
+
+        let prompt = PromptTemplates.render(template, {
+            ...sections,
+            golferData: CoachingContext.join(sections),
+            name: name || 'the golfer',
+            today,
+            handicap: handicap ?? `not established yet (needs ${APP_CONFIG.MIN_ROUNDS_FOR_HANDICAP}+ rounds)`
+        });
+
+        if (tools) {
+            prompt += `\n\nToday's date is ${today}. Any golfer data above is a digest: ` +
+                'use the tools to look up specific rounds, practice sessions and handicap history whenever a question ' +
+                'needs them, rather than guessing.';
+        }
 
-        const recentRounds = rounds.slice(0, 5);
-        const avgScore = recentRounds.reduce((sum, round) => sum + round.totalScore, 0) / recentRounds.length;
-        const avgDifferential = recentRounds.reduce((sum, round) => sum + round.differential, 0) / recentRounds.length;
+        if (summary) {
+            prompt += `\n\nSummary of the earlier part of this conversation:\n${summary}`;
+        }
 
-        return `Average score: ${avgScore.toFixed(1)}, Average differential: ${avgDifferential.toFixed(1)}`;
+        return prompt;
     }
 
     /**
@@ -235,7 +436,8 @@ Always base your advice on the actual data provided and be specific about what t
      */
     clearApiKey() {
         this.apiKey = null;
-        localStorage.removeItem('claude_api_key');
+        localStorage.removeItem(STORAGE_KEYS.CLAUDE_API_KEY);
+        localStorage.removeItem(STORAGE_KEYS.ENCRYPTED_API_KEY);
     }
 }
 
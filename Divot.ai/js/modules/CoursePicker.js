@@ -0,0 +1,89 @@
+import { BaseComponent } from './BaseComponent.js';
+import { CourseLibrary } from '../utils/courses.js';
+import { html, HtmlUtils } from '../utils/html.js';
+
+/**
+ * Course name autocomplete and tee selection for the round form
+ */
+export class CoursePicker extends BaseComponent {
+    getDefaultOptions() {
+        return {
+            nameInput: '#courseName',
+            teeSelect: '#teeSelect',
+            datalist: '#courseOptions'
+        };
+    }
+
+    render() {
+        this.nameInput = document.querySelector(this.options.nameInput);
+        this.teeSelect = document.querySelector(this.options.teeSelect);
+        this.datalist = document.querySelector(this.options.datalist);
+
+        if (this.datalist) {
+            HtmlUtils.render(this.datalist, html`${CourseLibrary.getCourses()
+                .map(course => html`<option value="${course.name}"></option>`)}`);
+        }
+
+        this.renderTees();
+    }
+
+    bindEvents() {
+        if (this.nameInput) {
+            this.nameInput.addEventListener('input', () => this.renderTees());
+        }
+
+        if (this.teeSelect) {
+            this.teeSelect.addEventListener('change', () => {
+                const selection = this.getSelection();
+                if (selection.tee) {
+                    this.emit('teeSelected', selection);
+                }
+            });
+        }
+    }
+
+    /**
+     * Populate the tee select for the course currently typed
+     */
+    renderTees() {
+        if (!this.teeSelect) return;
+
+        this.course = this.nameInput ? CourseLibrary.findByName(this.nameInput.value) : null;
+        const tees = this.course ? this.course.tees : [];
+
+        HtmlUtils.render(this.teeSelect, html`
+            <option value="">${tees.length > 0 ? 'Select tees...' : 'No saved tees for this course'}</option>
+            ${tees.map(tee => html`<option value="${tee.id}">${CourseLibrary.formatTee(tee)}</option>`)}
+        `);
+        this.teeSelect.disabled = tees.length === 0;
+    }
+
+    /**
+     * Get the matched course and selected tee
+     * @returns {Object} { course, tee }
+     */
+    getSelection() {
+        const teeId = this.teeSelect ? parseInt(this.teeSelect.value) : NaN;
+        const tee = this.course && Number.isFinite(teeId)
+            ? this.course.tees.find(candidate => candidate.id === teeId) || null
+            : null;
+
+        return { course: this.course || null, tee };
+    }
+
+    /**
+     * Select a course and tee programmatically
+     * @param {number} courseId - Course id
+     * @param {number} teeId - Tee id
+     */
+    select(courseId, teeId) {
+        const course = CourseLibrary.getCourse(courseId);
+        if (!course || !this.nameInput) return;
+
+        this.nameInput.value = course.name;
+        this.renderTees();
+        if (teeId && this.teeSelect) {
+            this.teeSelect.value = teeId;
+        }
+    }
+}
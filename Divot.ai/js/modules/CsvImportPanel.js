@@ -0,0 +1,157 @@
+import { BaseComponent } from './BaseComponent.js';
+import { CsvUtils } from '../utils/csv.js';
+import { UIUtils } from '../utils/ui.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { CSV_COLUMNS } from '../utils/constants.js';
+
+/**
+ * Settings panel for importing rounds or sessions from a CSV file
+ *
+ * Headers are matched to fields automatically and can be remapped by hand;
+ * rows that fail validation are listed and can be downloaded as a report.
+ */
+export class CsvImportPanel extends BaseComponent {
+    render() {
+        this.fileInput = this.container.querySelector('#csvFile');
+        this.typeSelect = this.container.querySelector('#csvType');
+        this.previewElement = this.container.querySelector('#csvPreview');
+        this.renderPreview();
+    }
+
+    bindEvents() {
+        this.fileInput.addEventListener('change', () => {
+            const [file] = this.fileInput.files;
+            if (file) this.loadFile(file);
+        });
+
+        this.typeSelect.addEventListener('change', () => {
+            if (!this.headers) return;
+            this.mapping = CsvUtils.guessMapping(this.headers, this.getColumns());
+            this.convert();
+        });
+
+        this.previewElement.addEventListener('change', (e) => {
+            const select = e.target.closest('[data-csv-field]');
+            if (!select) return;
+
+            this.mapping[select.dataset.csvField] = parseInt(select.value);
+            this.convert();
+        });
+
+        this.previewElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-csv-action]');
+            if (!button) return;
+
+            switch (button.dataset.csvAction) {
+                case 'confirm':
+                    this.emit('csvImportConfirmed', {
+                        type: this.typeSelect.value,
+                        records: this.result.records
+                    });
+                    this.clear();
+                    break;
+                case 'report':
+                    UIUtils.downloadFile(
+                        CsvUtils.errorReport(this.result.errors),
+                        `${this.fileName.replace(/\.csv$/i, '')}-errors.csv`,
+                        'text/csv'
+                    );
+                    break;
+                default:
+                    this.clear();
+            }
+        });
+    }
+
+    /**
+     * Get column definitions for the selected record type
+     * @returns {Array} Column definitions
+     */
+    getColumns() {
+        return CSV_COLUMNS[this.typeSelect.value];
+    }
+
+    /**
+     * Read a chosen file and guess the column mapping
+     * @param {File} file - CSV file
+     */
+    async loadFile(file) {
+        const rows = CsvUtils.parse(await file.text());
+
+        if (rows.length < 2) {
+            UIUtils.showNotification('CSV import failed: file has no data rows', 'error');
+            this.clear();
+            return;
+        }
+
+        [this.headers, ...this.rows] = rows;
+        this.fileName = file.name;
+        this.mapping = CsvUtils.guessMapping(this.headers, this.getColumns());
+        this.convert();
+    }
+
+    /**
+     * Convert rows with the current mapping and refresh the preview
+     */
+    convert() {
+        this.result = CsvUtils.toRecords(this.rows, this.mapping, this.getColumns());
+        this.renderPreview();
+    }
+
+    /**
+     * Show the column mapping, accepted count and rejected rows
+     */
+    renderPreview() {
+        if (!this.result) {
+            this.previewElement.hidden = true;
+            HtmlUtils.render(this.previewElement, html``);
+            return;
+        }
+
+        const { records, errors } = this.result;
+        const label = this.typeSelect.value === 'rounds' ? 'round' : 'practice session';
+
+        this.previewElement.hidden = false;
+        HtmlUtils.render(this.previewElement, html`
+            <p class="import-preview__title">${this.fileName}</p>
+            <div class="csv-mapping">
+                ${this.getColumns().filter(column => !column.exportOnly).map(column => html`
+                    <label class="csv-mapping__field">
+                        <span>${column.header}${column.required ? ' *' : ''}</span>
+                        <select data-csv-field="${column.key}">
+                            <option value="-1">(not imported)</option>
+                            ${this.headers.map((header, index) => html`
+                                <option value="${index}" ${this.mapping[column.key] === index ? html`selected` : ''}>${header}</option>
+                            `)}
+                        </select>
+                    </label>
+                `)}
+            </div>
+            <ul class="import-preview__counts">
+                <li>${records.length} ${label}${records.length === 1 ? '' : 's'} ready to import</li>
+            </ul>
+            ${errors.length > 0 ? html`
+                <details class="import-preview__errors" open>
+                    <summary>${errors.length} row${errors.length === 1 ? '' : 's'} rejected</summary>
+                    <ul>${errors.map(error => html`<li>Line ${error.line}: ${error.messages.join('; ')}</li>`)}</ul>
+                </details>
+            ` : ''}
+            <div class="settings-buttons">
+                <button type="button" class="btn" data-csv-action="confirm" ${records.length === 0 ? html`disabled` : ''}>Import</button>
+                ${errors.length > 0 ? html`<button type="button" class="btn btn--outline" data-csv-action="report">Download Error Report</button>` : ''}
+                <button type="button" class="btn btn--outline" data-csv-action="cancel">Cancel</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Reset the panel
+     */
+    clear() {
+        this.headers = null;
+        this.rows = null;
+        this.result = null;
+        this.fileInput.value = '';
+        this.renderPreview();
+    }
+}
@@ -0,0 +1,131 @@
+import { BaseComponent } from './BaseComponent.js';
+import { DataImporter } from '../utils/importer.js';
+import { ProfileManager } from '../utils/profiles.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { UIUtils } from '../utils/ui.js';
+
+/**
+ * Settings panel for loading an export file, previewing it and choosing merge or replace
+ */
+export class DataImportPanel extends BaseComponent {
+    getDefaultOptions() {
+        // PassphraseDialog asked for the passphrase of encrypted files
+        return { passphraseDialog: null };
+    }
+
+    render() {
+        this.fileInput = this.container.querySelector('#importFile');
+        this.previewElement = this.container.querySelector('#importPreview');
+        this.renderPreview();
+    }
+
+    bindEvents() {
+        this.fileInput.addEventListener('change', () => {
+            const [file] = this.fileInput.files;
+            if (file) this.loadFile(file);
+        });
+
+        this.previewElement.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-import-action]');
+            if (!button) return;
+
+            if (button.dataset.importAction === 'confirm') {
+                const mode = this.previewElement.querySelector('input[name="importMode"]:checked').value;
+                this.emit('importConfirmed', { prepared: this.prepared, mode });
+            }
+            this.clear();
+        });
+    }
+
+    /**
+     * Read and validate a chosen file
+     * @param {File} file - Export file
+     */
+    async loadFile(file) {
+        try {
+            let text = await file.text();
+
+            const encrypted = CryptoUtils.parseEncryptedFile(text);
+            if (encrypted) {
+                const passphrase = await this.options.passphraseDialog.open({
+                    message: `${file.name} is encrypted. Enter its passphrase:`
+                });
+                if (passphrase === null) {
+                    this.clear();
+                    return;
+                }
+                text = await CryptoUtils.decryptText(passphrase, encrypted);
+            }
+
+            this.prepared = DataImporter.prepare(DataImporter.parse(text));
+            this.fileName = file.name;
+        } catch (error) {
+            this.prepared = null;
+            UIUtils.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+        this.renderPreview();
+    }
+
+    /**
+     * Show counts, rejected records and merge/replace choice
+     */
+    renderPreview() {
+        if (!this.prepared) {
+            this.previewElement.hidden = true;
+            HtmlUtils.render(this.previewElement, html``);
+            return;
+        }
+
+        const { format, sessions, rounds, courses, errors, exportDate } = this.prepared;
+        const hasSettings = format === 'profiles'
+            ? this.prepared.profiles.some(entry => entry.settings)
+            : Boolean(this.prepared.settings);
+        const target = format === 'profiles'
+            ? `Profiles: ${this.prepared.profiles.map(entry => entry.profile.name).join(', ')} (matched by name, missing ones are created)`
+            : `Into profile: ${ProfileManager.getActive().name}`;
+
+        this.previewElement.hidden = false;
+        HtmlUtils.render(this.previewElement, html`
+            <p class="import-preview__title">${this.fileName}</p>
+            <ul class="import-preview__counts">
+                <li>${sessions.length} practice session${sessions.length === 1 ? '' : 's'}</li>
+                <li>${rounds.length} round${rounds.length === 1 ? '' : 's'}</li>
+                ${courses.length > 0 ? html`<li>${courses.length} course${courses.length === 1 ? '' : 's'}</li>` : ''}
+                ${exportDate ? html`<li>Exported ${new Date(exportDate).toLocaleString()}</li>` : ''}
+                ${format === 'legacy' ? html`<li>Older practice-only export (no rounds)</li>` : ''}
+                ${hasSettings ? html`<li>Replacing also takes its display and practice settings; coach and sync connections are kept</li>` : ''}
+                <li>${target}</li>
+            </ul>
+            ${errors.length > 0 ? html`
+                <details class="import-preview__errors">
+                    <summary>${errors.length} record${errors.length === 1 ? '' : 's'} will be skipped</summary>
+                    <ul>${errors.map(error => html`<li>${error}</li>`)}</ul>
+                </details>
+            ` : ''}
+            <div class="import-preview__modes">
+                <label class="checkbox-label">
+                    <input type="radio" name="importMode" value="merge" checked>
+                    Merge with existing data (skip duplicates)
+                </label>
+                <label class="checkbox-label">
+                    <input type="radio" name="importMode" value="replace">
+                    Replace existing data${format === 'profiles' ? ' of these profiles' : ''}
+                </label>
+            </div>
+            <div class="settings-buttons">
+                <button type="button" class="btn" data-import-action="confirm">Import</button>
+                <button type="button" class="btn btn--outline" data-import-action="cancel">Cancel</button>
+            </div>
+        `);
+    }
+
+    /**
+     * Reset the panel
+     */
+    clear() {
+        this.prepared = null;
+        this.fileInput.value = '';
+        this.renderPreview();
+    }
+}
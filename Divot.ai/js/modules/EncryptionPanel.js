@@ -0,0 +1,103 @@
+import { BaseComponent } from './BaseComponent.js';
+import { Vault } from '../utils/vault.js';
+import { CryptoUtils } from '../utils/crypto.js';
+import { UIUtils } from '../utils/ui.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { ENCRYPTION_CONFIG } from '../utils/constants.js';
+
+/**
+ * Settings panel for turning passphrase encryption on or off and locking
+ */
+export class EncryptionPanel extends BaseComponent {
+    render() {
+        if (!CryptoUtils.isSupported()) {
+            HtmlUtils.render(this.container, html`
+                <small class="encryption-settings__status">
+                    Encryption needs the app to be opened over https or from localhost.
+                </small>
+            `);
+            return;
+        }
+
+        if (!Vault.isEnabled()) {
+            HtmlUtils.render(this.container, html`
+                <small class="encryption-settings__status">
+                    Off: your API key is stored unencrypted in this browser.
+                </small>
+                <div class="encryption-settings__fields">
+                    <input type="password" id="encryptionPassphrase" autocomplete="new-password"
+                        placeholder="Passphrase (${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH}+ characters)">
+                    <input type="password" id="encryptionConfirm" autocomplete="new-password" placeholder="Repeat passphrase">
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="encryptData">
+                    Also encrypt sessions, rounds and backups (you'll need the passphrase every time the app opens)
+                </label>
+                <div class="settings-buttons">
+                    <button type="button" class="btn" data-encryption-action="enable">Turn On Encryption</button>
+                </div>
+            `);
+            return;
+        }
+
+        const scope = Vault.isDataEncrypted() ? 'API key, sessions, rounds and backups' : 'API key';
+        HtmlUtils.render(this.container, Vault.isUnlocked()
+            ? html`
+                <small class="encryption-settings__status">On: ${scope} encrypted with your passphrase.</small>
+                <div class="settings-buttons">
+                    <button type="button" class="btn" data-encryption-action="lock">Lock Now</button>
+                    <button type="button" class="btn btn-danger" data-encryption-action="disable">Turn Off Encryption</button>
+                </div>
+            `
+            : html`
+                <small class="encryption-settings__status">Locked: unlock to use or change your ${scope}.</small>
+                <div class="settings-buttons">
+                    <button type="button" class="btn" data-encryption-action="unlock">Unlock</button>
+                </div>
+            `);
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-encryption-action]');
+            if (!button) return;
+
+            switch (button.dataset.encryptionAction) {
+                case 'enable':
+                    this.requestEnable();
+                    break;
+                case 'disable':
+                    this.emit('encryptionDisableRequested');
+                    break;
+                case 'lock':
+                    this.emit('lockRequested');
+                    break;
+                case 'unlock':
+                    this.emit('unlockRequested');
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Check the new passphrase and ask the app to turn encryption on
+     */
+    requestEnable() {
+        const passphrase = this.container.querySelector('#encryptionPassphrase').value;
+        const repeated = this.container.querySelector('#encryptionConfirm').value;
+
+        if (passphrase.length < ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH) {
+            UIUtils.showNotification(`Use a passphrase of at least ${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH} characters`, 'error');
+            return;
+        }
+        if (passphrase !== repeated) {
+            UIUtils.showNotification('The passphrases do not match', 'error');
+            return;
+        }
+
+        this.emit('encryptionEnableRequested', {
+            passphrase,
+            encryptData: this.container.querySelector('#encryptData').checked
+        });
+    }
+}
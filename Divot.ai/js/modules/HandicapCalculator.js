@@ -1,6 +1,8 @@
 import { BaseComponent } from './BaseComponent.js';
 import { GolfHelpers } from '../utils/helpers.js';
+import { HandicapEngine } from '../utils/handicap.js';
 import { UIUtils } from '../utils/ui.js';
+import { APP_CONFIG } from '../utils/constants.js';
 
 /**
  * Handicap calculation and display component
@@ -26,42 +28,70 @@ export class HandicapCalculator extends BaseComponent {
 
     updateDisplay() {
         if (!this.data || this.data.length === 0) {
+            this.revision = null;
             this.handicapElement.textContent = 'N/A';
             this.trendElement.innerHTML = '<span class="trend-text">No rounds recorded yet</span>';
             return;
         }
 
-        const handicap = GolfHelpers.calculateHandicap(this.data);
+        this.revisions = HandicapEngine.calculateRevisions(this.data);
+        this.revision = this.revisions[this.revisions.length - 1] || null;
+        const handicap = this.revision ? this.revision.index : null;
 
         if (handicap !== null) {
             this.handicapElement.textContent = handicap;
-            this.trendElement.innerHTML = `<span class="trend-text">Based on ${this.data.length} rounds</span>`;
+            this.trendElement.innerHTML = `
+                <span class="trend-text">${HandicapEngine.describeRevision(this.revision)}</span>
+                ${this.renderRevisionDetails(this.revision)}
+            `;
         } else {
             this.handicapElement.textContent = 'N/A';
-            this.trendElement.innerHTML = '<span class="trend-text">Need at least 3 rounds for handicap</span>';
+            this.trendElement.innerHTML = `<span class="trend-text">${HandicapEngine.describeRevision(this.revision)}</span>`;
         }
     }
 
+    /**
+     * Render which differentials counted toward the current index
+     * @param {Object} revision - Revision record
+     * @returns {string} HTML string
+     */
+    renderRevisionDetails(revision) {
+        const sources = { combined: ' (9 + 9)', expected: ' (9 + expected)' };
+        const renderEntry = (entry) => `
+            <li>
+                ${GolfHelpers.formatDate(entry.date)}${sources[entry.source] || ''}: ${entry.differential.toFixed(1)}
+                ${entry.esrAdjustment ? `(${entry.adjustedDifferential.toFixed(1)} after ESR)` : ''}
+            </li>
+        `;
+
+        return `
+            <details class="handicap-revision">
+                <summary>Which rounds counted?</summary>
+                <ul class="handicap-revision__list">
+                    ${revision.counted.map(renderEntry).join('')}
+                </ul>
+                ${revision.notCounted.length > 0 ? `
+                    <p class="handicap-revision__label">Not counted</p>
+                    <ul class="handicap-revision__list handicap-revision__list--muted">
+                        ${revision.notCounted.map(renderEntry).join('')}
+                    </ul>
+                ` : ''}
+            </details>
+        `;
+    }
+
     updateChart() {
-        if (!this.chartCanvas || !this.data || this.data.length < 3) {
+        if (!this.chartCanvas || !this.data || this.data.length < APP_CONFIG.MIN_ROUNDS_FOR_HANDICAP) {
             return;
         }
 
         const ctx = this.chartCanvas.getContext('2d');
-        const recentRounds = this.data.slice(0, 20).reverse();
 
         // Clear canvas
         ctx.clearRect(0, 0, this.chartCanvas.width, this.chartCanvas.height);
 
-        // Calculate handicap history
-        const handicapHistory = [];
-        for (let i = 2; i < recentRounds.length; i++) {
-            const roundsForHandicap = recentRounds.slice(0, i + 1);
-            const handicap = GolfHelpers.calculateHandicap(roundsForHandicap);
-            if (handicap !== null) {
-                handicapHistory.push(handicap);
-            }
-        }
+        // Handicap history from the engine's revisions
+        const handicapHistory = HandicapEngine.getHistory(this.data).slice(-APP_CONFIG.CHART_MAX_ROUNDS);
 
         if (handicapHistory.length === 0) return;
 
@@ -143,21 +173,12 @@ export class HandicapCalculator extends BaseComponent {
     }
 
     getCurrentHandicap() {
-        return this.data ? GolfHelpers.calculateHandicap(this.data) : null;
+        return this.data ? HandicapEngine.getIndex(this.data) : null;
     }
 
     getHandicapTrend() {
         if (!this.data || this.data.length < 6) return 'stable';
 
-        const handicapHistory = [];
-        for (let i = 2; i < this.data.length; i++) {
-            const roundsForHandicap = this.data.slice(0, i + 1);
-            const handicap = GolfHelpers.calculateHandicap(roundsForHandicap);
-            if (handicap !== null) {
-                handicapHistory.push(handicap);
-            }
-        }
-
-        return GolfHelpers.getHandicapTrend(handicapHistory);
+        return GolfHelpers.getHandicapTrend(HandicapEngine.getHistory(this.data));
     }
 }
@@ -0,0 +1,181 @@
+import { CoachingError, RequestPipeline } from '../utils/requests.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { LLM_CONFIG } from '../utils/constants.js';
+
+/**
+ * Offline coaching provider that replays canned replies, for trying and testing
+ * the coaching tab without a network or API key
+ *
+ * Replies are deterministic: the nth request gets the nth canned reply, cycling.
+ * A question can steer the other paths:
+ * - "#auth", "#ratelimit", "#overloaded" or "#error" (a server error) fails
+ *   the request before any text arrives, every time it is tried
+ * - "#interrupt" cuts a streamed reply off halfway
+ * - mentioning handicap, rounds or practice makes the coach call a tool first,
+ *   then reply with what the tool returned
+ */
+export class MockProvider {
+    static REPLIES = [
+        '## Practice plan\n\n' +
+            'Here is a short plan for this week:\n\n' +
+            '1. **Gate drill** – 20 putts from 4 feet through two tees\n' +
+            '2. **Ladder drill** – lag putts to 20, 30 and 40 feet, stopping inside a club length\n' +
+            '3. **Clock drill** – 12 chips around the green to a single hole\n\n' +
+            'Log each session so we can see what is working.',
+        'Your recent rounds look **steady**. The quickest gains usually come from avoiding doubles:\n\n' +
+            '- Take one club more on approaches over water\n' +
+            '- Aim for the middle of the green when the pin is tucked\n\n' +
+            'What does a typical double bogey look like for you?',
+        'Good question! Consistent tempo matters more than swing speed. ' +
+            'Try counting *one-two* on the backswing and *three* at impact during your next range session.'
+    ];
+
+    static ERROR_TRIGGERS = {
+        '#auth': { kind: 'auth', status: 401, message: 'invalid x-api-key' },
+        '#ratelimit': { kind: 'rate_limit', status: 429, message: 'Number of requests has exceeded your rate limit' },
+        '#overloaded': { kind: 'overloaded', status: 529, message: 'Overloaded' },
+        '#error': { kind: 'server', status: 500, message: 'Internal server error' }
+    };
+
+    static TOOL_TRIGGERS = [
+        { pattern: /handicap/i, name: 'handicap_history', input: { limit: 5 } },
+        { pattern: /\brounds?\b/i, name: 'search_rounds', input: { limit: 5 } },
+        { pattern: /practi[cs]e/i, name: 'practice_summary', input: {} }
+    ];
+
+    /**
+     * @param {Object} options - { replies, delay } where delay is the pause in
+     *   milliseconds before the reply and between streamed words
+     */
+    constructor({ replies = MockProvider.REPLIES, delay = LLM_CONFIG.MOCK_DELAY_MS } = {}) {
+        this.replies = replies;
+        this.delay = delay;
+        this.requestCount = 0;
+    }
+
+    /**
+     * Check if requests can be made
+     * @returns {boolean} Always true
+     */
+    isReady() {
+        return true;
+    }
+
+    /**
+     * @returns {boolean} Always false: replies are made up locally
+     */
+    requiresNetwork() {
+        return false;
+    }
+
+    /**
+     * Answer one request the way the Messages API would
+     * @param {Object} options - { system, messages, signal, tools, toolChoice, onText } as for AnthropicProvider
+     * @returns {Promise<Object>} The message: { content, stop_reason, model, usage }, with
+     *   token counts estimated from the text
+     * @throws {DOMException} AbortError when the signal cancels the request
+     */
+    async createMessage({ system = '', messages, signal, tools, toolChoice, onText }) {
+        const question = this.getQuestion(messages);
+        const last = messages[messages.length - 1];
+        const count = this.requestCount++;
+
+        await this.wait(signal);
+        const failure = Object.entries(MockProvider.ERROR_TRIGGERS).find(([tag]) => question.includes(tag));
+        if (failure) {
+            const [tag, { kind, status, message }] = failure;
+            throw new CoachingError(kind, `Mock provider error: ${message} (${tag})`, { status });
+        }
+
+        const trigger = tools && toolChoice?.type !== 'none' && typeof last.content === 'string'
+            ? MockProvider.TOOL_TRIGGERS.find(candidate =>
+                candidate.pattern.test(question) && tools.some(tool => tool.name === candidate.name))
+            : null;
+
+        let message;
+        if (trigger) {
+            message = {
+                content: [
+                    { type: 'text', text: 'Let me check your data.' },
+                    { type: 'tool_use', id: `mock_tool_${count}`, name: trigger.name, input: trigger.input }
+                ],
+                stop_reason: 'tool_use'
+            };
+        } else {
+            const text = Array.isArray(last.content)
+                ? this.describeResults(last.content)
+                : this.replies[count % this.replies.length];
+            message = { content: [{ type: 'text', text }], stop_reason: 'end_turn' };
+        }
+
+        if (onText) {
+            await this.stream(message.content[0].text, onText, signal, question.includes('#interrupt'));
+        }
+
+        return {
+            ...message,
+            model: LLM_CONFIG.MOCK_MODEL,
+            usage: {
+                input_tokens: GolfHelpers.estimateTokens(system + JSON.stringify(messages)),
+                output_tokens: GolfHelpers.estimateTokens(JSON.stringify(message.content))
+            }
+        };
+    }
+
+    /**
+     * Find the golfer's latest question, skipping tool results
+     * @param {Array} messages - API messages
+     * @returns {string} Question text, or '' if there is none
+     */
+    getQuestion(messages) {
+        const question = [...messages].reverse()
+            .find(message => message.role === 'user' && typeof message.content === 'string');
+        // A question whose reply failed is sent merged with the next one; only the newest counts
+        return question ? question.content.split('\n\n').pop() : '';
+    }
+
+    /**
+     * Reply to tool results by showing them
+     * @param {Array} results - tool_result content blocks
+     * @returns {string} Reply text
+     */
+    describeResults(results) {
+        const shown = results.map(result => result.content.length > 400
+            ? `${result.content.slice(0, 400)}…`
+            : result.content);
+        return `Here is what I found:\n\n\`\`\`\n${shown.join('\n')}\n\`\`\`\n\n` +
+            '*This is the offline demo coach, so it shows the data rather than interpreting it.*';
+    }
+
+    /**
+     * Send text to onText a word at a time
+     * @param {string} text - Reply text
+     * @param {Function} onText - Called with the text so far
+     * @param {AbortSignal} signal - Cancels the stream
+     * @param {boolean} interrupt - Stop halfway with a connection error
+     * @returns {Promise<void>}
+     */
+    async stream(text, onText, signal, interrupt) {
+        const words = text.match(/\S*\s*/g).filter(Boolean);
+        const end = interrupt ? Math.ceil(words.length / 2) : words.length;
+
+        for (let index = 0; index < end; index++) {
+            onText(words.slice(0, index + 1).join(''));
+            await this.wait(signal);
+        }
+
+        if (interrupt) {
+            throw new CoachingError('network', 'The connection closed before the reply was complete');
+        }
+    }
+
+    /**
+     * Pause for the configured delay
+     * @param {AbortSignal} signal - Cancels the pause
+     * @returns {Promise<void>}
+     * @throws {DOMException} AbortError when the signal fires
+     */
+    wait(signal) {
+        return RequestPipeline.sleep(this.delay, signal);
+    }
+}
@@ -0,0 +1,88 @@
+import { BaseComponent } from './BaseComponent.js';
+import { ENCRYPTION_CONFIG } from '../utils/constants.js';
+
+/**
+ * Masked passphrase prompt for encrypted export and import files
+ */
+export class PassphraseDialog extends BaseComponent {
+    render() {
+        this.form = this.container.querySelector('#passphraseForm');
+        this.input = this.container.querySelector('#passphraseInput');
+        this.repeatInput = this.container.querySelector('#passphraseRepeat');
+        this.messageElement = this.container.querySelector('#passphraseMessage');
+        this.errorElement = this.container.querySelector('#passphraseError');
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            if (e.target.closest('[data-passphrase-action="cancel"]')) {
+                this.close(null);
+            }
+        });
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options - { message, repeat } where repeat asks for a new
+     *   passphrase twice and checks its length
+     * @returns {Promise<string|null>} Resolves with the passphrase, or null if cancelled
+     */
+    open({ message, repeat = false }) {
+        this.repeat = repeat;
+        this.messageElement.textContent = message;
+        this.input.autocomplete = repeat ? 'new-password' : 'current-password';
+        this.repeatInput.hidden = !repeat;
+        this.errorElement.hidden = true;
+        this.input.value = '';
+        this.repeatInput.value = '';
+        this.container.hidden = false;
+        this.input.focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Check the entered passphrase and hand it over
+     */
+    submit() {
+        const passphrase = this.input.value;
+
+        if (this.repeat && passphrase.length < ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH) {
+            this.showError(`Use a passphrase of at least ${ENCRYPTION_CONFIG.MIN_PASSPHRASE_LENGTH} characters`);
+        } else if (this.repeat && this.repeatInput.value !== passphrase) {
+            this.showError('The passphrases do not match');
+        } else {
+            this.close(passphrase);
+        }
+    }
+
+    /**
+     * @param {string} message - Why the passphrase can't be used
+     */
+    showError(message) {
+        this.errorElement.textContent = message;
+        this.errorElement.hidden = false;
+        this.input.select();
+    }
+
+    /**
+     * Hide the dialog and settle the open() promise
+     * @param {string|null} passphrase - Entered passphrase, or null if cancelled
+     */
+    close(passphrase) {
+        this.container.hidden = true;
+        this.input.value = '';
+        this.repeatInput.value = '';
+        if (this.resolve) {
+            this.resolve(passphrase);
+            this.resolve = null;
+        }
+    }
+}
@@ -0,0 +1,181 @@
+import { BaseComponent } from './BaseComponent.js';
+import { HandicapEngine } from '../utils/handicap.js';
+import { CourseLibrary } from '../utils/courses.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { PLAYING_ALLOWANCES } from '../utils/constants.js';
+
+/**
+ * Course handicap and playing handicap calculator
+ *
+ * Uses a saved tee when one is picked, otherwise the ratings currently typed
+ * into the round form, so it works both before a round and while logging one.
+ */
+export class PlayingHandicapCalculator extends BaseComponent {
+    getDefaultOptions() {
+        return {
+            roundForm: '#roundForm',
+            defaultFormat: 'individual-stroke'
+        };
+    }
+
+    render() {
+        this.indexInput = this.container.querySelector('#calcIndex');
+        this.teeSelect = this.container.querySelector('#calcTee');
+        this.formatSelect = this.container.querySelector('#calcFormat');
+        this.resultElement = this.container.querySelector('#calcResult');
+
+        if (!this.isInitialized) {
+            HtmlUtils.render(this.formatSelect, html`${Object.entries(PLAYING_ALLOWANCES)
+                .map(([value, format]) => html`
+                    <option value="${value}">${format.label} (${Math.round(format.allowance * 100)}%)</option>
+                `)}`);
+            this.formatSelect.value = this.options.defaultFormat;
+        }
+
+        this.renderTeeOptions();
+
+        // Follow the current index until the user types their own
+        if (this.data && this.data.index !== null && !this.indexInput.dataset.edited) {
+            this.indexInput.value = this.data.index;
+        }
+
+        this.renderResult();
+    }
+
+    bindEvents() {
+        this.indexInput.addEventListener('input', () => {
+            this.indexInput.dataset.edited = this.indexInput.value !== '' ? 'true' : '';
+            this.renderResult();
+        });
+        this.teeSelect.addEventListener('change', () => this.renderResult());
+        this.formatSelect.addEventListener('change', () => this.renderResult());
+
+        const roundForm = document.querySelector(this.options.roundForm);
+        if (roundForm) {
+            roundForm.addEventListener('input', () => this.renderResult());
+            roundForm.addEventListener('change', () => this.renderResult());
+        }
+    }
+
+    /**
+     * List every saved tee as "Course • Tee"
+     */
+    renderTeeOptions() {
+        const selected = this.teeSelect.value;
+
+        HtmlUtils.render(this.teeSelect, html`
+            <option value="">Use ratings from the round form</option>
+            ${CourseLibrary.getCourses().map(course => course.tees.map(tee => html`
+                <option value="${course.id}:${tee.id}">${course.name} • ${CourseLibrary.formatTee(tee)}</option>
+            `))}
+        `);
+        this.teeSelect.value = selected;
+    }
+
+    /**
+     * Get the ratings and hole layout to calculate against
+     * @returns {Object|null} { rating, slope, par, holeCount, holes } or null
+     */
+    getTeeData() {
+        if (this.teeSelect.value) {
+            const [courseId, teeId] = this.teeSelect.value.split(':').map(Number);
+            const tee = CourseLibrary.getTee(courseId, teeId);
+            if (tee) {
+                return {
+                    rating: tee.rating,
+                    slope: tee.slope,
+                    par: tee.par,
+                    holeCount: tee.holeCount,
+                    holes: tee.holes
+                };
+            }
+        }
+
+        const form = document.querySelector(this.options.roundForm);
+        if (!form) return null;
+
+        const rating = parseFloat(form.courseRating.value);
+        const slope = parseInt(form.slopeRating.value);
+        const par = parseInt(form.par.value);
+        if (!Number.isFinite(rating) || !Number.isFinite(slope) || !Number.isFinite(par)) return null;
+
+        return {
+            rating,
+            slope,
+            par,
+            holeCount: parseInt(form.holesPlayed.value),
+            holes: this.data ? this.data.holes : null
+        };
+    }
+
+    /**
+     * Calculate course and playing handicap for the current inputs
+     * @returns {Object|null} Result or null if inputs are incomplete
+     */
+    getResult() {
+        const index = parseFloat(this.indexInput.value);
+        const tee = this.getTeeData();
+        if (!Number.isFinite(index) || !tee) return null;
+
+        const format = PLAYING_ALLOWANCES[this.formatSelect.value];
+        const courseHandicap = HandicapEngine.getCourseHandicap(index, tee.slope, tee.rating, tee.par, tee.holeCount);
+        const playingHandicap = HandicapEngine.getPlayingHandicap(courseHandicap, format.allowance);
+
+        // Stroke allocation only makes sense once every hole has a stroke index
+        const holes = tee.holes && tee.holes.length === tee.holeCount
+            && tee.holes.every(hole => Number.isFinite(hole.strokeIndex))
+            ? tee.holes
+            : null;
+
+        return {
+            index,
+            courseHandicap,
+            playingHandicap,
+            format: this.formatSelect.value,
+            allowance: format.allowance,
+            strokes: holes
+                ? HandicapEngine.allocateStrokes(playingHandicap, holes).map((strokes, position) => ({
+                    number: holes[position].number,
+                    strokeIndex: holes[position].strokeIndex,
+                    strokes
+                }))
+                : null
+        };
+    }
+
+    /**
+     * Render the calculated handicaps and stroke allocation
+     */
+    renderResult() {
+        const result = this.getResult();
+
+        if (!result) {
+            HtmlUtils.render(this.resultElement, html`<p class="playing-handicap__empty">Enter a handicap index and pick tees or fill in the course ratings.</p>`);
+            return;
+        }
+
+        HtmlUtils.render(this.resultElement, html`
+            <div class="stats-grid">
+                <div class="stat-card">
+                    <span class="stat-number">${result.courseHandicap}</span>
+                    <span class="stat-label">Course Handicap</span>
+                </div>
+                <div class="stat-card">
+                    <span class="stat-number">${result.playingHandicap}</span>
+                    <span class="stat-label">Playing Handicap</span>
+                </div>
+            </div>
+            ${result.strokes ? html`
+                <div class="playing-handicap__strokes">
+                    ${result.strokes.map(hole => html`
+                        <div class="playing-handicap__hole ${hole.strokes !== 0 ? 'playing-handicap__hole--stroke' : ''}">
+                            <span>Hole ${hole.number}</span>
+                            <span>SI ${hole.strokeIndex}</span>
+                            <strong>${hole.strokes > 0 ? '+' : ''}${hole.strokes}</strong>
+                        </div>
+                    `)}
+                </div>
+            ` : html`<p class="playing-handicap__empty">Add stroke indexes to see where your strokes fall.</p>`}
+        `);
+    }
+}
@@ -0,0 +1,77 @@
+import { BaseComponent } from './BaseComponent.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { html, HtmlUtils } from '../utils/html.js';
+
+/**
+ * Practice tab list of plans saved from AI coaching replies
+ */
+export class PracticePlanList extends BaseComponent {
+    getDefaultOptions() {
+        return { plans: [] };
+    }
+
+    render() {
+        const { plans } = this.data || this.options;
+
+        if (plans.length === 0) {
+            HtmlUtils.render(this.container, html`
+                <p class="practice-plans__empty">
+                    No saved plans yet. Use "Save as practice plan" under a drill list in an AI Coach reply.
+                </p>
+            `);
+            return;
+        }
+
+        HtmlUtils.render(this.container, html`${plans.map(plan => html`
+            <div class="practice-plan" data-plan-id="${plan.id}">
+                <div class="practice-plan__header">
+                    <h3 class="practice-plan__title">${plan.title}</h3>
+                    <small class="practice-plan__date">Saved ${GolfHelpers.formatDate(plan.createdAt)}</small>
+                </div>
+                <ol class="practice-plan__drills">
+                    ${plan.drills.map(drill => this.renderDrill(drill))}
+                </ol>
+                <div class="settings-buttons">
+                    <button type="button" class="btn btn--outline btn--sm" data-plan-action="copy">Copy</button>
+                    <button type="button" class="btn btn--danger btn--sm" data-plan-action="delete">Delete</button>
+                </div>
+            </div>
+        `)}`);
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-plan-action]');
+            if (!button) return;
+
+            const planId = Number(button.closest('[data-plan-id]').dataset.planId);
+            if (button.dataset.planAction === 'copy') {
+                this.emit('planCopyRequested', { plan: this.getPlan(planId) });
+            } else if (button.dataset.planAction === 'delete') {
+                this.emit('planDeleteRequested', { plan: this.getPlan(planId) });
+            }
+        });
+    }
+
+    /**
+     * Render one drill, with its sub-points as a nested list
+     * @param {string} drill - Drill text; sub-points follow on "  - " lines
+     * @returns {SafeHtml} List item markup
+     */
+    renderDrill(drill) {
+        const [text, ...subPoints] = drill.split('\n');
+        return html`<li>${text}${subPoints.length > 0
+            ? html`<ul>${subPoints.map(point => html`<li>${point.replace(/^\s*-\s*/, '')}</li>`)}</ul>`
+            : ''}</li>`;
+    }
+
+    /**
+     * Find a listed plan
+     * @param {number} planId - Plan id
+     * @returns {Object|null} Plan or null
+     */
+    getPlan(planId) {
+        const { plans } = this.data || this.options;
+        return plans.find(plan => plan.id === planId) || null;
+    }
+}
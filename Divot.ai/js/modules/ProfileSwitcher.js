@@ -0,0 +1,80 @@
+import { BaseComponent } from './BaseComponent.js';
+import { ProfileManager } from '../utils/profiles.js';
+import { html, HtmlUtils } from '../utils/html.js';
+
+/**
+ * Header control for choosing, adding, renaming and deleting player profiles
+ */
+export class ProfileSwitcher extends BaseComponent {
+    render() {
+        this.select = this.container.querySelector('#profileSelect');
+
+        const active = ProfileManager.getActive();
+        HtmlUtils.render(this.select, html`${ProfileManager.getProfiles()
+            .map(profile => html`<option value="${profile.id}">${profile.name}</option>`)}`);
+        this.select.value = active.id;
+
+        const deleteButton = this.container.querySelector('[data-profile-action="delete"]');
+        if (deleteButton) {
+            deleteButton.disabled = ProfileManager.getProfiles().length <= 1;
+        }
+    }
+
+    bindEvents() {
+        this.select.addEventListener('change', () => {
+            this.emit('profileSelected', { profileId: parseInt(this.select.value) });
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-profile-action]');
+            if (!button) return;
+
+            switch (button.dataset.profileAction) {
+                case 'add':
+                    this.addProfile();
+                    break;
+                case 'rename':
+                    this.renameProfile();
+                    break;
+                case 'delete':
+                    this.deleteProfile();
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Ask for a name, create the profile and switch to it
+     */
+    addProfile() {
+        const name = prompt('Player name for the new profile:');
+        if (name === null || !name.trim()) return;
+
+        const profile = ProfileManager.create(name);
+        this.render();
+        this.emit('profileSelected', { profileId: profile.id });
+    }
+
+    /**
+     * Rename the active profile
+     */
+    renameProfile() {
+        const active = ProfileManager.getActive();
+        const name = prompt('Rename profile:', active.name);
+        if (name === null || !name.trim()) return;
+
+        ProfileManager.rename(active.id, name);
+        this.render();
+        this.emit('profileRenamed', { profileId: active.id });
+    }
+
+    /**
+     * Ask to delete the active profile; the app backs it up and removes it
+     */
+    deleteProfile() {
+        const active = ProfileManager.getActive();
+        if (!confirm(`Delete ${active.name} and all of their sessions, rounds and settings? A backup is kept in Settings.`)) return;
+
+        this.emit('profileDeleteRequested', { profile: active });
+    }
+}
@@ -0,0 +1,176 @@
+import { BaseComponent } from './BaseComponent.js';
+import { PromptTemplates } from '../utils/templates.js';
+import { UIUtils } from '../utils/ui.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { COACHING_CONFIG } from '../utils/constants.js';
+
+/**
+ * Settings panel listing the coach's prompt templates, with an editor for the
+ * profile's own and export/import of them
+ *
+ * Built-in personas can't be changed, but duplicating one opens a copy to edit.
+ */
+export class PromptTemplateEditor extends BaseComponent {
+    getDefaultOptions() {
+        return { templates: [] };
+    }
+
+    render() {
+        const { templates } = this.data || this.options;
+        const custom = templates.filter(template => !template.builtIn);
+
+        HtmlUtils.render(this.container, html`
+            <ul class="template-editor__list">
+                ${templates.map(template => html`
+                    <li class="template-editor__item" data-template-id="${template.id}">
+                        <span class="template-editor__name">${template.name}</span>
+                        ${template.builtIn ? html`<small class="template-editor__badge">Built-in</small>` : ''}
+                        <span class="template-editor__actions">
+                            ${template.builtIn ? '' : html`
+                                <button type="button" class="btn btn--outline btn--sm" data-template-action="edit">Edit</button>
+                            `}
+                            <button type="button" class="btn btn--outline btn--sm" data-template-action="duplicate">Duplicate</button>
+                            ${template.builtIn ? '' : html`
+                                <button type="button" class="btn btn--danger btn--sm" data-template-action="delete">Delete</button>
+                            `}
+                        </span>
+                    </li>
+                `)}
+            </ul>
+            ${this.editing ? this.renderForm() : ''}
+            <div class="settings-buttons">
+                <button type="button" class="btn btn--outline btn--sm" data-template-action="new"
+                    ${custom.length >= COACHING_CONFIG.MAX_TEMPLATES ? html`disabled` : ''}>New template</button>
+                <button type="button" class="btn btn--outline btn--sm" data-template-action="export"
+                    ${custom.length === 0 ? html`disabled` : ''}>Export templates</button>
+                <button type="button" class="btn btn--outline btn--sm" data-template-action="import">Import templates</button>
+            </div>
+            <input type="file" accept="application/json,.json" data-template-file hidden>
+        `);
+    }
+
+    /**
+     * Render the editor for the template being edited
+     * @returns {SafeHtml} Form markup
+     */
+    renderForm() {
+        return html`
+            <div class="template-editor__form">
+                <input type="text" data-template-field="name" value="${this.editing.name}"
+                    maxlength="${COACHING_CONFIG.TEMPLATE_NAME_LENGTH}" placeholder="Template name" aria-label="Template name">
+                <textarea data-template-field="prompt" rows="12" maxlength="${COACHING_CONFIG.TEMPLATE_MAX_LENGTH}"
+                    aria-label="Prompt">${this.editing.prompt}</textarea>
+                <details class="template-editor__variables">
+                    <summary>Variables</summary>
+                    <dl>
+                        ${Object.entries(PromptTemplates.variables).map(([name, description]) => html`
+                            <dt><code>{{${name}}}</code></dt>
+                            <dd>${description}</dd>
+                        `)}
+                    </dl>
+                </details>
+                <div class="settings-buttons">
+                    <button type="button" class="btn btn--sm" data-template-action="save">Save template</button>
+                    <button type="button" class="btn btn--outline btn--sm" data-template-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-template-action]');
+            if (!button) return;
+
+            const item = button.closest('[data-template-id]');
+            const template = item ? this.getTemplate(item.dataset.templateId) : null;
+
+            switch (button.dataset.templateAction) {
+                case 'new':
+                    this.edit({ id: null, name: '', prompt: PromptTemplates.resolve([]).prompt });
+                    break;
+                case 'edit':
+                    this.edit({ id: template.id, name: template.name, prompt: template.prompt });
+                    break;
+                case 'duplicate':
+                    this.edit({ id: null, name: `${template.name} (copy)`, prompt: template.prompt });
+                    break;
+                case 'delete':
+                    this.emit('templateDeleteRequested', { template });
+                    break;
+                case 'save':
+                    this.save();
+                    break;
+                case 'cancel':
+                    this.edit(null);
+                    break;
+                case 'export':
+                    this.emit('templatesExportRequested');
+                    break;
+                case 'import':
+                    this.container.querySelector('[data-template-file]').click();
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (!e.target.matches('[data-template-file]')) return;
+
+            const [file] = e.target.files;
+            if (file) this.loadFile(file);
+            e.target.value = '';
+        });
+    }
+
+    /**
+     * Open the editor, or close it
+     * @param {Object|null} template - { id, name, prompt }; id is null for a new template
+     */
+    edit(template) {
+        this.editing = template;
+        this.render();
+        this.container.querySelector('[data-template-field="name"]')?.focus();
+    }
+
+    /**
+     * Check the edited template and hand it over to be saved
+     */
+    save() {
+        const template = {
+            id: this.editing.id,
+            name: this.container.querySelector('[data-template-field="name"]').value,
+            prompt: this.container.querySelector('[data-template-field="prompt"]').value
+        };
+
+        const errors = PromptTemplates.validate(template);
+        if (errors.length > 0) {
+            UIUtils.showNotification(errors.join('. '), 'error');
+            return;
+        }
+
+        this.editing = null;
+        this.emit('templateSaveRequested', { template });
+    }
+
+    /**
+     * Read templates from an export file
+     * @param {File} file - Template export
+     */
+    async loadFile(file) {
+        try {
+            this.emit('templatesImportRequested', { ...PromptTemplates.parseFile(await file.text()), fileName: file.name });
+        } catch (error) {
+            UIUtils.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Find a listed template
+     * @param {string} templateId - Template id
+     * @returns {Object|null} Template or null
+     */
+    getTemplate(templateId) {
+        const { templates } = this.data || this.options;
+        return templates.find(template => template.id === templateId) || null;
+    }
+}
@@ -0,0 +1,194 @@
+import { BaseComponent } from './BaseComponent.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { SCORECARD, VALIDATION_RULES } from '../utils/constants.js';
+
+/**
+ * Hole-by-hole scorecard entry component
+ */
+export class Scorecard extends BaseComponent {
+    getDefaultOptions() {
+        return {
+            holeCount: SCORECARD.DEFAULT_HOLE_COUNT
+        };
+    }
+
+    init() {
+        if (!this.data) {
+            this.data = GolfHelpers.createHoles(this.options.holeCount);
+        }
+        super.init();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        HtmlUtils.render(this.container, html`
+            <table class="scorecard">
+                <thead>
+                    <tr>
+                        <th>Hole</th>
+                        <th>Par</th>
+                        <th title="Stroke index (optional)">SI</th>
+                        <th title="Yardage (optional)">Yds</th>
+                        <th>Score</th>
+                        <th>Putts</th>
+                        <th>Fairway</th>
+                        <th>GIR</th>
+                        <th>Pen.</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${this.data.map((hole, index) => html`
+                        <tr class="scorecard__row" data-hole="${index}">
+                            <td class="scorecard__hole">${hole.number}</td>
+                            <td><input type="number" data-field="par" value="${hole.par}"
+                                min="${VALIDATION_RULES.HOLE_PAR.min}" max="${VALIDATION_RULES.HOLE_PAR.max}"></td>
+                            <td><input type="number" data-field="strokeIndex" value="${hole.strokeIndex ?? ''}"
+                                min="${VALIDATION_RULES.STROKE_INDEX.min}" max="${VALIDATION_RULES.STROKE_INDEX.max}"></td>
+                            <td><input type="number" data-field="yardage" value="${hole.yardage ?? ''}"
+                                min="${VALIDATION_RULES.YARDAGE.min}" max="${VALIDATION_RULES.YARDAGE.max}"></td>
+                            <td><input type="number" data-field="strokes" value="${hole.strokes ?? ''}"
+                                min="${VALIDATION_RULES.HOLE_STROKES.min}" max="${VALIDATION_RULES.HOLE_STROKES.max}"></td>
+                            <td><input type="number" data-field="putts" value="${hole.putts ?? ''}"
+                                min="${VALIDATION_RULES.PUTTS.min}" max="${VALIDATION_RULES.PUTTS.max}"></td>
+                            <td>
+                                <select data-field="fairway" ${hole.par === 3 ? html`disabled` : ''}>
+                                    <option value="">-</option>
+                                    ${Object.entries(SCORECARD.FAIRWAY_RESULTS).map(([value, label]) => html`
+                                        <option value="${value}" ${hole.fairway === value ? html`selected` : ''}>${label}</option>
+                                    `)}
+                                </select>
+                            </td>
+                            <td><input type="checkbox" data-field="gir" ${hole.gir ? html`checked` : ''}></td>
+                            <td><input type="number" data-field="penalties" value="${hole.penalties || 0}"
+                                min="${VALIDATION_RULES.PENALTIES.min}" max="${VALIDATION_RULES.PENALTIES.max}"></td>
+                        </tr>
+                    `)}
+                </tbody>
+                <tfoot>
+                    <tr class="scorecard__totals" id="scorecardTotals"></tr>
+                </tfoot>
+            </table>
+        `);
+
+        this.renderTotals();
+    }
+
+    bindEvents() {
+        if (!this.container) return;
+
+        this.container.addEventListener('input', (e) => this.handleInput(e.target));
+        this.container.addEventListener('change', (e) => this.handleInput(e.target));
+    }
+
+    /**
+     * Read an edited input back into the hole data
+     * @param {HTMLElement} input - Changed input
+     */
+    handleInput(input) {
+        const row = input.closest('.scorecard__row');
+        if (!row || !input.dataset.field) return;
+
+        const hole = this.data[row.dataset.hole];
+        const field = input.dataset.field;
+
+        switch (field) {
+            case 'gir':
+                hole.gir = input.checked;
+                break;
+            case 'fairway':
+                hole.fairway = input.value;
+                break;
+            case 'par': {
+                hole.par = parseInt(input.value) || SCORECARD.DEFAULT_HOLE_PAR;
+                const fairwaySelect = row.querySelector('[data-field="fairway"]');
+                fairwaySelect.disabled = hole.par === 3;
+                if (hole.par === 3) {
+                    fairwaySelect.value = '';
+                    hole.fairway = '';
+                }
+                break;
+            }
+            default: {
+                const value = parseInt(input.value);
+                hole[field] = Number.isFinite(value) ? value : (field === 'penalties' ? 0 : null);
+            }
+        }
+
+        this.renderTotals();
+        this.emit('scorecardChanged', this.getSummary());
+    }
+
+    /**
+     * Render the totals footer
+     */
+    renderTotals() {
+        const totals = this.container.querySelector('#scorecardTotals');
+        if (!totals) return;
+
+        const { totalScore, par, stats } = this.getSummary();
+        const yardage = this.data.reduce((sum, hole) => sum + (hole.yardage || 0), 0);
+
+        HtmlUtils.render(totals, html`
+            <td>Total</td>
+            <td>${par}</td>
+            <td></td>
+            <td>${yardage || '-'}</td>
+            <td>${totalScore || '-'}</td>
+            <td>${stats.putts ?? '-'}</td>
+            <td>${stats.fairwaysHit}/${stats.fairwaysAttempted}</td>
+            <td>${stats.greensInRegulation}</td>
+            <td>${stats.penalties}</td>
+        `);
+    }
+
+    /**
+     * Change the number of holes, keeping entries for holes that remain
+     * @param {number} holeCount - 9 or 18
+     */
+    setHoleCount(holeCount) {
+        const holes = GolfHelpers.createHoles(holeCount);
+        holes.forEach((hole, index) => {
+            if (this.data[index]) holes[index] = this.data[index];
+        });
+        this.update(holes);
+    }
+
+    /**
+     * Apply a course layout (par, stroke index, yardage), keeping entered scores
+     * @param {Array} layout - Hole layout objects from a tee set
+     */
+    applyLayout(layout) {
+        const holes = GolfHelpers.createHoles(layout.length);
+        holes.forEach((hole, index) => {
+            const existing = this.data[index] || {};
+            const { par, strokeIndex = null, yardage = null } = layout[index];
+            holes[index] = { ...hole, ...existing, par, strokeIndex, yardage };
+        });
+        this.update(holes);
+    }
+
+    /**
+     * Get a copy of the hole data
+     * @returns {Array} Hole objects
+     */
+    getHoles() {
+        return this.data.map(hole => ({ ...hole }));
+    }
+
+    /**
+     * Get totals and stats for the current entries
+     * @returns {Object} Scorecard summary
+     */
+    getSummary() {
+        return GolfHelpers.summarizeScorecard(this.data);
+    }
+
+    /**
+     * Clear all entries
+     */
+    reset() {
+        this.update(GolfHelpers.createHoles(this.data.length));
+    }
+}
@@ -0,0 +1,271 @@
+import { StorageManager } from '../utils/storage.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { STORAGE_KEYS, SYNC_CONFIG, DATABASE } from '../utils/constants.js';
+
+/**
+ * Small, stable string hash (FNV-1a) used to notice local edits
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hash(text) {
+    let value = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        value ^= text.charCodeAt(i);
+        value = Math.imul(value, 0x01000193) >>> 0;
+    }
+    return value.toString(16);
+}
+
+/**
+ * Strip storage-only fields so every device sends and hashes the same data
+ * @param {Object} record - Local record
+ * @returns {Object} Record as exchanged with the server
+ */
+function toSyncData(record) {
+    const { [DATABASE.PROFILE_FIELD]: profileId, ...data } = record;
+    return data;
+}
+
+/**
+ * Sync sessions and rounds with a self-hosted server (protocol: server/README.md)
+ *
+ * Per-profile state, stored under STORAGE_KEYS.SYNC_STATE:
+ * { cursor, records: { "rounds:<id>": { rev, hash } }, pending: { "rounds:<id>": { hash, updatedAt } } }
+ * records holds what was last exchanged with the server; pending holds local
+ * edits not pushed yet, timestamped when first seen.
+ */
+export class SyncService {
+    /**
+     * @param {Object} settings - Profile settings with syncUrl, syncSpace and syncToken
+     * @param {number} profileId - Profile whose data is synced
+     */
+    constructor(settings, profileId) {
+        this.baseURL = (settings.syncUrl || '').replace(/\/+$/, '');
+        this.space = settings.syncSpace || '';
+        this.token = settings.syncToken || '';
+        this.profileId = profileId;
+    }
+
+    /**
+     * Check if a server and space are set
+     * @returns {boolean} True if sync can run
+     */
+    isConfigured() {
+        return Boolean(this.baseURL && this.space);
+    }
+
+    /**
+     * Get this browser's device id, creating it on first use
+     * @returns {string} Device id
+     */
+    getDeviceId() {
+        let deviceId = StorageManager.get(STORAGE_KEYS.DEVICE_ID);
+        if (!deviceId) {
+            deviceId = typeof crypto !== 'undefined' && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+            StorageManager.set(STORAGE_KEYS.DEVICE_ID, deviceId);
+        }
+        return deviceId;
+    }
+
+    getState() {
+        return { cursor: 0, records: {}, pending: {}, lastSync: null, ...StorageManager.getSyncState(this.profileId) };
+    }
+
+    saveState(state) {
+        StorageManager.setSyncState(state, this.profileId);
+    }
+
+    /**
+     * Note local records that differ from what was last synced
+     * @param {Object} data - { sessions, rounds }
+     */
+    trackChanges(data) {
+        const state = this.getState();
+        const now = new Date().toISOString();
+        const seen = new Set();
+
+        SYNC_CONFIG.RECORD_TYPES.forEach(type => {
+            data[type].forEach(record => {
+                const key = `${type}:${record.id}`;
+                this.markPending(state, key, hash(JSON.stringify(toSyncData(record))), now);
+                seen.add(key);
+            });
+        });
+
+        // Synced records that are gone locally were deleted
+        Object.entries(state.records)
+            .filter(([key, synced]) => !seen.has(key) && synced.hash !== SYNC_CONFIG.DELETED)
+            .forEach(([key]) => this.markPending(state, key, SYNC_CONFIG.DELETED, now));
+
+        this.saveState(state);
+    }
+
+    /**
+     * Record or clear a pending change for one record
+     * @param {Object} state - Sync state
+     * @param {string} key - "type:id"
+     * @param {string} currentHash - Hash of the local version
+     * @param {string} now - Timestamp to use for new edits
+     */
+    markPending(state, key, currentHash, now) {
+        const synced = state.records[key];
+
+        if (synced && synced.hash === currentHash) {
+            delete state.pending[key];
+        } else if (!state.pending[key] || state.pending[key].hash !== currentHash) {
+            state.pending[key] = { hash: currentHash, updatedAt: now };
+        }
+    }
+
+    /**
+     * Push pending changes, then pull everything newer than the cursor
+     * @param {Object} data - Current { sessions, rounds }
+     * @returns {Promise<Object>} { changes, pushed, pulled, conflicts } where changes
+     *   are server versions to apply locally: [{ type, id, deleted, data }]
+     */
+    async sync(data) {
+        if (!this.isConfigured()) {
+            throw new Error('Sync server URL and space are not set');
+        }
+
+        this.trackChanges(data);
+        const state = this.getState();
+        const local = new Map();
+        SYNC_CONFIG.RECORD_TYPES.forEach(type => {
+            data[type].forEach(record => local.set(`${type}:${record.id}`, toSyncData(record)));
+        });
+
+        const outgoing = Object.entries(state.pending).map(([key, pending]) => {
+            const [type, id] = key.split(':');
+            const deleted = pending.hash === SYNC_CONFIG.DELETED;
+            return {
+                type,
+                id: Number(id),
+                baseRev: state.records[key] ? state.records[key].rev : 0,
+                updatedAt: pending.updatedAt,
+                deleted,
+                data: deleted ? null : local.get(key)
+            };
+        });
+
+        const incoming = new Map();
+        let conflicts = 0;
+
+        if (outgoing.length > 0) {
+            const { results } = await this.request('POST', { body: { deviceId: this.getDeviceId(), changes: outgoing } });
+
+            results.forEach(result => {
+                const key = `${result.type}:${result.id}`;
+                this.remember(state, result.record);
+                delete state.pending[key];
+
+                // Another device's edit won; take its version
+                if (result.status === 'conflict') {
+                    conflicts++;
+                    incoming.set(key, result.record);
+                }
+            });
+        }
+
+        const { seq, changes } = await this.request('GET', { since: state.cursor });
+        changes.forEach(record => {
+            const key = `${record.type}:${record.id}`;
+            const synced = state.records[key];
+            if (synced && synced.rev >= record.rev && !incoming.has(key)) return;
+
+            this.remember(state, record);
+            incoming.set(key, record);
+        });
+
+        state.cursor = seq;
+        state.lastSync = new Date().toISOString();
+        this.saveState(state);
+
+        return {
+            changes: [...incoming.values()].map(record => ({
+                type: record.type,
+                id: record.id,
+                deleted: record.deleted,
+                data: record.data
+            })),
+            pushed: outgoing.length,
+            pulled: incoming.size - conflicts,
+            conflicts
+        };
+    }
+
+    /**
+     * Store the server's revision of a record as the last synced version
+     * @param {Object} state - Sync state
+     * @param {Object} record - Server record
+     */
+    remember(state, record) {
+        state.records[`${record.type}:${record.id}`] = {
+            rev: record.rev,
+            hash: record.deleted ? SYNC_CONFIG.DELETED : hash(JSON.stringify(record.data))
+        };
+    }
+
+    /**
+     * Apply server versions to a local record list
+     * @param {Array} records - Local sessions or rounds
+     * @param {Array} changes - Changes from sync() for this record type
+     * @returns {Array} Updated records
+     */
+    static applyChanges(records, changes) {
+        const byId = new Map(records.map(record => [record.id, record]));
+
+        changes.forEach(change => {
+            if (change.deleted) {
+                byId.delete(change.id);
+            } else {
+                byId.set(change.id, change.data);
+            }
+        });
+
+        return GolfHelpers.sortNewestFirst([...byId.values()]);
+    }
+
+    /**
+     * Call the changes endpoint
+     * @param {string} method - 'GET' or 'POST'
+     * @param {Object} options - { body } for POST, { since } for GET
+     * @returns {Promise<Object>} Parsed response
+     */
+    async request(method, { body = null, since = 0 } = {}) {
+        const url = `${this.baseURL}/v1/spaces/${encodeURIComponent(this.space)}/changes`
+            + (method === 'GET' ? `?since=${since}` : '');
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SYNC_CONFIG.TIMEOUT_MS);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+            const payload = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(`Sync server error (${response.status}): ${payload.error || response.statusText}`);
+            }
+            return payload;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Sync server did not respond in time');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
@@ -0,0 +1,79 @@
+import { BaseComponent } from './BaseComponent.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { UsageTracker } from '../utils/usage.js';
+import { html, HtmlUtils } from '../utils/html.js';
+
+/**
+ * Coaching tab list of past conversations, with a button to start a new one and
+ * a choice of coach persona (prompt template) for the open conversation
+ */
+export class ThreadList extends BaseComponent {
+    getDefaultOptions() {
+        return { threads: [], activeThreadId: null, templates: [], templateId: null };
+    }
+
+    render() {
+        const { threads, activeThreadId, templates, templateId } = this.data || this.options;
+
+        HtmlUtils.render(this.container, html`
+            <div class="chat-threads__header">
+                <h3>Conversations</h3>
+                <button type="button" class="btn btn--outline btn--sm" data-thread-action="new"
+                    ${activeThreadId === null ? html`disabled` : ''}>New conversation</button>
+            </div>
+            ${templates.length > 0 ? html`
+                <label class="chat-threads__persona">
+                    Coach
+                    <select data-thread-template>
+                        ${templates.map(template => html`
+                            <option value="${template.id}" ${template.id === templateId ? html`selected` : ''}>${template.name}</option>
+                        `)}
+                    </select>
+                </label>
+            ` : ''}
+            ${threads.length > 0
+                ? html`<ul class="chat-threads__list">${threads.map(thread => html`
+                    <li class="chat-threads__item ${thread.id === activeThreadId ? 'chat-threads__item--active' : ''}"
+                        data-thread-id="${thread.id}">
+                        <button type="button" class="chat-threads__open" data-thread-action="open">
+                            <span class="chat-threads__title">${thread.title || 'Untitled conversation'}</span>
+                            <small class="chat-threads__meta">${GolfHelpers.formatDate(thread.updatedAt)}
+                                · ${thread.messages.length} messages
+                                ${thread.usage ? `· ${UsageTracker.formatCost(thread.usage.cost)}` : ''}</small>
+                        </button>
+                        <button type="button" class="chat-threads__delete" data-thread-action="delete"
+                            aria-label="Delete conversation" title="Delete conversation">×</button>
+                    </li>
+                `)}</ul>`
+                : html`<p class="chat-threads__empty">Your conversations with the coach will be listed here.</p>`}
+        `);
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-thread-action]');
+            if (!button) return;
+
+            const item = button.closest('[data-thread-id]');
+            const threadId = item ? Number(item.dataset.threadId) : null;
+
+            switch (button.dataset.threadAction) {
+                case 'new':
+                    this.emit('threadCreateRequested');
+                    break;
+                case 'open':
+                    this.emit('threadSelected', { threadId });
+                    break;
+                case 'delete':
+                    this.emit('threadDeleteRequested', { threadId });
+                    break;
+            }
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('[data-thread-template]')) {
+                this.emit('threadTemplateChanged', { templateId: e.target.value });
+            }
+        });
+    }
+}
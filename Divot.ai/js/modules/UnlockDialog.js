@@ -0,0 +1,88 @@
+import { BaseComponent } from './BaseComponent.js';
+import { Vault } from '../utils/vault.js';
+
+/**
+ * Passphrase prompt shown on startup (and from Settings) when encryption is on
+ */
+export class UnlockDialog extends BaseComponent {
+    render() {
+        this.form = this.container.querySelector('#unlockForm');
+        this.input = this.container.querySelector('#unlockPassphrase');
+        this.messageElement = this.container.querySelector('#unlockMessage');
+        this.errorElement = this.container.querySelector('#unlockError');
+        this.submitButton = this.form.querySelector('button[type="submit"]');
+        this.skipButton = this.container.querySelector('[data-unlock-action="skip"]');
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.unlock();
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-unlock-action]');
+            if (!button) return;
+
+            if (button.dataset.unlockAction === 'skip') {
+                this.close(false);
+            } else if (button.dataset.unlockAction === 'reset') {
+                this.emit('resetRequested');
+            }
+        });
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} options - { required } when the app can't run without unlocking
+     * @returns {Promise<boolean>} Resolves true once unlocked, false if skipped
+     */
+    open({ required = false } = {}) {
+        this.messageElement.textContent = required
+            ? 'Your sessions and rounds are encrypted. Enter your passphrase to open them.'
+            : 'Your Claude API key is encrypted. Unlock to use AI coaching, or continue without it.';
+        this.skipButton.hidden = required;
+        this.errorElement.hidden = true;
+        this.input.value = '';
+        this.container.hidden = false;
+        this.input.focus();
+
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Check the entered passphrase
+     */
+    async unlock() {
+        this.submitButton.disabled = true;
+        this.submitButton.textContent = 'Unlocking...';
+
+        const unlocked = await Vault.unlock(this.input.value);
+
+        this.submitButton.disabled = false;
+        this.submitButton.textContent = 'Unlock';
+
+        if (unlocked) {
+            this.close(true);
+        } else {
+            this.errorElement.textContent = 'That passphrase is not right';
+            this.errorElement.hidden = false;
+            this.input.select();
+        }
+    }
+
+    /**
+     * Hide the dialog and settle the open() promise
+     * @param {boolean} unlocked - Whether the vault was unlocked
+     */
+    close(unlocked) {
+        this.container.hidden = true;
+        this.input.value = '';
+        if (this.resolve) {
+            this.resolve(unlocked);
+            this.resolve = null;
+        }
+    }
+}
@@ -0,0 +1,66 @@
+import { BaseComponent } from './BaseComponent.js';
+import { UsageTracker } from '../utils/usage.js';
+import { GolfHelpers } from '../utils/helpers.js';
+import { html, HtmlUtils } from '../utils/html.js';
+import { USAGE_CONFIG } from '../utils/constants.js';
+
+/**
+ * Settings panel showing this month's AI coaching tokens and estimated cost
+ * for all profiles against the monthly budget, with the last few days
+ */
+export class UsagePanel extends BaseComponent {
+    getDefaultOptions() {
+        return { log: { days: {} }, budget: 0 };
+    }
+
+    render() {
+        const { log, budget } = this.data || this.options;
+        const month = UsageTracker.monthTotal(log);
+
+        if (!month) {
+            HtmlUtils.render(this.container, html`
+                <small class="usage-panel__status">No AI coaching requests this month yet.</small>
+            `);
+            return;
+        }
+
+        const days = Object.keys(log.days).sort().reverse().slice(0, USAGE_CONFIG.RECENT_DAYS);
+        HtmlUtils.render(this.container, html`
+            <p class="usage-panel__total">
+                This month, all profiles: <strong>${UsageTracker.formatCost(month.cost)}</strong> estimated
+                · ${month.requests} requests
+                · ${UsageTracker.formatTokens(month.inputTokens)} in / ${UsageTracker.formatTokens(month.outputTokens)} out
+            </p>
+            ${budget > 0 ? html`
+                <meter class="usage-panel__meter" min="0" max="${budget}" high="${budget * 0.8}" value="${month.cost}"></meter>
+                <small class="usage-panel__status">
+                    ${month.cost >= budget
+                        ? `Budget of ${UsageTracker.formatCost(budget)} reached: you'll be asked before each question is sent.`
+                        : `${UsageTracker.formatCost(budget - month.cost)} left of your ${UsageTracker.formatCost(budget)} budget.`}
+                </small>
+            ` : ''}
+            ${month.unpriced > 0 ? html`
+                <small class="usage-panel__status">
+                    ${month.unpriced} requests used a model without a known price and aren't included in the cost.
+                </small>
+            ` : ''}
+            <table class="usage-panel__days">
+                <thead>
+                    <tr><th>Day</th><th>Requests</th><th>Tokens in</th><th>Tokens out</th><th>Cost</th></tr>
+                </thead>
+                <tbody>
+                    ${days.map(day => {
+                        const usage = log.days[day];
+                        return html`<tr>
+                            <td>${GolfHelpers.formatDate(day)}</td>
+                            <td>${usage.requests}</td>
+                            <td>${UsageTracker.formatTokens(usage.inputTokens)}</td>
+                            <td>${UsageTracker.formatTokens(usage.outputTokens)}</td>
+                            <td>${UsageTracker.formatCost(usage.cost)}</td>
+                        </tr>`;
+                    })}
+                </tbody>
+            </table>
+        `);
+    }
+}
@@ -0,0 +1,135 @@
+import { StorageManager } from './storage.js';
+import { GolfHelpers } from './helpers.js';
+import { APP_CONFIG, BACKUP_CONFIG, DATABASE } from './constants.js';
+
+/**
+ * Local snapshots of a profile's sessions, rounds and settings
+ *
+ * Backup shape: { id, createdAt, reason, appVersion, sessions, rounds, settings }
+ * Only the newest BACKUP_CONFIG.MAX_BACKUPS are kept per profile.
+ */
+export class BackupManager {
+    /**
+     * Get a profile's backups
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Promise<Array>} Backups, newest first
+     */
+    static list(profileId) {
+        return StorageManager.getBackups(profileId);
+    }
+
+    /**
+     * Snapshot a profile's data, unless the newest backup already holds the same data
+     * @param {string} reason - Key from BACKUP_CONFIG.REASONS
+     * @param {Object} data - { sessions, rounds, settings } to back up
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Promise<Object|null>} The new or matching backup, or null if it couldn't be saved
+     */
+    static async create(reason, data, profileId) {
+        const backups = await this.list(profileId);
+        const snapshot = {
+            sessions: this.withoutProfile(data.sessions),
+            rounds: this.withoutProfile(data.rounds),
+            settings: this.stripSettings(data.settings)
+        };
+
+        if (backups.length > 0 && this.sameData(backups[0], snapshot)) {
+            return backups[0];
+        }
+
+        const backup = {
+            id: Math.max(GolfHelpers.generateId(), ...backups.map(existing => existing.id + 1)),
+            createdAt: new Date().toISOString(),
+            reason,
+            appVersion: APP_CONFIG.VERSION,
+            ...snapshot
+        };
+
+        const kept = [backup, ...backups].slice(0, BACKUP_CONFIG.MAX_BACKUPS);
+        return await StorageManager.setBackups(kept, profileId) ? backup : null;
+    }
+
+    /**
+     * Check whether today's daily backup is still to be taken
+     * @param {Array} backups - Backups, newest first
+     * @param {Date} now - Current time
+     * @returns {boolean} True if no backup was taken today
+     */
+    static isDailyDue(backups, now = new Date()) {
+        if (backups.length === 0) return true;
+        return new Date(backups[0].createdAt).toDateString() !== now.toDateString();
+    }
+
+    /**
+     * Compare a backup with the current data
+     * @param {Object} backup - Backup to restore
+     * @param {Object} current - { sessions, rounds, settings }
+     * @returns {Object} Per record type { restored, removed, changed } record lists,
+     *   plus settings: names of settings the restore would change
+     */
+    static diff(backup, current) {
+        const result = {};
+
+        ['sessions', 'rounds'].forEach(type => {
+            const before = new Map(current[type].map(record => [record.id, record]));
+            const after = new Map(backup[type].map(record => [record.id, record]));
+
+            result[type] = {
+                restored: backup[type].filter(record => !before.has(record.id)),
+                removed: current[type].filter(record => !after.has(record.id)),
+                changed: backup[type].filter(record => before.has(record.id)
+                    && JSON.stringify(this.withoutProfile(record)) !== JSON.stringify(this.withoutProfile(before.get(record.id))))
+            };
+        });
+
+        const settings = this.stripSettings(current.settings);
+        result.settings = [...new Set([...Object.keys(backup.settings), ...Object.keys(settings)])]
+            .filter(key => JSON.stringify(backup.settings[key]) !== JSON.stringify(settings[key]));
+
+        return result;
+    }
+
+    /**
+     * Describe why a backup was taken
+     * @param {Object} backup - Backup
+     * @returns {string} Label
+     */
+    static describe(backup) {
+        return BACKUP_CONFIG.REASONS[backup.reason] || backup.reason;
+    }
+
+    /**
+     * Drop secrets that shouldn't be duplicated into backups
+     * @param {Object} settings - Profile settings
+     * @returns {Object} Settings safe to back up
+     */
+    static stripSettings(settings = {}) {
+        const copy = { ...settings };
+        BACKUP_CONFIG.EXCLUDED_SETTINGS.forEach(key => delete copy[key]);
+        return copy;
+    }
+
+    /**
+     * Check whether a backup holds exactly the given data
+     * @param {Object} backup - Stored backup
+     * @param {Object} snapshot - { sessions, rounds, settings }
+     * @returns {boolean} True if nothing changed
+     */
+    static sameData(backup, snapshot) {
+        return ['sessions', 'rounds', 'settings'].every(key =>
+            JSON.stringify(backup[key]) === JSON.stringify(snapshot[key]));
+    }
+
+    /**
+     * Remove the storage-only profile field from a record or list of records
+     * @param {*} value - Record, list of records or settings
+     * @returns {*} Value without profileId fields
+     */
+    static withoutProfile(value) {
+        if (Array.isArray(value)) return value.map(item => this.withoutProfile(item));
+        if (!value || typeof value !== 'object') return value;
+
+        const { [DATABASE.PROFILE_FIELD]: profileId, ...rest } = value;
+        return rest;
+    }
+}
@@ -5,45 +5,254 @@ export const APP_CONFIG = {
     MIN_ROUNDS_FOR_HANDICAP: 3,
     MAX_RECENT_ROUNDS: 5,
     MAX_RECENT_SESSIONS: 5,
-    CHART_MAX_ROUNDS: 20
+    CHART_MAX_ROUNDS: 20,
+    MAX_PRACTICE_PLANS: 20
 };
 
-// Handicap calculation rules
+// World Handicap System lookup: differentials counted and adjustment by number of scores
 export const HANDICAP_RULES = {
-    1: { rounds: 1, count: 1 },
-    2: { rounds: 2, count: 1 },
-    3: { rounds: 3, count: 1 },
-    4: { rounds: 4, count: 1 },
-    5: { rounds: 5, count: 1 },
-    6: { rounds: 6, count: 2 },
-    7: { rounds: 7, count: 2 },
-    8: { rounds: 8, count: 2 },
-    9: { rounds: 9, count: 3 },
-    10: { rounds: 10, count: 3 },
-    11: { rounds: 11, count: 4 },
-    12: { rounds: 12, count: 4 },
-    13: { rounds: 13, count: 5 },
-    14: { rounds: 14, count: 5 },
-    15: { rounds: 15, count: 6 },
-    16: { rounds: 16, count: 6 },
-    17: { rounds: 17, count: 7 },
-    18: { rounds: 18, count: 7 },
-    19: { rounds: 19, count: 8 },
-    20: { rounds: 20, count: 9 }
+    3: { count: 1, adjustment: -2.0 },
+    4: { count: 1, adjustment: -1.0 },
+    5: { count: 1, adjustment: 0 },
+    6: { count: 2, adjustment: -1.0 },
+    7: { count: 2, adjustment: 0 },
+    8: { count: 2, adjustment: 0 },
+    9: { count: 3, adjustment: 0 },
+    10: { count: 3, adjustment: 0 },
+    11: { count: 3, adjustment: 0 },
+    12: { count: 4, adjustment: 0 },
+    13: { count: 4, adjustment: 0 },
+    14: { count: 4, adjustment: 0 },
+    15: { count: 5, adjustment: 0 },
+    16: { count: 5, adjustment: 0 },
+    17: { count: 6, adjustment: 0 },
+    18: { count: 6, adjustment: 0 },
+    19: { count: 7, adjustment: 0 },
+    20: { count: 8, adjustment: 0 }
+};
+
+// World Handicap System limits and caps
+export const HANDICAP_CONFIG = {
+    SCORES_CONSIDERED: 20,
+    MAX_INDEX: 54.0,
+    LOW_INDEX_WINDOW_DAYS: 365,
+    SOFT_CAP_THRESHOLD: 3.0,
+    SOFT_CAP_FACTOR: 0.5,
+    HARD_CAP_THRESHOLD: 5.0,
+    STANDARD_SLOPE: 113,
+    // 9-hole scores: expected 9-hole differential = index × 0.52 + 1.2
+    NINE_HOLE_METHODS: ['expected', 'combine'],
+    EXPECTED_NINE_HOLE_FACTOR: 0.52,
+    EXPECTED_NINE_HOLE_OFFSET: 1.2,
+    // Net double bogey allowance, and the per-hole limit before an index exists
+    NET_DOUBLE_BOGEY_OVER_PAR: 2,
+    NO_INDEX_MAX_OVER_PAR: 5,
+    // Exceptional score reductions, checked from largest margin down
+    EXCEPTIONAL_SCORES: [
+        { margin: 10.0, reduction: 2.0 },
+        { margin: 7.0, reduction: 1.0 }
+    ]
+};
+
+// Handicap allowances by format (WHS Appendix C recommendations)
+export const PLAYING_ALLOWANCES = {
+    'individual-stroke': { label: 'Individual stroke play', allowance: 0.95 },
+    'individual-match': { label: 'Individual match play', allowance: 1.0 },
+    'four-ball-stroke': { label: 'Four-ball stroke play', allowance: 0.85 },
+    'four-ball-match': { label: 'Four-ball match play', allowance: 0.90 },
+    'stableford': { label: 'Individual Stableford', allowance: 0.95 },
+    'full': { label: 'Full course handicap', allowance: 1.0 }
 };
 
 // Storage keys
 export const STORAGE_KEYS = {
     SESSIONS: 'golf_sessions',
     ROUNDS: 'golf_rounds',
-    SETTINGS: 'golf_settings'
+    SETTINGS: 'golf_settings',
+    COURSES: 'golf_courses',
+    // Flat chat history kept before conversation threads, only read by the schema 4 migration
+    CHAT_HISTORY: 'golf_chat_history',
+    PRACTICE_PLANS: 'golf_practice_plans',
+    SYNC_STATE: 'golf_sync_state',
+    BACKUPS: 'golf_backups',
+    THREADS: 'golf_threads',
+    ENCRYPTION: 'golf_encryption',
+    CLAUDE_API_KEY: 'claude_api_key',
+    ENCRYPTED_API_KEY: 'claude_api_key_encrypted',
+    DEVICE_ID: 'golf_device_id',
+    PROFILES: 'golf_profiles',
+    ACTIVE_PROFILE: 'golf_active_profile',
+    // Deleted profiles whose backups are kept until restored or discarded
+    DELETED_PROFILES: 'golf_deleted_profiles',
+    // Coaching threads whose latest question waits for the connection to return
+    COACHING_QUEUE: 'golf_coaching_queue',
+    // AI coaching usage and budget are per browser, like the API key they are billed to
+    COACHING_USAGE: 'golf_coaching_usage',
+    COACHING_BUDGET: 'golf_coaching_budget',
+    COACH_TEMPLATES: 'golf_coach_templates',
+    SCHEMA_VERSION: 'golf_schema_version'
+};
+
+// Keys stored separately for each player profile, suffixed with the profile id
+export const PROFILE_STORAGE_KEYS = ['SETTINGS', 'CHAT_HISTORY', 'PRACTICE_PLANS', 'SYNC_STATE', 'COACH_TEMPLATES'];
+
+// Profile that owns data created before profiles existed
+export const DEFAULT_PROFILE = { id: 1, name: 'Player 1' };
+
+// IndexedDB database for sessions, rounds, backups and coaching threads; settings and courses stay in localStorage.
+// Records are keyed by [profileId, id] and every index is scoped to a profile.
+export const DATABASE = {
+    NAME: 'golf_tracker',
+    VERSION: 4,
+    PROFILE_FIELD: 'profileId',
+    STORES: {
+        sessions: { indexes: ['date'] },
+        rounds: { indexes: ['date', 'courseName', 'courseId'] },
+        backups: { indexes: ['createdAt'] },
+        threads: { indexes: ['updatedAt'] }
+    }
+};
+
+// Coaching conversations: how much history is sent with each question and how much is kept
+export const COACHING_CONFIG = {
+    MAX_THREADS: 30,
+    TITLE_LENGTH: 60,
+    // Rough size of a token, used to estimate how much history fits
+    CHARS_PER_TOKEN: 4,
+    HISTORY_TOKEN_BUDGET: 6000,
+    SUMMARY_MAX_TOKENS: 400,
+    // Rounds of tool calls the coach may make before it has to answer
+    MAX_TOOL_ROUNDS: 5,
+    // Digest of the golfer's data in the system prompt: the default token budget
+    // (changeable in Settings), and how many recent rounds and sessions to describe
+    // one by one, tried from most to fewest until the digest fits
+    CONTEXT_TOKEN_BUDGET: 2500,
+    CONTEXT_DETAIL_STEPS: [20, 10, 5, 2, 0],
+    CONTEXT_MONTHS: 12,
+    CONTEXT_MAX_COURSES: 8,
+    CONTEXT_NOTE_LENGTH: 200,
+    // Prompt templates of a profile, besides the built-in personas
+    MAX_TEMPLATES: 20,
+    TEMPLATE_NAME_LENGTH: 60,
+    TEMPLATE_MAX_LENGTH: 10000
+};
+
+// AI coach providers; the model, reply length and endpoint are chosen in Settings
+export const LLM_CONFIG = {
+    DEFAULT_ENDPOINT: 'https://api.anthropic.com/v1/messages',
+    DEFAULT_MODEL: 'claude-sonnet-4-5',
+    DEFAULT_MAX_TOKENS: 1000,
+    // Pause before a demo reply and between its streamed words
+    MOCK_DELAY_MS: 40,
+    // Model reported by the offline demo, which has no price
+    MOCK_MODEL: 'offline-demo'
+};
+
+// AI coaching cost estimates. Prices are USD per million tokens as published by
+// Anthropic, matched by model id prefix and overridable per model in Settings;
+// cache writes and reads are priced as a multiple of the input price.
+export const USAGE_CONFIG = {
+    PRICES: {
+        'claude-3-haiku': { input: 0.25, output: 1.25 },
+        'claude-3-sonnet': { input: 3, output: 15 },
+        'claude-3-opus': { input: 15, output: 75 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'claude-3-7-sonnet': { input: 3, output: 15 },
+        'claude-haiku-4-5': { input: 1, output: 5 },
+        'claude-sonnet-4': { input: 3, output: 15 },
+        'claude-sonnet-4-5': { input: 3, output: 15 },
+        'claude-opus-4': { input: 15, output: 75 },
+        'claude-opus-4-5': { input: 5, output: 25 }
+    },
+    CACHE_WRITE_FACTOR: 1.25,
+    CACHE_READ_FACTOR: 0.1,
+    KEEP_DAYS: 400,
+    // Days listed in the Settings usage panel
+    RECENT_DAYS: 7
+};
+
+// Coaching requests: timeout, and retries with exponential backoff
+export const REQUEST_CONFIG = {
+    // A reply times out when nothing has arrived for this long
+    TIMEOUT_MS: 60000,
+    MAX_RETRIES: 3,
+    BACKOFF_BASE_MS: 1000,
+    BACKOFF_MAX_MS: 30000,
+    // Longer retry-after waits are reported instead of waited out
+    MAX_RETRY_AFTER_MS: 60000
+};
+
+// Local snapshots of a profile's data, taken daily and before destructive operations
+export const BACKUP_CONFIG = {
+    MAX_BACKUPS: 10,
+    // Settings that are never copied into a backup or export, or overwritten by a restore or import
+    EXCLUDED_SETTINGS: ['syncToken'],
+    REASONS: {
+        daily: 'Daily backup',
+        manual: 'Manual backup',
+        clear: 'Before clearing data',
+        import: 'Before replacing with an import',
+        restore: 'Before restoring a backup',
+        delete: 'Before deleting the profile'
+    }
+};
+
+// Passphrase encryption (PBKDF2-SHA256 key derivation, AES-GCM)
+export const ENCRYPTION_CONFIG = {
+    ITERATIONS: 600000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+    MIN_PASSPHRASE_LENGTH: 8,
+    // Sealed on setup so a passphrase can be checked on unlock
+    CHECK_VALUE: 'divot-unlocked',
+    FILE_FORMAT: 'divot-encrypted',
+    FILE_VERSION: 1
+};
+
+// Keys written by the original single-page script.js
+export const LEGACY_STORAGE_KEYS = {
+    SESSIONS: 'sessions',
+    ROUNDS: 'rounds',
+    SETTINGS: 'settings'
 };
 
+// Bump when stored data changes shape and add a matching migration in storage.js
+export const SCHEMA_VERSION = 6;
+
 // Default settings
 export const DEFAULT_SETTINGS = {
     defaultDuration: 60,
     theme: 'dark',
-    notifications: 'none'
+    notifications: 'none',
+    nineHoleMethod: 'expected',
+    syncUrl: '',
+    syncSpace: '',
+    syncToken: '',
+    coachProvider: 'anthropic',
+    coachModel: LLM_CONFIG.DEFAULT_MODEL,
+    coachMaxTokens: LLM_CONFIG.DEFAULT_MAX_TOKENS,
+    // Empty for the Anthropic API itself, or a compatible proxy URL
+    coachEndpoint: '',
+    // Tokens of the system prompt given to the digest of the golfer's data
+    coachContextTokens: COACHING_CONFIG.CONTEXT_TOKEN_BUDGET,
+    // Prompt template new conversations start with; see PromptTemplates
+    coachTemplate: 'standard',
+    // Prices replacing USAGE_CONFIG.PRICES, by model id: { input, output }
+    coachPrices: {}
+};
+
+// Settings a replace import takes from the file: display and practice preferences.
+// Coach and sync connections stay as set in this browser, so a shared file can't
+// send the API key or synced data elsewhere.
+export const IMPORTED_SETTINGS = ['defaultDuration', 'theme', 'notifications', 'nineHoleMethod'];
+
+// Sync with a self-hosted server (protocol in server/README.md)
+export const SYNC_CONFIG = {
+    RECORD_TYPES: ['sessions', 'rounds'],
+    DELETED: 'deleted',
+    TIMEOUT_MS: 15000,
+    AUTO_SYNC_DELAY_MS: 2000
 };
 
 // Form validation rules
@@ -52,6 +261,69 @@ export const VALIDATION_RULES = {
     COURSE_RATING: { min: 60, max: 80 },
     SLOPE_RATING: { min: 55, max: 155 },
     PAR: { min: 60, max: 80 },
+    SCORE_9: { min: 25, max: 100 },
+    COURSE_RATING_9: { min: 27, max: 40 },
+    PAR_9: { min: 27, max: 40 },
     DURATION: { min: 1, max: 300 },
-    BALLS_HIT: { min: 1, max: 200 }
+    MAX_TOKENS: { min: 100, max: 8192 },
+    CONTEXT_TOKENS: { min: 300, max: 20000 },
+    BUDGET: { min: 0, max: 10000 },
+    PRICE: { min: 0, max: 1000 },
+    BALLS_HIT: { min: 1, max: 200 },
+    SESSION_RATING: { min: 1, max: 5 },
+    HOLE_PAR: { min: 3, max: 6 },
+    STROKE_INDEX: { min: 1, max: 18 },
+    YARDAGE: { min: 50, max: 800 },
+    HOLE_STROKES: { min: 1, max: 20 },
+    PUTTS: { min: 0, max: 10 },
+    PENALTIES: { min: 0, max: 10 }
+};
+
+// Scorecard options
+export const SCORECARD = {
+    HOLE_COUNTS: [9, 18],
+    DEFAULT_HOLE_COUNT: 18,
+    DEFAULT_HOLE_PAR: 4,
+    FAIRWAY_RESULTS: {
+        hit: 'Hit',
+        left: 'Left',
+        right: 'Right',
+        short: 'Short'
+    }
+};
+
+// CSV columns: headers stay stable so spreadsheets keep working across versions
+// rule/rule9 name VALIDATION_RULES entries; rule9 applies to 9-hole rounds
+export const CSV_COLUMNS = {
+    rounds: [
+        { key: 'id', header: 'id', type: 'number' },
+        { key: 'date', header: 'date', type: 'date', required: true },
+        { key: 'courseName', header: 'course_name', type: 'string', required: true },
+        { key: 'holesPlayed', header: 'holes_played', type: 'number' },
+        { key: 'courseRating', header: 'course_rating', type: 'number', required: true, rule: 'COURSE_RATING', rule9: 'COURSE_RATING_9' },
+        { key: 'slopeRating', header: 'slope_rating', type: 'number', required: true, rule: 'SLOPE_RATING', rule9: 'SLOPE_RATING' },
+        { key: 'par', header: 'par', type: 'number', required: true, rule: 'PAR', rule9: 'PAR_9' },
+        { key: 'totalScore', header: 'total_score', type: 'number', required: true, rule: 'SCORE', rule9: 'SCORE_9' },
+        { key: 'adjustedScore', header: 'adjusted_score', type: 'number', rule: 'SCORE', rule9: 'SCORE_9' },
+        { key: 'differential', header: 'differential', type: 'number', exportOnly: true, decimals: 1 },
+        { key: 'weather', header: 'weather', type: 'string' },
+        { key: 'notes', header: 'notes', type: 'string' },
+        { key: 'courseId', header: 'course_id', type: 'number' },
+        { key: 'teeId', header: 'tee_id', type: 'number' },
+        { key: 'stats.putts', header: 'putts', type: 'number' },
+        { key: 'stats.fairwaysHit', header: 'fairways_hit', type: 'number' },
+        { key: 'stats.fairwaysAttempted', header: 'fairways_attempted', type: 'number' },
+        { key: 'stats.greensInRegulation', header: 'greens_in_regulation', type: 'number' },
+        { key: 'stats.penalties', header: 'penalties', type: 'number' }
+    ],
+    sessions: [
+        { key: 'id', header: 'id', type: 'number' },
+        { key: 'date', header: 'date', type: 'date', required: true },
+        { key: 'duration', header: 'duration', type: 'number', required: true, rule: 'DURATION' },
+        { key: 'focus', header: 'focus', type: 'string', required: true },
+        { key: 'clubs', header: 'clubs', type: 'string', required: true },
+        { key: 'ballsHit', header: 'balls_hit', type: 'number', required: true, rule: 'BALLS_HIT' },
+        { key: 'summary', header: 'summary', type: 'string', required: true },
+        { key: 'rating', header: 'rating', type: 'number', required: true, rule: 'SESSION_RATING' }
+    ]
 };
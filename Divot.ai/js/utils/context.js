@@ -0,0 +1,367 @@
+import { HandicapEngine } from './handicap.js';
+import { GolfHelpers } from './helpers.js';
+import { APP_CONFIG, COACHING_CONFIG } from './constants.js';
+
+/**
+ * @param {number} n - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "1 round" or "3 rounds"
+ */
+function count(n, noun) {
+    return `${n} ${noun}${n === 1 ? '' : 's'}`;
+}
+
+/**
+ * Digest of the golfer's data for the coach's system prompt
+ *
+ * Sections, most important first: overview, handicap trajectory, recent rounds,
+ * per-course averages, scorecard stats, practice minutes by month and focus, and
+ * recent practice sessions. To fit the token budget, fewer rounds and sessions
+ * are described one by one and older rounds are summarized by month; if even
+ * that is too long, the least important sections are left out. Prompt templates
+ * can use the whole digest or single sections (see PromptTemplates).
+ */
+export class CoachingContext {
+    /**
+     * Build the digest
+     * @param {Object} data - { sessions, rounds }
+     * @param {number} budget - Most tokens the digest may use
+     * @returns {string} Digest
+     */
+    static build(data, budget = COACHING_CONFIG.CONTEXT_TOKEN_BUDGET) {
+        return this.join(this.sections(data, budget));
+    }
+
+    /**
+     * Build the digest's sections, sized together to fit the budget
+     * @param {Object} data - { sessions, rounds }
+     * @param {number} budget - Most tokens the sections may use together
+     * @returns {Object} { overview, handicapTrend, recentRounds, courses, scorecards, practice,
+     *   recentSessions }, most important first; empty when there is nothing to say or no room
+     */
+    static sections({ sessions = [], rounds = [] }, budget = COACHING_CONFIG.CONTEXT_TOKEN_BUDGET) {
+        const sortedSessions = GolfHelpers.sortNewestFirst(sessions);
+        const sortedRounds = GolfHelpers.sortNewestFirst(rounds);
+
+        let sections;
+        for (const detail of COACHING_CONFIG.CONTEXT_DETAIL_STEPS) {
+            sections = this.compose(sortedSessions, sortedRounds, detail);
+            if (GolfHelpers.estimateTokens(this.join(sections)) <= budget) return sections;
+        }
+
+        // The overview and handicap are always kept
+        const names = Object.keys(sections);
+        for (let i = names.length - 1; i > 1 && GolfHelpers.estimateTokens(this.join(sections)) > budget; i--) {
+            sections[names[i]] = '';
+        }
+        return sections;
+    }
+
+    /**
+     * Write every section
+     * @param {Array} sessions - Sessions, newest first
+     * @param {Array} rounds - Rounds, newest first
+     * @param {number} detail - How many recent rounds and sessions to describe one by one
+     * @returns {Object} Sections, see sections()
+     */
+    static compose(sessions, rounds, detail) {
+        return {
+            overview: this.overview(sessions, rounds),
+            handicapTrend: this.handicapTrajectory(rounds),
+            recentRounds: this.recentRounds(rounds, detail),
+            courses: this.courseAverages(rounds) || '',
+            scorecards: this.scorecardStats(rounds) || '',
+            practice: this.practiceByMonth(sessions),
+            recentSessions: this.recentSessions(sessions, detail) || ''
+        };
+    }
+
+    /**
+     * Put sections together into the digest
+     * @param {Object} sections - Sections from sections()
+     * @returns {string} Digest
+     */
+    static join(sections) {
+        return Object.values(sections).filter(Boolean).join('\n\n');
+    }
+
+    /**
+     * @param {Array} sessions - Sessions
+     * @param {Array} rounds - Rounds
+     * @returns {string} Totals
+     */
+    static overview(sessions, rounds) {
+        const hours = sessions.reduce((sum, session) => sum + (session.duration || 0), 0) / 60;
+        const nineHole = rounds.filter(round => round.holesPlayed === 9).length;
+
+        return `Overview: ${count(sessions.length, 'practice session')} (${hours.toFixed(1)} hours) and ${count(rounds.length, 'round')}` +
+            (nineHole > 0 ? ` (${nineHole} of them 9-hole).` : '.');
+    }
+
+    /**
+     * @param {Array} rounds - Rounds
+     * @returns {string} Current and low index, and the index at the end of each recent month
+     */
+    static handicapTrajectory(rounds) {
+        const revisions = HandicapEngine.calculateRevisions(rounds).filter(revision => revision.index !== null);
+        if (revisions.length === 0) {
+            return `Handicap index: not established yet (needs ${APP_CONFIG.MIN_ROUNDS_FOR_HANDICAP}+ rounds).`;
+        }
+
+        const latest = revisions[revisions.length - 1];
+        const byMonth = new Map(revisions.map(revision => [revision.date.slice(0, 7), revision.index]));
+        const months = [...byMonth].slice(-COACHING_CONFIG.CONTEXT_MONTHS).map(([month, index]) => `${month} ${index}`);
+
+        return `Handicap index: ${HandicapEngine.getIndex(rounds)}` +
+            (latest.lowHandicapIndex !== null ? ` (low index over the last year ${latest.lowHandicapIndex})` : '') +
+            `.\nIndex at the end of each month: ${months.join(', ')}.`;
+    }
+
+    /**
+     * @param {Array} rounds - Rounds, newest first
+     * @param {number} detail - How many to describe one by one
+     * @returns {string} Recent rounds, then older ones by month
+     */
+    static recentRounds(rounds, detail) {
+        if (rounds.length === 0) return 'Rounds: none logged yet.';
+
+        const lines = [];
+        if (detail > 0) {
+            lines.push('Recent rounds (newest first):');
+            rounds.slice(0, detail).forEach(round => lines.push(`- ${this.describeRound(round)}`));
+        }
+
+        const older = this.groupByMonth(rounds.slice(detail));
+        if (older.length > 0) {
+            lines.push(detail > 0 ? 'Earlier rounds by month:' : 'Rounds by month:');
+            older.slice(0, COACHING_CONFIG.CONTEXT_MONTHS).forEach(([month, monthRounds]) => {
+                const full = monthRounds.filter(round => round.holesPlayed !== 9);
+                const parts = [count(monthRounds.length, 'round')];
+                if (full.length > 0) {
+                    parts.push(`average 18-hole score ${GolfHelpers.calculateAverage(full.map(round => round.totalScore))}`);
+                }
+                const differentials = monthRounds.map(round => round.differential).filter(Number.isFinite);
+                if (differentials.length > 0) {
+                    parts.push(`average differential ${GolfHelpers.calculateAverage(differentials)}`);
+                }
+                lines.push(`- ${month}: ${parts.join(', ')}`);
+            });
+
+            const oldest = older.slice(COACHING_CONFIG.CONTEXT_MONTHS).flatMap(([, monthRounds]) => monthRounds);
+            if (oldest.length > 0) {
+                lines.push(`- Before that: ${count(oldest.length, 'round')}, the first on ${oldest[oldest.length - 1].date}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {Object} round - Round
+     * @returns {string} One line with everything recorded for the round
+     */
+    static describeRound(round) {
+        const score = round.adjustedScore && round.adjustedScore !== round.totalScore
+            ? `${round.totalScore} (${round.adjustedScore} adjusted)`
+            : round.totalScore;
+        const parts = [
+            `${round.date} at ${round.courseName || 'an unnamed course'}`,
+            `${round.holesPlayed || 18} holes`,
+            `score ${score}, par ${round.par}`,
+            `rating ${round.courseRating}/${round.slopeRating}`
+        ];
+
+        if (Number.isFinite(round.differential)) parts.push(`differential ${round.differential}`);
+        if (round.weather) parts.push(`weather ${round.weather}`);
+
+        const stats = round.stats;
+        if (stats) {
+            if (Number.isFinite(stats.putts)) parts.push(`${stats.putts} putts`);
+            if (Number.isFinite(stats.fairwaysHit) && stats.fairwaysAttempted > 0) {
+                parts.push(`fairways ${stats.fairwaysHit}/${stats.fairwaysAttempted}`);
+            }
+            if (Number.isFinite(stats.greensInRegulation)) parts.push(`${stats.greensInRegulation} greens in regulation`);
+            if (Number.isFinite(stats.penalties)) parts.push(`${stats.penalties} penalties`);
+        }
+
+        if (round.notes) parts.push(`notes: "${this.shorten(round.notes)}"`);
+        return parts.join(', ');
+    }
+
+    /**
+     * @param {Array} rounds - Rounds
+     * @returns {string|null} Averages for the most played courses
+     */
+    static courseAverages(rounds) {
+        const byCourse = new Map();
+        rounds.forEach(round => {
+            const name = round.courseName || 'Unnamed course';
+            byCourse.set(name, [...(byCourse.get(name) || []), round]);
+        });
+        if (byCourse.size === 0) return null;
+
+        const lines = [...byCourse]
+            .sort(([, a], [, b]) => b.length - a.length)
+            .slice(0, COACHING_CONFIG.CONTEXT_MAX_COURSES)
+            .map(([name, courseRounds]) => {
+                const scores = courseRounds.filter(round => round.holesPlayed !== 9).map(round => round.totalScore);
+                const differentials = courseRounds.map(round => round.differential).filter(Number.isFinite);
+                const parts = [count(courseRounds.length, 'round')];
+                if (scores.length > 0) {
+                    parts.push(`average 18-hole score ${GolfHelpers.calculateAverage(scores)}`, `best ${Math.min(...scores)}`);
+                }
+                if (differentials.length > 0) {
+                    parts.push(`average differential ${GolfHelpers.calculateAverage(differentials)}`);
+                }
+                return `- ${name}: ${parts.join(', ')}`;
+            });
+
+        return `Courses:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * @param {Array} rounds - Rounds, newest first
+     * @returns {string|null} Stats over every hole-by-hole scorecard, and hole averages
+     *   at the course with the most scorecards; null without scorecards
+     */
+    static scorecardStats(rounds) {
+        const played = round => (Array.isArray(round.holes) ? round.holes : []).filter(hole => Number.isFinite(hole.strokes));
+        const carded = rounds.filter(round => played(round).length > 0);
+        if (carded.length === 0) return null;
+
+        const holes = carded.flatMap(played);
+        const summary = GolfHelpers.summarizeScorecard(holes).stats;
+        const parts = [3, 4, 5]
+            .map(par => {
+                const parHoles = holes.filter(hole => hole.par === par);
+                return parHoles.length > 0
+                    ? `par ${par}s ${this.signed(this.averageOverPar(parHoles))}`
+                    : null;
+            })
+            .filter(Boolean);
+        const lines = [`Scorecards (${count(carded.length, 'round')} kept hole by hole): average over par on ${parts.join(', ')}`];
+
+        const puttedHoles = holes.filter(hole => Number.isFinite(hole.putts)).length;
+        if (puttedHoles > 0) lines.push(`${(summary.putts / puttedHoles).toFixed(1)} putts per hole`);
+        if (summary.fairwaysAttempted > 0) {
+            const misses = Object.entries(summary.fairwayMisses).map(([miss, count]) => `${miss} ${count}`).join(', ');
+            lines.push(`fairways hit ${Math.round(summary.fairwaysHit / summary.fairwaysAttempted * 100)}%` +
+                (misses ? ` (misses: ${misses})` : ''));
+        }
+        lines.push(
+            `greens in regulation ${Math.round(summary.greensInRegulation / holes.length * 100)}%`,
+            `${(summary.penalties / carded.length).toFixed(1)} penalties per round`
+        );
+
+        // Hole by hole for the course with the most scorecards
+        const byCourse = new Map();
+        carded.forEach(round => {
+            const name = round.courseName || 'Unnamed course';
+            byCourse.set(name, [...(byCourse.get(name) || []), round]);
+        });
+        const [course, courseRounds] = [...byCourse].sort(([, a], [, b]) => b.length - a.length)[0];
+        const byHole = new Map();
+        courseRounds.flatMap(played).forEach(hole => {
+            byHole.set(hole.number, [...(byHole.get(hole.number) || []), hole]);
+        });
+        const holeAverages = [...byHole]
+            .sort(([a], [b]) => a - b)
+            .map(([number, numberHoles]) => `${number} ${this.signed(this.averageOverPar(numberHoles))}`);
+
+        return `${lines.join('; ')}.\n${course} hole by hole (${count(courseRounds.length, 'scorecard')}), average over par: ` +
+            `${holeAverages.join(', ')}.`;
+    }
+
+    /**
+     * @param {Array} sessions - Sessions, newest first
+     * @returns {string} Practice minutes by focus for recent months, with older months totalled
+     */
+    static practiceByMonth(sessions) {
+        if (sessions.length === 0) return 'Practice: none logged yet.';
+
+        const months = this.groupByMonth(sessions);
+        const lines = ['Practice minutes by month and focus:'];
+        months.slice(0, COACHING_CONFIG.CONTEXT_MONTHS).forEach(([month, monthSessions]) => {
+            const byFocus = {};
+            monthSessions.forEach(session => {
+                byFocus[session.focus] = (byFocus[session.focus] || 0) + (session.duration || 0);
+            });
+            const focus = Object.entries(byFocus)
+                .sort(([, a], [, b]) => b - a)
+                .map(([name, minutes]) => `${name} ${minutes}`)
+                .join(', ');
+            const rating = GolfHelpers.calculateAverage(monthSessions.map(session => session.rating));
+            lines.push(`- ${month}: ${focus} (${count(monthSessions.length, 'session')}, average rating ${rating}/5)`);
+        });
+
+        const older = months.slice(COACHING_CONFIG.CONTEXT_MONTHS).flatMap(([, monthSessions]) => monthSessions);
+        if (older.length > 0) {
+            const hours = older.reduce((sum, session) => sum + (session.duration || 0), 0) / 60;
+            lines.push(`- Before that: ${count(older.length, 'session')}, ${hours.toFixed(1)} hours`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {Array} sessions - Sessions, newest first
+     * @param {number} detail - How many to describe
+     * @returns {string|null} Recent sessions with their summaries
+     */
+    static recentSessions(sessions, detail) {
+        if (detail === 0 || sessions.length === 0) return null;
+
+        const lines = sessions.slice(0, detail).map(session => {
+            const parts = [`${session.date} ${session.focus}`, `${session.duration} min`];
+            if (session.ballsHit) parts.push(`${session.ballsHit} balls`);
+            if (session.clubs) parts.push(`clubs: ${session.clubs}`);
+            parts.push(`rating ${session.rating}/5`);
+            if (session.summary) parts.push(`summary: "${this.shorten(session.summary)}"`);
+            return `- ${parts.join(', ')}`;
+        });
+
+        return `Recent practice sessions (newest first):\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Group records by month, keeping their order
+     * @param {Array} records - Sessions or rounds, newest first
+     * @returns {Array} [month, records] pairs, newest month first
+     */
+    static groupByMonth(records) {
+        const months = new Map();
+        records.forEach(record => {
+            const month = record.date.slice(0, 7);
+            months.set(month, [...(months.get(month) || []), record]);
+        });
+        return [...months];
+    }
+
+    /**
+     * @param {Array} holes - Played holes
+     * @returns {number} Average strokes over par
+     */
+    static averageOverPar(holes) {
+        return holes.reduce((sum, hole) => sum + hole.strokes - hole.par, 0) / holes.length;
+    }
+
+    /**
+     * @param {number} value - Number
+     * @returns {string} Number with one decimal and a sign, e.g. "+0.4"
+     */
+    static signed(value) {
+        return `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    }
+
+    /**
+     * Collapse whitespace and cut long free text
+     * @param {string} text - Notes or summary
+     * @returns {string} Shortened text
+     */
+    static shorten(text) {
+        const flat = String(text).replace(/\s+/g, ' ').trim();
+        return flat.length > COACHING_CONFIG.CONTEXT_NOTE_LENGTH
+            ? `${flat.slice(0, COACHING_CONFIG.CONTEXT_NOTE_LENGTH - 1).trimEnd()}…`
+            : flat;
+    }
+}
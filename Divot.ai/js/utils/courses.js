@@ -0,0 +1,148 @@
+import { StorageManager } from './storage.js';
+import { GolfHelpers } from './helpers.js';
+
+/**
+ * Course and tee catalog persisted through StorageManager
+ *
+ * Course shape:
+ * { id, name, tees: [{ id, name, holeCount, rating, slope, par,
+ *   holes: [{ number, par, yardage, strokeIndex }] }] }
+ */
+export class CourseLibrary {
+    /**
+     * Get all courses sorted by name
+     * @returns {Array} Course objects
+     */
+    static getCourses() {
+        return StorageManager.getCourses()
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a course by id
+     * @param {number} courseId - Course id
+     * @returns {Object|null} Course or null
+     */
+    static getCourse(courseId) {
+        return StorageManager.getCourses().find(course => course.id === courseId) || null;
+    }
+
+    /**
+     * Find a course by name, ignoring case and surrounding whitespace
+     * @param {string} name - Course name
+     * @returns {Object|null} Course or null
+     */
+    static findByName(name) {
+        const key = this.normalizeName(name);
+        if (!key) return null;
+        return StorageManager.getCourses().find(course => this.normalizeName(course.name) === key) || null;
+    }
+
+    /**
+     * Get a tee set from a course
+     * @param {number} courseId - Course id
+     * @param {number} teeId - Tee id
+     * @returns {Object|null} Tee or null
+     */
+    static getTee(courseId, teeId) {
+        const course = this.getCourse(courseId);
+        return course ? course.tees.find(tee => tee.id === teeId) || null : null;
+    }
+
+    /**
+     * Add or update a tee set, creating the course if needed
+     * @param {string} courseName - Course name
+     * @param {Object} teeData - Tee fields: name, holeCount, rating, slope, par, holes
+     * @returns {Object} The saved course and tee
+     */
+    static saveTee(courseName, teeData) {
+        const courses = StorageManager.getCourses();
+        const key = this.normalizeName(courseName);
+
+        let course = courses.find(existing => this.normalizeName(existing.name) === key);
+        if (!course) {
+            course = { id: GolfHelpers.generateId(), name: courseName.trim(), tees: [] };
+            courses.push(course);
+        }
+
+        const teeName = teeData.name.trim();
+        let tee = course.tees.find(existing =>
+            existing.name.toLowerCase() === teeName.toLowerCase() && existing.holeCount === teeData.holeCount
+        );
+        if (!tee) {
+            tee = { id: this.nextTeeId(course) };
+            course.tees.push(tee);
+        }
+
+        Object.assign(tee, {
+            name: teeName,
+            holeCount: teeData.holeCount,
+            rating: teeData.rating,
+            slope: teeData.slope,
+            par: teeData.par,
+            holes: teeData.holes
+                ? teeData.holes.map(({ number, par, yardage = null, strokeIndex = null }) => ({
+                    number, par, yardage, strokeIndex
+                }))
+                : (tee.holes || null)
+        });
+
+        StorageManager.setCourses(courses);
+        return { course, tee };
+    }
+
+    /**
+     * Remove a course and all of its tees
+     * @param {number} courseId - Course id
+     * @returns {boolean} Success status
+     */
+    static removeCourse(courseId) {
+        return StorageManager.setCourses(
+            StorageManager.getCourses().filter(course => course.id !== courseId)
+        );
+    }
+
+    /**
+     * Remove a single tee set
+     * @param {number} courseId - Course id
+     * @param {number} teeId - Tee id
+     * @returns {boolean} Success status
+     */
+    static removeTee(courseId, teeId) {
+        const courses = StorageManager.getCourses();
+        const course = courses.find(existing => existing.id === courseId);
+        if (!course) return false;
+
+        course.tees = course.tees.filter(tee => tee.id !== teeId);
+        return StorageManager.setCourses(courses);
+    }
+
+    /**
+     * Label for a tee in pickers and lists
+     * @param {Object} tee - Tee object
+     * @returns {string} Display label
+     */
+    static formatTee(tee) {
+        const holes = tee.holeCount === 9 ? ' (9 holes)' : '';
+        const yardage = (tee.holes || []).reduce((sum, hole) => sum + (hole.yardage || 0), 0);
+        return `${tee.name}${holes} • ${tee.rating}/${tee.slope} • Par ${tee.par}${yardage ? ` • ${yardage} yds` : ''}`;
+    }
+
+    /**
+     * Next tee id within a course
+     * @param {Object} course - Course object
+     * @returns {number} Tee id
+     */
+    static nextTeeId(course) {
+        return course.tees.reduce((max, tee) => Math.max(max, tee.id), 0) + 1;
+    }
+
+    /**
+     * Normalize a course name for matching
+     * @param {string} name - Course name
+     * @returns {string} Normalized name
+     */
+    static normalizeName(name) {
+        return (name || '').trim().toLowerCase();
+    }
+}
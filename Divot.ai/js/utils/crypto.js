@@ -0,0 +1,141 @@
+import { ENCRYPTION_CONFIG } from './constants.js';
+
+/**
+ * Passphrase-based encryption with the Web Crypto API
+ *
+ * Keys are derived with PBKDF2 (SHA-256) and data is sealed with AES-GCM, so a
+ * wrong passphrase or tampered data fails to decrypt instead of returning garbage.
+ * Sealed values are { iv, data } with both parts base64 encoded.
+ */
+export class CryptoUtils {
+    /**
+     * Check whether the browser offers Web Crypto (it needs https or localhost)
+     * @returns {boolean} True if encryption can be used
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Create a random salt for key derivation
+     * @returns {string} Base64 salt
+     */
+    static createSalt() {
+        return this.toBase64(crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.SALT_BYTES)));
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {string} salt - Base64 salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Non-extractable key
+     */
+    static async deriveKey(passphrase, salt, iterations = ENCRYPTION_CONFIG.ITERATIONS) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt any JSON-serialisable value
+     * @param {CryptoKey} key - Key from deriveKey
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} { iv, data }
+     */
+    static async encrypt(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.IV_BYTES));
+        const data = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypt a value sealed by encrypt
+     * @param {CryptoKey} key - Key from deriveKey
+     * @param {Object} sealed - { iv, data }
+     * @returns {Promise<*>} Original value
+     * @throws {Error} If the key is wrong or the data was changed
+     */
+    static async decrypt(key, sealed) {
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) }, key, this.fromBase64(sealed.data)
+            );
+            return JSON.parse(new TextDecoder().decode(data));
+        } catch (error) {
+            throw new Error('Wrong passphrase or damaged data');
+        }
+    }
+
+    /**
+     * Encrypt text into a self-contained file that only needs the passphrase to open
+     * @param {string} passphrase - Passphrase
+     * @param {string} text - Text to encrypt, e.g. an export
+     * @returns {Promise<Object>} Encrypted file contents
+     */
+    static async encryptText(passphrase, text) {
+        const salt = this.createSalt();
+        const iterations = ENCRYPTION_CONFIG.ITERATIONS;
+        const key = await this.deriveKey(passphrase, salt, iterations);
+
+        return {
+            format: ENCRYPTION_CONFIG.FILE_FORMAT,
+            version: ENCRYPTION_CONFIG.FILE_VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            cipher: 'AES-GCM',
+            ...await this.encrypt(key, text)
+        };
+    }
+
+    /**
+     * Decrypt a file made by encryptText
+     * @param {string} passphrase - Passphrase
+     * @param {Object} file - Parsed encrypted file
+     * @returns {Promise<string>} Original text
+     */
+    static async decryptText(passphrase, file) {
+        if (file.version > ENCRYPTION_CONFIG.FILE_VERSION) {
+            throw new Error('This file was encrypted by a newer version of the app');
+        }
+
+        const key = await this.deriveKey(passphrase, file.kdf.salt, file.kdf.iterations);
+        return this.decrypt(key, file);
+    }
+
+    /**
+     * Check whether text is an encrypted file
+     * @param {string} text - File contents
+     * @returns {Object|null} Parsed encrypted file, or null for anything else
+     */
+    static parseEncryptedFile(text) {
+        try {
+            const file = JSON.parse(text);
+            return file && file.format === ENCRYPTION_CONFIG.FILE_FORMAT ? file : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+    }
+}
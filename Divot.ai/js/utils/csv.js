@@ -0,0 +1,281 @@
+import { VALIDATION_RULES } from './constants.js';
+import { GolfHelpers } from './helpers.js';
+
+// Round stats that only make sense together; putts can be given on their own
+const ROUND_STATS = ['fairwaysHit', 'fairwaysAttempted', 'greensInRegulation', 'penalties'];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * CSV reading and writing for rounds and practice sessions
+ */
+export class CsvUtils {
+    /**
+     * Convert records to CSV using column definitions
+     * @param {Array} records - Records to export
+     * @param {Array} columns - Column definitions from CSV_COLUMNS
+     * @returns {string} CSV text
+     */
+    static stringify(records, columns) {
+        const header = columns.map(column => this.escape(column.header)).join(',');
+        const lines = records.map(record => columns.map(column => {
+            const value = this.getValue(record, column.key);
+            if (value === null || value === undefined) return '';
+            if (typeof value === 'number' && column.decimals !== undefined) {
+                return value.toFixed(column.decimals);
+            }
+            return this.escape(typeof value === 'string' ? this.neutralize(value) : String(value));
+        }).join(','));
+
+        return [header, ...lines].join('\r\n');
+    }
+
+    /**
+     * Parse CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array} Array of rows, each an array of strings
+     */
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        const input = text.replace(/^﻿/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Match file headers to columns by normalized name
+     * @param {Array} headers - Headers from the file
+     * @param {Array} columns - Column definitions
+     * @returns {Object} Column key to header index (or -1 when unmatched)
+     */
+    static guessMapping(headers, columns) {
+        const normalized = headers.map(header => this.normalizeHeader(header));
+
+        return columns.reduce((mapping, column) => {
+            if (column.exportOnly) return mapping;
+            const candidates = [column.header, column.key.split('.').pop()].map(name => this.normalizeHeader(name));
+            mapping[column.key] = normalized.findIndex(header => candidates.includes(header));
+            return mapping;
+        }, {});
+    }
+
+    /**
+     * Convert parsed rows to records, collecting errors per rejected row
+     * @param {Array} rows - Data rows (without the header)
+     * @param {Object} mapping - Column key to header index
+     * @param {Array} columns - Column definitions
+     * @returns {Object} { records, errors: [{ line, messages }] }
+     */
+    static toRecords(rows, mapping, columns) {
+        const records = [];
+        const errors = [];
+        const baseId = GolfHelpers.generateId();
+
+        rows.forEach((cells, position) => {
+            const record = {};
+            const messages = [];
+
+            columns.forEach(column => {
+                if (column.exportOnly) return;
+
+                const index = mapping[column.key];
+                const raw = index >= 0 && index < cells.length ? cells[index].trim() : '';
+
+                if (raw === '') {
+                    if (column.required) messages.push(`${column.header} is required`);
+                    return;
+                }
+
+                const value = this.convert(raw, column.type);
+                if (value === null) {
+                    messages.push(`${column.header} "${raw}" is not a valid ${column.type}`);
+                    return;
+                }
+                this.setValue(record, column.key, value);
+            });
+
+            this.checkRules(record, columns, messages);
+
+            if (messages.length > 0) {
+                // Line numbers count the header as line 1
+                errors.push({ line: position + 2, messages });
+                return;
+            }
+
+            if (!Number.isFinite(record.id)) {
+                record.id = baseId + position;
+            }
+            if (record.stats) {
+                // Same shape as scorecard stats, with null for what the file doesn't have
+                record.stats = Object.fromEntries(['putts', ...ROUND_STATS]
+                    .map(field => [field, record.stats[field] ?? null]));
+            }
+            records.push(record);
+        });
+
+        return { records, errors };
+    }
+
+    /**
+     * Check converted values against VALIDATION_RULES
+     * @param {Object} record - Converted record
+     * @param {Array} columns - Column definitions
+     * @param {Array} messages - Error list to append to
+     */
+    static checkRules(record, columns, messages) {
+        const isNine = record.holesPlayed === 9;
+        if (record.holesPlayed !== undefined && record.holesPlayed !== 9 && record.holesPlayed !== 18) {
+            messages.push(`holes_played must be 9 or 18`);
+        }
+
+        columns.forEach(column => {
+            const ruleName = isNine && column.rule9 ? column.rule9 : column.rule;
+            const value = this.getValue(record, column.key);
+            if (!ruleName || value === undefined) return;
+
+            const rule = VALIDATION_RULES[ruleName];
+            if (!GolfHelpers.validateInput(value, rule)) {
+                messages.push(`${column.header} ${value} is outside ${rule.min}-${rule.max}`);
+            }
+        });
+
+        if (record.stats) {
+            const header = field => columns.find(column => column.key === `stats.${field}`).header;
+            const given = ROUND_STATS.filter(field => record.stats[field] !== undefined);
+            if (given.length > 0 && given.length < ROUND_STATS.length) {
+                messages.push(`${ROUND_STATS.map(header).join(', ')} must be filled in together`);
+            } else if (record.stats.fairwaysHit > record.stats.fairwaysAttempted) {
+                messages.push(`${header('fairwaysHit')} ${record.stats.fairwaysHit} is more than ${header('fairwaysAttempted')} ${record.stats.fairwaysAttempted}`);
+            }
+        }
+    }
+
+    /**
+     * Convert a cell to a typed value
+     * @param {string} raw - Cell text
+     * @param {string} type - 'number', 'date' or 'string'
+     * @returns {*} Converted value or null if invalid
+     */
+    static convert(raw, type) {
+        if (type === 'number') {
+            const value = Number(raw);
+            return Number.isFinite(value) ? value : null;
+        }
+        if (type === 'date') {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+            const date = new Date(raw);
+            if (Number.isNaN(date.getTime())) return null;
+            // Use local date parts so spreadsheet dates don't shift across time zones
+            return [
+                date.getFullYear(),
+                String(date.getMonth() + 1).padStart(2, '0'),
+                String(date.getDate()).padStart(2, '0')
+            ].join('-');
+        }
+        // Undo neutralize()
+        return raw.length > 1 && raw[0] === "'" && FORMULA_PREFIX.test(raw.slice(1)) ? raw.slice(1) : raw;
+    }
+
+    /**
+     * Build a downloadable report of rejected rows
+     * @param {Array} errors - Errors from toRecords
+     * @returns {string} CSV text
+     */
+    static errorReport(errors) {
+        return this.stringify(
+            errors.map(error => ({ line: error.line, errors: error.messages.join('; ') })),
+            [{ key: 'line', header: 'line' }, { key: 'errors', header: 'errors' }]
+        );
+    }
+
+    /**
+     * Quote a cell if it contains a delimiter, quote or newline
+     * @param {string} value - Cell text
+     * @returns {string} Escaped cell
+     */
+    static escape(value) {
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }
+
+    /**
+     * Stop a spreadsheet from running text as a formula by prefixing an apostrophe
+     * @param {string} value - Cell text
+     * @returns {string} Text safe to open in a spreadsheet
+     */
+    static neutralize(value) {
+        return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+    }
+
+    /**
+     * Normalize a header for matching: lowercase, no spaces/underscores/dashes
+     * @param {string} header - Header text
+     * @returns {string} Normalized header
+     */
+    static normalizeHeader(header) {
+        return header.trim().toLowerCase().replace(/[\s_-]+/g, '');
+    }
+
+    /**
+     * Read a dotted key such as "stats.putts"
+     * @param {Object} record - Record
+     * @param {string} key - Dotted key
+     * @returns {*} Value or undefined
+     */
+    static getValue(record, key) {
+        return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), record);
+    }
+
+    /**
+     * Write a dotted key such as "stats.putts"
+     * @param {Object} record - Record
+     * @param {string} key - Dotted key
+     * @param {*} value - Value to set
+     */
+    static setValue(record, key, value) {
+        const parts = key.split('.');
+        const last = parts.pop();
+        const target = parts.reduce((object, part) => {
+            object[part] = object[part] || {};
+            return object[part];
+        }, record);
+        target[last] = value;
+    }
+}
@@ -0,0 +1,270 @@
+import { DATABASE, DEFAULT_PROFILE, STORAGE_KEYS } from './constants.js';
+
+const PROFILE_FIELD = DATABASE.PROFILE_FIELD;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise} Resolves with the request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Check whether a value falls inside a { from, to } range or equals a key
+ * @param {*} value - Indexed value
+ * @param {*} range - Exact key or { from, to } with either end optional
+ * @returns {boolean} Whether the value matches
+ */
+function inRange(value, range) {
+    if (range === null || typeof range !== 'object') return value === range;
+    if (range.from !== undefined && value < range.from) return false;
+    if (range.to !== undefined && value > range.to) return false;
+    return true;
+}
+
+/**
+ * Get the profile a stored record belongs to; records saved before profiles
+ * existed belong to the default profile
+ * @param {Object} record - Stored record
+ * @returns {number} Profile id
+ */
+function getProfileId(record) {
+    return record[PROFILE_FIELD] ?? DEFAULT_PROFILE.id;
+}
+
+/**
+ * Record store backed by IndexedDB, one object store per record type
+ */
+export class IndexedDBStore {
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IndexedDBStore>} This store once ready
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available');
+        }
+
+        const request = indexedDB.open(DATABASE.NAME, DATABASE.VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const transaction = request.transaction;
+
+            Object.entries(DATABASE.STORES).forEach(([name, definition]) => {
+                if (!db.objectStoreNames.contains(name)) {
+                    this.createStore(db, name, definition);
+                    return;
+                }
+
+                // Version 1 keyed records by id alone; re-key them under the default profile
+                const existing = transaction.objectStore(name);
+                if (Array.isArray(existing.keyPath)) return;
+
+                const read = existing.getAll();
+                read.onsuccess = () => {
+                    db.deleteObjectStore(name);
+                    const store = this.createStore(db, name, definition);
+                    read.result.forEach(record => store.put({ ...record, [PROFILE_FIELD]: getProfileId(record) }));
+                };
+            });
+        };
+
+        this.db = await promisify(request);
+        return this;
+    }
+
+    /**
+     * Create an object store keyed by [profileId, id] with profile-scoped indexes
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {string} name - Store name
+     * @param {Object} definition - Store definition from DATABASE.STORES
+     * @returns {IDBObjectStore} Created store
+     */
+    createStore(db, name, definition) {
+        const store = db.createObjectStore(name, { keyPath: [PROFILE_FIELD, 'id'] });
+
+        store.createIndex(PROFILE_FIELD, PROFILE_FIELD);
+        definition.indexes.forEach(index => store.createIndex(index, [PROFILE_FIELD, index]));
+        return store;
+    }
+
+    /**
+     * Get every record a profile owns in a store
+     * @param {string} store - Store name
+     * @param {number} profileId - Profile id
+     * @returns {Promise<Array>} Records
+     */
+    getAll(store, profileId) {
+        return promisify(this.db.transaction(store).objectStore(store).index(PROFILE_FIELD).getAll(profileId));
+    }
+
+    /**
+     * Get a profile's records through an index
+     * @param {string} store - Store name
+     * @param {number} profileId - Profile id
+     * @param {string} index - Index name
+     * @param {*} range - Exact key or { from, to }
+     * @returns {Promise<Array>} Matching records
+     */
+    query(store, profileId, index, range) {
+        let keyRange;
+        if (range !== null && typeof range === 'object') {
+            // Open ends are bounded by the smallest and largest possible keys for the profile
+            keyRange = IDBKeyRange.bound(
+                [profileId, range.from !== undefined ? range.from : -Infinity],
+                [profileId, range.to !== undefined ? range.to : []]
+            );
+        } else {
+            keyRange = IDBKeyRange.only([profileId, range]);
+        }
+
+        return promisify(this.db.transaction(store).objectStore(store).index(index).getAll(keyRange));
+    }
+
+    /**
+     * Write changed records and delete removed ones in a single transaction
+     * @param {string} store - Store name
+     * @param {number} profileId - Profile that owns the records
+     * @param {Array} puts - Records to add or replace
+     * @param {Array} deletes - Record ids to delete
+     * @returns {Promise} Resolves when the transaction commits
+     */
+    write(store, profileId, puts, deletes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(store, 'readwrite');
+            const objectStore = transaction.objectStore(store);
+
+            puts.forEach(record => objectStore.put({ ...record, [PROFILE_FIELD]: profileId }));
+            deletes.forEach(id => objectStore.delete([profileId, id]));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove a profile's records from a store, or every record when no profile is given
+     * @param {string} store - Store name
+     * @param {number} [profileId] - Profile id
+     * @returns {Promise} Resolves when cleared
+     */
+    async clear(store, profileId) {
+        if (profileId === undefined) {
+            return promisify(this.db.transaction(store, 'readwrite').objectStore(store).clear());
+        }
+
+        const records = await this.getAll(store, profileId);
+        return this.write(store, profileId, [], records.map(record => record.id));
+    }
+}
+
+/**
+ * Fallback record store keeping each record type as one JSON array in localStorage
+ */
+export class LocalStorageStore {
+    /**
+     * Nothing to open; kept for parity with IndexedDBStore
+     * @returns {Promise<LocalStorageStore>} This store
+     */
+    async open() {
+        return this;
+    }
+
+    /**
+     * Map a store name to its localStorage key
+     * @param {string} store - Store name
+     * @returns {string} localStorage key
+     */
+    getKey(store) {
+        return STORAGE_KEYS[store.toUpperCase()];
+    }
+
+    /**
+     * Read every record in a store, whichever profile owns it
+     * @param {string} store - Store name
+     * @returns {Array} Records
+     */
+    read(store) {
+        const item = localStorage.getItem(this.getKey(store));
+        return item ? JSON.parse(item) : [];
+    }
+
+    async getAll(store, profileId) {
+        return this.read(store).filter(record => getProfileId(record) === profileId);
+    }
+
+    async query(store, profileId, index, range) {
+        return (await this.getAll(store, profileId)).filter(record => inRange(record[index], range));
+    }
+
+    async write(store, profileId, puts, deletes) {
+        const removed = new Set(deletes);
+        const replaced = new Set(puts.map(record => record.id));
+        const others = this.read(store).filter(record => getProfileId(record) !== profileId
+            || (!removed.has(record.id) && !replaced.has(record.id)));
+
+        localStorage.setItem(this.getKey(store), JSON.stringify([
+            ...others,
+            ...puts.map(record => ({ ...record, [PROFILE_FIELD]: profileId }))
+        ]));
+    }
+
+    async clear(store, profileId) {
+        if (profileId === undefined) {
+            localStorage.removeItem(this.getKey(store));
+            return;
+        }
+        localStorage.setItem(this.getKey(store), JSON.stringify(
+            this.read(store).filter(record => getProfileId(record) !== profileId)
+        ));
+    }
+}
+
+/**
+ * Wraps another record store and encrypts each record before it is written
+ *
+ * Stored records keep only their key fields ({ profileId, id, sealed }), so the
+ * inner store's field indexes stay empty and queries filter decrypted records.
+ * Records written before encryption was turned on are passed through as they are.
+ */
+export class EncryptedStore {
+    /**
+     * @param {IndexedDBStore|LocalStorageStore} inner - Store that holds the sealed records
+     * @param {Object} cipher - { encrypt(value), decrypt(sealed) }, e.g. Vault
+     */
+    constructor(inner, cipher) {
+        this.inner = inner;
+        this.cipher = cipher;
+    }
+
+    async open() {
+        return this;
+    }
+
+    async getAll(store, profileId) {
+        const records = await this.inner.getAll(store, profileId);
+        return Promise.all(records.map(record => (record.sealed ? this.cipher.decrypt(record.sealed) : record)));
+    }
+
+    async query(store, profileId, index, range) {
+        return (await this.getAll(store, profileId)).filter(record => inRange(record[index], range));
+    }
+
+    async write(store, profileId, puts, deletes) {
+        const sealed = await Promise.all(puts.map(async record => ({
+            id: record.id,
+            sealed: await this.cipher.encrypt({ ...record, [PROFILE_FIELD]: profileId })
+        })));
+        return this.inner.write(store, profileId, sealed, deletes);
+    }
+
+    clear(store, profileId) {
+        return this.inner.clear(store, profileId);
+    }
+}
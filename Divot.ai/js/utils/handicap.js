@@ -0,0 +1,410 @@
+import { APP_CONFIG, HANDICAP_CONFIG, HANDICAP_RULES } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * World Handicap System engine.
+ *
+ * Rounds are replayed in date order and a revision is produced after every
+ * score, so each revision reflects exactly what the index was at that point:
+ * the most recent 20 differentials, the lookup-table adjustment, exceptional
+ * score reductions and soft/hard caps against the low handicap index.
+ */
+export class HandicapEngine {
+    static options = {
+        nineHoleMethod: 'expected'
+    };
+
+    /**
+     * Set engine-wide defaults, such as how 9-hole scores are handled
+     * @param {Object} options - Engine options
+     */
+    static configure(options = {}) {
+        if (options.nineHoleMethod && !HANDICAP_CONFIG.NINE_HOLE_METHODS.includes(options.nineHoleMethod)) {
+            throw new Error(`Unknown 9-hole method: ${options.nineHoleMethod}`);
+        }
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Calculate the current handicap revision
+     * @param {Array} rounds - Array of round objects
+     * @param {Object} options - Overrides for engine options
+     * @returns {Object|null} Latest revision record or null if no rounds
+     */
+    static calculate(rounds, options = {}) {
+        const revisions = this.calculateRevisions(rounds, options);
+        return revisions.length > 0 ? revisions[revisions.length - 1] : null;
+    }
+
+    /**
+     * Calculate the current handicap index
+     * @param {Array} rounds - Array of round objects
+     * @param {Object} options - Overrides for engine options
+     * @returns {number|null} Handicap index or null if insufficient rounds
+     */
+    static getIndex(rounds, options = {}) {
+        const revision = this.calculate(rounds, options);
+        return revision ? revision.index : null;
+    }
+
+    /**
+     * Get the handicap index after each score, oldest first
+     * @param {Array} rounds - Array of round objects
+     * @param {Object} options - Overrides for engine options
+     * @returns {Array} Established index values
+     */
+    static getHistory(rounds, options = {}) {
+        return this.calculateRevisions(rounds, options)
+            .map(revision => revision.index)
+            .filter(index => index !== null);
+    }
+
+    /**
+     * Replay every score and produce a revision record for each
+     * 9-hole scores become 18-hole records either by adding the expected
+     * 9-hole differential for the index at the time, or by pairing with the
+     * next 9-hole score. Players without an index always pair.
+     * @param {Array} rounds - Array of round objects
+     * @param {Object} options - Overrides for engine options
+     * @returns {Array} Revision records, oldest first
+     */
+    static calculateRevisions(rounds, options = {}) {
+        const { nineHoleMethod } = { ...this.options, ...options };
+        const records = [];
+        const revisions = [];
+        let pendingNine = null;
+
+        this.sortRounds(rounds).forEach(round => {
+            const indexBefore = revisions.length > 0 ? revisions[revisions.length - 1].index : null;
+            let record;
+
+            if (round.holesPlayed === 9) {
+                if (nineHoleMethod === 'expected' && indexBefore !== null) {
+                    record = this.createScoreRecord(
+                        [round],
+                        round.differential + this.getExpectedNineHoleDifferential(indexBefore),
+                        'expected'
+                    );
+                } else if (pendingNine) {
+                    record = this.createScoreRecord(
+                        [pendingNine, round],
+                        pendingNine.differential + round.differential,
+                        'combined'
+                    );
+                    pendingNine = null;
+                } else {
+                    pendingNine = round;
+                    return;
+                }
+            } else {
+                record = this.createScoreRecord([round], round.differential, '18');
+            }
+
+            records.push(record);
+            const window = records.slice(-HANDICAP_CONFIG.SCORES_CONSIDERED);
+            const exceptionalScore = this.applyExceptionalScoreReduction(record, window, indexBefore);
+
+            revisions.push(this.buildRevision(record, window, records.length, revisions, exceptionalScore));
+        });
+
+        return revisions;
+    }
+
+    /**
+     * Sort rounds oldest first, skipping any without a differential
+     * @param {Array} rounds - Array of round objects
+     * @returns {Array} Sorted rounds
+     */
+    static sortRounds(rounds) {
+        return rounds
+            .filter(round => Number.isFinite(round.differential))
+            .sort((a, b) => new Date(a.date) - new Date(b.date) || a.id - b.id);
+    }
+
+    /**
+     * Create an 18-hole score record from one or two rounds
+     * @param {Array} rounds - Rounds making up the score
+     * @param {number} differential - 18-hole score differential
+     * @param {string} source - '18', 'expected' or 'combined'
+     * @returns {Object} Score record
+     */
+    static createScoreRecord(rounds, differential, source) {
+        const latest = rounds[rounds.length - 1];
+        return {
+            roundId: latest.id,
+            roundIds: rounds.map(round => round.id),
+            date: latest.date,
+            source,
+            differential,
+            esrAdjustment: 0
+        };
+    }
+
+    /**
+     * Expected 9-hole score differential for a handicap index
+     * @param {number} index - Handicap index
+     * @returns {number} Expected differential
+     */
+    static getExpectedNineHoleDifferential(index) {
+        return index * HANDICAP_CONFIG.EXPECTED_NINE_HOLE_FACTOR + HANDICAP_CONFIG.EXPECTED_NINE_HOLE_OFFSET;
+    }
+
+    /**
+     * Reduce the last 20 differentials when a score beats the index by 7 or more
+     * @param {Object} record - Newly posted score record
+     * @param {Array} window - Most recent score records, including the new one
+     * @param {number|null} indexBefore - Index before the score was posted
+     * @returns {Object|null} Exceptional score details or null
+     */
+    static applyExceptionalScoreReduction(record, window, indexBefore) {
+        if (indexBefore === null) return null;
+
+        const margin = indexBefore - record.differential;
+        const rule = HANDICAP_CONFIG.EXCEPTIONAL_SCORES.find(esr => margin >= esr.margin);
+        if (!rule) return null;
+
+        window.forEach(entry => {
+            entry.esrAdjustment -= rule.reduction;
+        });
+
+        return { roundId: record.roundId, margin: this.round(margin), reduction: rule.reduction };
+    }
+
+    /**
+     * Build the revision record for a newly posted score
+     * @param {Object} record - Newly posted score record
+     * @param {Array} window - Most recent score records, including the new one
+     * @param {number} totalScores - Scores posted so far
+     * @param {Array} revisions - Earlier revision records
+     * @param {Object|null} exceptionalScore - Exceptional score details
+     * @returns {Object} Revision record
+     */
+    static buildRevision(record, window, totalScores, revisions, exceptionalScore) {
+        const revision = {
+            roundId: record.roundId,
+            date: record.date,
+            index: null,
+            uncappedIndex: null,
+            scoresConsidered: window.length,
+            differentialsUsed: 0,
+            adjustment: 0,
+            counted: [],
+            notCounted: [],
+            lowHandicapIndex: null,
+            cap: null,
+            exceptionalScore
+        };
+
+        if (window.length < APP_CONFIG.MIN_ROUNDS_FOR_HANDICAP) return revision;
+
+        const rule = HANDICAP_RULES[window.length];
+        const ranked = window
+            .map(entry => ({
+                roundId: entry.roundId,
+                roundIds: entry.roundIds,
+                date: entry.date,
+                source: entry.source,
+                differential: this.round(entry.differential),
+                esrAdjustment: entry.esrAdjustment,
+                adjustedDifferential: this.round(entry.differential + entry.esrAdjustment)
+            }))
+            .sort((a, b) => a.adjustedDifferential - b.adjustedDifferential);
+
+        revision.differentialsUsed = rule.count;
+        revision.adjustment = rule.adjustment;
+        revision.counted = ranked.slice(0, rule.count);
+        revision.notCounted = ranked.slice(rule.count);
+
+        const average = revision.counted.reduce((sum, entry) => sum + entry.adjustedDifferential, 0) / rule.count;
+        const calculated = average + rule.adjustment;
+        revision.uncappedIndex = this.round(calculated);
+
+        let index = calculated;
+
+        // Caps only apply once a low handicap index exists, which needs 20 scores
+        if (totalScores >= HANDICAP_CONFIG.SCORES_CONSIDERED) {
+            const lowIndex = this.getLowHandicapIndex(revisions, record.date);
+            if (lowIndex !== null) {
+                revision.lowHandicapIndex = lowIndex;
+                const capped = this.applyCaps(calculated, lowIndex);
+                index = capped.index;
+                revision.cap = capped.cap;
+            }
+        }
+
+        revision.index = Math.min(this.round(index), HANDICAP_CONFIG.MAX_INDEX);
+        return revision;
+    }
+
+    /**
+     * Find the lowest index in the 365 days before a score
+     * @param {Array} revisions - Earlier revision records
+     * @param {string} date - Date of the newly posted score
+     * @returns {number|null} Low handicap index or null
+     */
+    static getLowHandicapIndex(revisions, date) {
+        const cutoff = new Date(date).getTime() - HANDICAP_CONFIG.LOW_INDEX_WINDOW_DAYS * DAY_MS;
+        const indexes = revisions
+            .filter(revision => revision.index !== null && new Date(revision.date).getTime() >= cutoff)
+            .map(revision => revision.index);
+
+        return indexes.length > 0 ? Math.min(...indexes) : null;
+    }
+
+    /**
+     * Apply soft and hard caps against the low handicap index
+     * @param {number} index - Calculated index
+     * @param {number} lowIndex - Low handicap index
+     * @returns {Object} Capped index and which cap applied
+     */
+    static applyCaps(index, lowIndex) {
+        const increase = index - lowIndex;
+        if (increase <= HANDICAP_CONFIG.SOFT_CAP_THRESHOLD) {
+            return { index, cap: null };
+        }
+
+        const softCapped = lowIndex + HANDICAP_CONFIG.SOFT_CAP_THRESHOLD
+            + (increase - HANDICAP_CONFIG.SOFT_CAP_THRESHOLD) * HANDICAP_CONFIG.SOFT_CAP_FACTOR;
+        const hardLimit = lowIndex + HANDICAP_CONFIG.HARD_CAP_THRESHOLD;
+
+        if (softCapped > hardLimit) {
+            return { index: hardLimit, cap: 'hard' };
+        }
+        return { index: softCapped, cap: 'soft' };
+    }
+
+    /**
+     * Calculate course handicap: index × slope/113 + (rating − par)
+     * @param {number} index - Handicap index
+     * @param {number} slopeRating - Slope rating
+     * @param {number} courseRating - Course rating
+     * @param {number} par - Course par
+     * @param {number} holesPlayed - 18, or 9 to use half the index with 9-hole ratings
+     * @returns {number} Course handicap, rounded to a whole stroke
+     */
+    static getCourseHandicap(index, slopeRating, courseRating, par, holesPlayed = 18) {
+        const playingIndex = holesPlayed === 9 ? index / 2 : index;
+        return Math.round(playingIndex * slopeRating / HANDICAP_CONFIG.STANDARD_SLOPE + (courseRating - par));
+    }
+
+    /**
+     * Calculate playing handicap for a format allowance
+     * @param {number} courseHandicap - Course handicap
+     * @param {number} allowance - Handicap allowance, e.g. 0.95
+     * @returns {number} Playing handicap, rounded to a whole stroke
+     */
+    static getPlayingHandicap(courseHandicap, allowance) {
+        return Math.round(courseHandicap * allowance);
+    }
+
+    /**
+     * Allocate handicap strokes to holes by stroke index
+     * Holes without a stroke index fall back to hole order.
+     * @param {number} handicap - Course or playing handicap
+     * @param {Array} holes - Hole objects with optional strokeIndex
+     * @returns {Array} Strokes received per hole (negative for plus handicaps)
+     */
+    static allocateStrokes(handicap, holes) {
+        const holeCount = holes.length;
+        if (holeCount === 0) return [];
+
+        const ranks = this.getStrokeIndexRanks(holes);
+        const strokes = Math.abs(handicap);
+        const base = Math.floor(strokes / holeCount);
+        const remainder = strokes % holeCount;
+
+        return ranks.map(rank => {
+            // Plus handicaps give strokes back starting from the easiest hole
+            const extra = handicap >= 0
+                ? (rank <= remainder ? 1 : 0)
+                : (rank > holeCount - remainder ? 1 : 0);
+            const received = base + extra;
+            return handicap >= 0 ? received : -received;
+        });
+    }
+
+    /**
+     * Rank holes 1..n by stroke index, falling back to hole order
+     * @param {Array} holes - Hole objects with optional strokeIndex
+     * @returns {Array} Rank per hole
+     */
+    static getStrokeIndexRanks(holes) {
+        const order = holes
+            .map((hole, position) => ({
+                position,
+                key: Number.isFinite(hole.strokeIndex) ? hole.strokeIndex : holes.length + position + 1
+            }))
+            .sort((a, b) => a.key - b.key);
+
+        const ranks = new Array(holes.length);
+        order.forEach((entry, rank) => {
+            ranks[entry.position] = rank + 1;
+        });
+        return ranks;
+    }
+
+    /**
+     * Calculate adjusted gross score with each hole capped at net double bogey
+     * @param {Array} holes - Hole objects with par, strokes and optional strokeIndex
+     * @param {number|null} courseHandicap - Course handicap, or null if no index yet
+     * @returns {Object} Adjusted score and the holes that were capped
+     */
+    static calculateAdjustedGrossScore(holes, courseHandicap) {
+        const strokesReceived = courseHandicap !== null
+            ? this.allocateStrokes(courseHandicap, holes)
+            : null;
+
+        const holesCapped = [];
+        const adjustedScore = holes.reduce((sum, hole, position) => {
+            const maxScore = strokesReceived
+                ? hole.par + HANDICAP_CONFIG.NET_DOUBLE_BOGEY_OVER_PAR + strokesReceived[position]
+                : hole.par + HANDICAP_CONFIG.NO_INDEX_MAX_OVER_PAR;
+
+            if (hole.strokes > maxScore) {
+                holesCapped.push({ number: hole.number, strokes: hole.strokes, adjusted: maxScore });
+                return sum + maxScore;
+            }
+            return sum + hole.strokes;
+        }, 0);
+
+        return {
+            adjustedScore,
+            courseHandicap,
+            method: strokesReceived ? 'net-double-bogey' : 'par-plus-five',
+            holesCapped
+        };
+    }
+
+    /**
+     * Describe how a revision was calculated
+     * @param {Object} revision - Revision record
+     * @returns {string} Human-readable explanation
+     */
+    static describeRevision(revision) {
+        if (!revision || revision.index === null) {
+            return `Need at least ${APP_CONFIG.MIN_ROUNDS_FOR_HANDICAP} rounds for handicap`;
+        }
+
+        const parts = [`Best ${revision.differentialsUsed} of last ${revision.scoresConsidered} differentials`];
+        if (revision.adjustment !== 0) {
+            parts.push(`${revision.adjustment.toFixed(1)} adjustment`);
+        }
+        if (revision.cap) {
+            parts.push(`${revision.cap} cap applied (low index ${revision.lowHandicapIndex})`);
+        }
+        if (revision.exceptionalScore) {
+            parts.push(`exceptional score reduction -${revision.exceptionalScore.reduction.toFixed(1)}`);
+        }
+        return parts.join(' • ');
+    }
+
+    /**
+     * Round to one decimal place
+     * @param {number} value - Value to round
+     * @returns {number} Rounded value
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
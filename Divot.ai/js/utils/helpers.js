@@ -1,4 +1,4 @@
-import { HANDICAP_RULES } from './constants.js';
+import { SCORECARD, COACHING_CONFIG } from './constants.js';
 
 /**
  * Utility functions for golf calculations and data processing
@@ -16,24 +16,56 @@ export class GolfHelpers {
     }
 
     /**
-     * Calculate handicap index based on rounds
-     * @param {Array} rounds - Array of round objects
-     * @returns {number|null} Handicap index or null if insufficient rounds
+     * Create an empty scorecard
+     * @param {number} holeCount - Number of holes (9 or 18)
+     * @returns {Array} Array of hole objects
      */
-    static calculateHandicap(rounds) {
-        if (rounds.length < 3) return null;
-
-        const differentials = rounds
-            .map(round => round.differential)
-            .sort((a, b) => a - b);
-
-        const rule = HANDICAP_RULES[Math.min(rounds.length, 20)];
-        const roundsToCount = rule.count;
-
-        const bestDifferentials = differentials.slice(0, roundsToCount);
-        const average = bestDifferentials.reduce((sum, diff) => sum + diff, 0) / bestDifferentials.length;
+    static createHoles(holeCount = SCORECARD.DEFAULT_HOLE_COUNT) {
+        return Array.from({ length: holeCount }, (_, index) => ({
+            number: index + 1,
+            par: SCORECARD.DEFAULT_HOLE_PAR,
+            strokeIndex: null,
+            yardage: null,
+            strokes: null,
+            putts: null,
+            fairway: '',
+            gir: false,
+            penalties: 0
+        }));
+    }
 
-        return Math.round(average * 10) / 10;
+    /**
+     * Summarize a hole-by-hole scorecard
+     * @param {Array} holes - Array of hole objects
+     * @returns {Object} Totals and derived stats
+     */
+    static summarizeScorecard(holes) {
+        const played = holes.filter(hole => Number.isFinite(hole.strokes));
+        // Fairways only count on par 4s and 5s where a result was recorded
+        const drivingHoles = played.filter(hole => hole.par > 3 && hole.fairway);
+        const puttedHoles = played.filter(hole => Number.isFinite(hole.putts));
+
+        return {
+            holesPlayed: played.length,
+            isComplete: played.length === holes.length,
+            totalScore: played.reduce((sum, hole) => sum + hole.strokes, 0),
+            par: holes.reduce((sum, hole) => sum + hole.par, 0),
+            stats: {
+                putts: puttedHoles.length > 0
+                    ? puttedHoles.reduce((sum, hole) => sum + hole.putts, 0)
+                    : null,
+                fairwaysHit: drivingHoles.filter(hole => hole.fairway === 'hit').length,
+                fairwaysAttempted: drivingHoles.length,
+                fairwayMisses: drivingHoles.reduce((acc, hole) => {
+                    if (hole.fairway !== 'hit') {
+                        acc[hole.fairway] = (acc[hole.fairway] || 0) + 1;
+                    }
+                    return acc;
+                }, {}),
+                greensInRegulation: played.filter(hole => hole.gir).length,
+                penalties: played.reduce((sum, hole) => sum + (hole.penalties || 0), 0)
+            }
+        };
     }
 
     /**
@@ -65,6 +97,52 @@ export class GolfHelpers {
         return Date.now();
     }
 
+    /**
+     * Sort records newest first, the order the app keeps them in
+     * @param {Array} records - Sessions, rounds or other records with a date and id
+     * @returns {Array} Sorted copy
+     */
+    static sortNewestFirst(records) {
+        return [...records].sort((a, b) => new Date(b.date) - new Date(a.date) || b.id - a.id);
+    }
+
+    /**
+     * Add records whose id isn't already present, newest first
+     * @param {Array} existing - Current records
+     * @param {Array} incoming - Records to add; entries that aren't objects are ignored
+     * @returns {Object} { records, added, duplicates }
+     */
+    static mergeById(existing, incoming) {
+        const ids = new Set(existing.map(record => record.id));
+        const additions = [];
+        let duplicates = 0;
+
+        incoming.forEach(record => {
+            if (!record || typeof record !== 'object') return;
+            if (ids.has(record.id)) {
+                duplicates++;
+                return;
+            }
+            ids.add(record.id);
+            additions.push(record);
+        });
+
+        return {
+            records: this.sortNewestFirst([...existing, ...additions]),
+            added: additions.length,
+            duplicates
+        };
+    }
+
+    /**
+     * Estimate how many tokens a text uses
+     * @param {string} text - Text
+     * @returns {number} Approximate token count
+     */
+    static estimateTokens(text) {
+        return Math.ceil(String(text).length / COACHING_CONFIG.CHARS_PER_TOKEN);
+    }
+
     /**
      * Validate form input
      * @param {*} value - Value to validate
@@ -0,0 +1,143 @@
+// Elements kept by the sanitizer, with the attributes each may keep
+const ALLOWED_TAGS = {
+    A: ['href', 'title'],
+    B: [],
+    BLOCKQUOTE: [],
+    BR: [],
+    CODE: [],
+    DEL: [],
+    EM: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    HR: [],
+    I: [],
+    LI: [],
+    OL: ['start'],
+    P: [],
+    PRE: [],
+    SPAN: [],
+    STRONG: [],
+    TABLE: [], THEAD: [], TBODY: [], TR: [], TH: [], TD: [],
+    UL: []
+};
+
+// Elements removed together with their content; anything else unknown is unwrapped
+const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH']);
+
+const SAFE_URL = /^(https?:|mailto:|#|\/(?!\/))/i;
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Markup that is safe to insert: built by html`` or returned by HtmlUtils.sanitize
+ */
+export class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Template tag that escapes every interpolated value unless it is SafeHtml.
+ * Arrays are joined, so lists can be built with items.map(item => html`...`).
+ * null, undefined and false render as nothing.
+ *
+ * @example html`<li class="item">${round.courseName}</li>`
+ * @returns {SafeHtml} Markup
+ */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) =>
+        markup + string + (index < values.length ? HtmlUtils.toMarkup(values[index]) : ''), ''));
+}
+
+/**
+ * Escaping, sanitizing and rendering helpers for building HTML from data
+ */
+export class HtmlUtils {
+    /**
+     * Escape text for use in element content or a quoted attribute
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    static escape(value) {
+        return String(value).replace(/[&<>"']/g, character => ESCAPES[character]);
+    }
+
+    /**
+     * Turn an interpolated value into markup
+     * @param {*} value - SafeHtml, array or plain value
+     * @returns {string} Markup
+     */
+    static toMarkup(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(item => this.toMarkup(item)).join('');
+        return this.escape(value);
+    }
+
+    /**
+     * Clean untrusted HTML (e.g. rendered Markdown or model output) down to
+     * simple formatting: scripts, event handlers, styles and unsafe links are removed
+     * @param {string} markup - Untrusted HTML
+     * @returns {SafeHtml} Sanitized markup
+     */
+    static sanitize(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = String(markup);
+        this.cleanChildren(template.content);
+        return new SafeHtml(template.innerHTML);
+    }
+
+    /**
+     * Recursively remove anything not on the allowlist
+     * @param {Node} parent - Node whose children are cleaned
+     */
+    static cleanChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+
+            if (node.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(node.tagName.toUpperCase())) {
+                node.remove();
+                return;
+            }
+
+            this.cleanChildren(node);
+
+            const allowed = ALLOWED_TAGS[node.tagName.toUpperCase()];
+            if (!allowed) {
+                node.replaceWith(...node.childNodes);
+                return;
+            }
+
+            Array.from(node.attributes).forEach(attribute => {
+                if (!allowed.includes(attribute.name)) {
+                    node.removeAttribute(attribute.name);
+                }
+            });
+
+            if (node.tagName.toUpperCase() === 'A') {
+                if (!SAFE_URL.test((node.getAttribute('href') || '').trim())) {
+                    node.removeAttribute('href');
+                }
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            }
+        });
+    }
+
+    /**
+     * Replace an element's content with safe markup
+     * @param {HTMLElement} element - Target element
+     * @param {SafeHtml} content - Markup from html`` or sanitize()
+     * @throws {TypeError} If given a plain string, so unescaped HTML can't slip through
+     */
+    static render(element, content) {
+        if (!(content instanceof SafeHtml)) {
+            throw new TypeError('HtmlUtils.render expects markup from html`` or HtmlUtils.sanitize()');
+        }
+        element.innerHTML = content.markup;
+    }
+}
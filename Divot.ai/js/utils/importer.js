@@ -0,0 +1,278 @@
+import { GolfHelpers } from './helpers.js';
+import { SCORECARD, VALIDATION_RULES, IMPORTED_SETTINGS } from './constants.js';
+
+// Required fields and their types for imported records
+const SESSION_SCHEMA = {
+    id: 'number',
+    date: 'string',
+    duration: 'number',
+    focus: 'string',
+    clubs: 'string',
+    ballsHit: 'number',
+    summary: 'string',
+    rating: 'number'
+};
+
+const ROUND_SCHEMA = {
+    id: 'number',
+    date: 'string',
+    courseName: 'string',
+    courseRating: 'number',
+    slopeRating: 'number',
+    totalScore: 'number',
+    par: 'number'
+};
+
+// Numeric scorecard fields and their VALIDATION_RULES; all but par may be left empty
+const HOLE_FIELDS = {
+    par: 'HOLE_PAR',
+    strokeIndex: 'STROKE_INDEX',
+    yardage: 'YARDAGE',
+    strokes: 'HOLE_STROKES',
+    putts: 'PUTTS',
+    penalties: 'PENALTIES'
+};
+
+/**
+ * Validates data exported by exportData() or the legacy script.js page
+ */
+export class DataImporter {
+    /**
+     * Parse an export file
+     * @param {string} text - File contents
+     * @returns {Object} Parsed data
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('File is not a golf data export');
+        }
+        if (!Array.isArray(data.sessions) && !Array.isArray(data.rounds) && !Array.isArray(data.profiles)) {
+            throw new Error('File has no sessions, rounds or profiles');
+        }
+        return data;
+    }
+
+    /**
+     * Validate records and summarize what an import would bring in
+     * @param {Object} data - Parsed export data
+     * @returns {Object} { format, sessions, rounds, settings, courses, errors, exportDate }
+     *   plus profiles for an all-profiles export
+     */
+    static prepare(data) {
+        if (Array.isArray(data.profiles)) {
+            return this.prepareProfiles(data);
+        }
+
+        const errors = [];
+
+        const sessions = this.validateRecords(data.sessions || [], SESSION_SCHEMA, 'Session', errors)
+            .filter(session => {
+                if (session.rating < 1 || session.rating > 5) {
+                    errors.push(`Session ${session.id}: rating must be between 1 and 5`);
+                    return false;
+                }
+                return true;
+            });
+
+        const rounds = this.validateRecords(data.rounds || [], ROUND_SCHEMA, 'Round', errors)
+            .filter(round => {
+                const problems = this.validateHoles(round.holes);
+                if (problems.length > 0) {
+                    errors.push(`Round ${round.id}: ${problems.join(', ')}`);
+                    return false;
+                }
+                return true;
+            })
+            .map(round => this.normalizeRound(round));
+
+        return {
+            // The old single-page export only ever contained sessions and settings
+            format: Array.isArray(data.rounds) ? 'current' : 'legacy',
+            sessions,
+            rounds,
+            settings: this.pickSettings(data.settings),
+            courses: this.validateCourses(data.courses, errors),
+            errors,
+            exportDate: data.exportDate || null
+        };
+    }
+
+    /**
+     * Validate an all-profiles export, one profile at a time
+     * @param {Object} data - Parsed export with a profiles array
+     * @returns {Object} Prepared data with profiles: [{ profile, sessions, rounds, settings, errors }]
+     */
+    static prepareProfiles(data) {
+        const errors = [];
+
+        const profiles = data.profiles
+            .filter((entry, position) => {
+                if (!entry || !entry.profile || typeof entry.profile.name !== 'string') {
+                    errors.push(`Profile #${position + 1}: missing profile name`);
+                    return false;
+                }
+                return true;
+            })
+            .map(entry => {
+                const prepared = this.prepare({ sessions: [], rounds: [], ...entry, profiles: undefined });
+                prepared.errors.forEach(error => errors.push(`${entry.profile.name}: ${error}`));
+                return { ...prepared, profile: { id: entry.profile.id, name: entry.profile.name } };
+            });
+
+        return {
+            format: 'profiles',
+            profiles,
+            sessions: profiles.flatMap(entry => entry.sessions),
+            rounds: profiles.flatMap(entry => entry.rounds),
+            settings: null,
+            courses: this.validateCourses(data.courses, errors),
+            errors,
+            exportDate: data.exportDate || null
+        };
+    }
+
+    /**
+     * Keep the settings an import may change
+     * @param {*} settings - Imported settings
+     * @returns {Object|null} Settings listed in IMPORTED_SETTINGS, or null if there are none
+     */
+    static pickSettings(settings) {
+        if (!settings || typeof settings !== 'object') return null;
+
+        const picked = Object.fromEntries(IMPORTED_SETTINGS
+            .filter(key => key in settings)
+            .map(key => [key, settings[key]]));
+        return Object.keys(picked).length > 0 ? picked : null;
+    }
+
+    /**
+     * Keep records that match a schema, recording why others were rejected
+     * @param {Array} records - Records to check
+     * @param {Object} schema - Field name to type map
+     * @param {string} label - Record label for error messages
+     * @param {Array} errors - Error list to append to
+     * @returns {Array} Valid records
+     */
+    static validateRecords(records, schema, label, errors) {
+        if (!Array.isArray(records)) {
+            errors.push(`${label}s: expected an array`);
+            return [];
+        }
+
+        return records.filter((record, position) => {
+            if (!record || typeof record !== 'object') {
+                errors.push(`${label} #${position + 1}: not an object`);
+                return false;
+            }
+
+            const problems = Object.entries(schema)
+                .filter(([field, type]) => typeof record[field] !== type
+                    || (type === 'number' && !Number.isFinite(record[field])))
+                .map(([field, type]) => `${field} should be a ${type}`);
+
+            if (problems.length > 0) {
+                errors.push(`${label} #${position + 1}: ${problems.join(', ')}`);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Check a scorecard's holes; rounds without one have no holes
+     * @param {*} holes - Imported holes
+     * @returns {Array} Problems found, empty if the holes can be used
+     */
+    static validateHoles(holes) {
+        if (holes === undefined || holes === null) return [];
+        if (!Array.isArray(holes) || !SCORECARD.HOLE_COUNTS.includes(holes.length)) {
+            return [`holes should be a list of ${SCORECARD.HOLE_COUNTS.join(' or ')} holes`];
+        }
+
+        const problems = [];
+        holes.forEach((hole, index) => {
+            const label = `hole ${index + 1}`;
+            if (!hole || typeof hole !== 'object') {
+                problems.push(`${label} is not an object`);
+                return;
+            }
+            if (hole.number !== index + 1) {
+                problems.push(`${label} has the wrong number`);
+            }
+
+            Object.entries(HOLE_FIELDS).forEach(([field, rule]) => {
+                const value = hole[field];
+                if ((value === undefined || value === null) && field !== 'par') return;
+
+                const { min, max } = VALIDATION_RULES[rule];
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    problems.push(`${label} ${field} should be a whole number from ${min} to ${max}`);
+                }
+            });
+
+            if (hole.fairway !== undefined && hole.fairway !== '' && !(hole.fairway in SCORECARD.FAIRWAY_RESULTS)) {
+                problems.push(`${label} fairway is not a known result`);
+            }
+            if (hole.gir !== undefined && typeof hole.gir !== 'boolean') {
+                problems.push(`${label} gir should be true or false`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Keep imported courses whose tee sets are well formed
+     * @param {*} courses - Imported course library
+     * @param {Array} errors - Error list to append to
+     * @returns {Array} Valid courses, without tees that were rejected
+     */
+    static validateCourses(courses, errors) {
+        if (!Array.isArray(courses)) return [];
+
+        return courses
+            .filter(course => course && typeof course.name === 'string' && Array.isArray(course.tees))
+            .map(course => ({
+                ...course,
+                tees: course.tees.filter(tee => {
+                    const problems = tee && typeof tee.name === 'string'
+                        ? this.validateHoles(tee.holes)
+                        : ['not a tee set'];
+                    if (problems.length > 0) {
+                        errors.push(`Course ${course.name}, tee ${tee?.name ?? '?'}: ${problems.join(', ')}`);
+                        return false;
+                    }
+                    return true;
+                })
+            }));
+    }
+
+    /**
+     * Fill in fields older exports may be missing
+     * @param {Object} round - Valid round
+     * @returns {Object} Round with current fields
+     */
+    static normalizeRound(round) {
+        const normalized = {
+            weather: '',
+            notes: '',
+            holesPlayed: 18,
+            ...round
+        };
+
+        if (!Number.isFinite(normalized.differential)) {
+            normalized.differential = GolfHelpers.calculateDifferential(
+                Number.isFinite(normalized.adjustedScore) ? normalized.adjustedScore : normalized.totalScore,
+                normalized.courseRating,
+                normalized.slopeRating
+            );
+        }
+        return normalized;
+    }
+}
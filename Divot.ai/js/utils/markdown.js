@@ -0,0 +1,201 @@
+import { HtmlUtils } from './html.js';
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|(\d+)[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+/**
+ * Small Markdown renderer for AI coaching replies
+ *
+ * Supports headings, paragraphs, ordered/unordered (nested) lists, emphasis,
+ * strikethrough, inline and fenced code, links, block quotes, rules and pipe tables.
+ * Text is escaped before formatting is applied and the result is run through
+ * HtmlUtils.sanitize, so model output can never add its own markup.
+ */
+export class Markdown {
+    /**
+     * Render Markdown to markup that is safe to insert
+     * @param {string} text - Markdown text
+     * @returns {SafeHtml} Sanitized markup
+     */
+    static render(text) {
+        return HtmlUtils.sanitize(this.toHtml(text));
+    }
+
+    /**
+     * Convert Markdown to (unsanitized) HTML
+     * @param {string} text - Markdown text
+     * @returns {string} HTML
+     */
+    static toHtml(text) {
+        const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let index = 0;
+
+        while (index < lines.length) {
+            const line = lines[index];
+
+            if (!line.trim()) {
+                index++;
+            } else if (FENCE.test(line)) {
+                const fence = line.match(FENCE)[1];
+                const code = [];
+                index++;
+                while (index < lines.length && !lines[index].trim().startsWith(fence)) {
+                    code.push(lines[index++]);
+                }
+                index++;
+                blocks.push(`<pre><code>${HtmlUtils.escape(code.join('\n'))}</code></pre>`);
+            } else if (HEADING.test(line)) {
+                const [, hashes, content] = line.match(HEADING);
+                blocks.push(`<h${hashes.length}>${this.inline(content)}</h${hashes.length}>`);
+                index++;
+            } else if (RULE.test(line)) {
+                blocks.push('<hr>');
+                index++;
+            } else if (QUOTE.test(line)) {
+                const quoted = [];
+                while (index < lines.length && QUOTE.test(lines[index])) {
+                    quoted.push(lines[index++].replace(QUOTE, ''));
+                }
+                blocks.push(`<blockquote>${this.toHtml(quoted.join('\n'))}</blockquote>`);
+            } else if (line.includes('|') && TABLE_DIVIDER.test(lines[index + 1] || '')) {
+                const rows = [];
+                const header = lines[index];
+                index += 2;
+                while (index < lines.length && lines[index].includes('|')) {
+                    rows.push(lines[index++]);
+                }
+                blocks.push(this.table(header, rows));
+            } else if (LIST_ITEM.test(line)) {
+                const items = [lines[index++]];
+                while (index < lines.length && this.continuesList(lines, index, items[0])) {
+                    items.push(lines[index++]);
+                }
+                blocks.push(this.list(items));
+            } else {
+                const paragraph = [];
+                while (index < lines.length && lines[index].trim() && !this.startsBlock(lines, index)) {
+                    paragraph.push(lines[index++].trim());
+                }
+                blocks.push(`<p>${paragraph.map(part => this.inline(part)).join('<br>')}</p>`);
+            }
+        }
+
+        return blocks.join('');
+    }
+
+    /**
+     * Check whether a line starts something other than a paragraph
+     * @param {Array<string>} lines - All lines
+     * @param {number} index - Line to check
+     * @returns {boolean} True if the line opens a new block
+     */
+    static startsBlock(lines, index) {
+        const line = lines[index];
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+            LIST_ITEM.test(line) || (line.includes('|') && TABLE_DIVIDER.test(lines[index + 1] || ''));
+    }
+
+    /**
+     * Check whether a line still belongs to the list above it: an item of the same
+     * kind, an indented line, or a blank line followed by either
+     * @param {Array<string>} lines - All lines
+     * @param {number} index - Line to check
+     * @param {string} first - First line of the list
+     * @returns {boolean} True if the list continues
+     */
+    static continuesList(lines, index, first) {
+        const line = lines[index];
+        if (!line.trim()) {
+            return index + 1 < lines.length && lines[index + 1].trim() !== '' &&
+                this.continuesList(lines, index + 1, first);
+        }
+
+        const [, indent, , number] = first.match(LIST_ITEM);
+        const match = line.match(LIST_ITEM);
+        if (match && match[1].length <= indent.length + 1) {
+            return (match[3] === undefined) === (number === undefined);
+        }
+        return match !== null || line.match(/^\s*/)[0].length > indent.length;
+    }
+
+    /**
+     * Build a list from its lines; more deeply indented lines belong to the item above
+     * @param {Array<string>} lines - Lines of the list, starting with an item
+     * @returns {string} HTML
+     */
+    static list(lines) {
+        const [, indent, , number] = lines[0].match(LIST_ITEM);
+        const items = [];
+
+        lines.forEach(line => {
+            const match = line.match(LIST_ITEM);
+            if (match && match[1].length <= indent.length + 1) {
+                items.push({ text: [match[4]], children: [] });
+            } else if (items[items.length - 1].children.length === 0 && line.trim() && !match) {
+                items[items.length - 1].text.push(line.trim());
+            } else {
+                items[items.length - 1].children.push(line);
+            }
+        });
+
+        const content = items.map(item => {
+            const nested = item.children.length > 0 ? this.toHtml(this.dedent(item.children).join('\n')) : '';
+            return `<li>${this.inline(item.text.join(' '))}${nested}</li>`;
+        }).join('');
+
+        if (number === undefined) return `<ul>${content}</ul>`;
+        return Number(number) === 1 ? `<ol>${content}</ol>` : `<ol start="${Number(number)}">${content}</ol>`;
+    }
+
+    /**
+     * Build a table from its header and body rows
+     * @param {string} header - Header row
+     * @param {Array<string>} rows - Body rows
+     * @returns {string} HTML
+     */
+    static table(header, rows) {
+        const cells = row => row.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/)
+            .map(cell => this.inline(cell.trim().replace(/\\\|/g, '|')));
+
+        const head = cells(header).map(cell => `<th>${cell}</th>`).join('');
+        const body = rows.map(row => `<tr>${cells(row).map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('');
+
+        return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Format inline Markdown within a line of text
+     * @param {string} text - Raw text
+     * @returns {string} HTML
+     */
+    static inline(text) {
+        // Code spans are set aside so nothing inside them is formatted
+        const code = [];
+        const escaped = HtmlUtils.escape(text).replace(/`([^`]+)`/g, (match, content) => {
+            code.push(`<code>${content}</code>`);
+            return `\u0000${code.length - 1}\u0000`;
+        });
+
+        return escaped
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+            .replace(/\*\*(?=\S)(.+?)\*\*|__(?=\S)(.+?)__/g, (match, stars, underscores) => `<strong>${stars ?? underscores}</strong>`)
+            .replace(/\*(?=\S)([^*]+?)\*|\b_(?=\S)([^_]+?)_\b/g, (match, stars, underscores) => `<em>${stars ?? underscores}</em>`)
+            .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+            .replace(/\u0000(\d+)\u0000/g, (match, position) => code[position]);
+    }
+
+    /**
+     * Remove the indentation shared by all lines
+     * @param {Array<string>} lines - Lines to dedent
+     * @returns {Array<string>} Dedented lines
+     */
+    static dedent(lines) {
+        const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+        return lines.map(line => line.slice(indent));
+    }
+}
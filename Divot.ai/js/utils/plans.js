@@ -0,0 +1,92 @@
+import { StorageManager } from './storage.js';
+import { GolfHelpers } from './helpers.js';
+import { APP_CONFIG } from './constants.js';
+
+/**
+ * Practice plans saved from drill lists in AI coaching replies
+ *
+ * Plan shape: { id, title, drills, createdAt } where drills is a list of strings.
+ * Plans are kept per profile, newest first, up to APP_CONFIG.MAX_PRACTICE_PLANS.
+ */
+export class PracticePlans {
+    /**
+     * Get a profile's saved plans
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Array} Plans, newest first
+     */
+    static list(profileId) {
+        return StorageManager.getPracticePlans(profileId);
+    }
+
+    /**
+     * Save a new plan
+     * @param {Object} plan - { title, drills }
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Object|null} The saved plan, or null if it couldn't be stored
+     */
+    static save({ title, drills }, profileId) {
+        const plans = this.list(profileId);
+        const plan = {
+            id: Math.max(GolfHelpers.generateId(), ...plans.map(existing => existing.id + 1)),
+            title,
+            drills,
+            createdAt: new Date().toISOString()
+        };
+
+        const kept = [plan, ...plans].slice(0, APP_CONFIG.MAX_PRACTICE_PLANS);
+        return StorageManager.setPracticePlans(kept, profileId) ? plan : null;
+    }
+
+    /**
+     * Delete a plan
+     * @param {number} id - Plan id
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {boolean} Success status
+     */
+    static remove(id, profileId) {
+        return StorageManager.setPracticePlans(this.list(profileId).filter(plan => plan.id !== id), profileId);
+    }
+
+    /**
+     * Read a plan out of a rendered list: the nearest heading or lead-in line above
+     * it becomes the title and each item (with any sub-items) becomes a drill
+     * @param {HTMLElement} list - Rendered <ul> or <ol>
+     * @returns {Object} { title, drills }
+     */
+    static fromList(list) {
+        const drills = Array.from(list.children).map(item => this.itemText(item)).filter(Boolean);
+
+        let title = '';
+        for (let previous = list.previousElementSibling; previous && !title; previous = previous.previousElementSibling) {
+            if (/^(H[1-6]|P)$/.test(previous.tagName)) {
+                title = previous.textContent.trim().replace(/:$/, '');
+            }
+            if (/^(UL|OL|TABLE)$/.test(previous.tagName)) break;
+        }
+
+        return { title: title || `Practice plan ${GolfHelpers.formatDate(new Date())}`, drills };
+    }
+
+    /**
+     * Text of a list item, with nested items as indented sub-points
+     * @param {HTMLElement} item - <li> element
+     * @returns {string} Drill text
+     */
+    static itemText(item) {
+        const copy = item.cloneNode(true);
+        const nested = Array.from(copy.querySelectorAll(':scope > ul, :scope > ol'));
+        nested.forEach(list => list.remove());
+
+        const subPoints = nested.flatMap(list => Array.from(list.children).map(child => `  - ${this.itemText(child)}`));
+        return [copy.textContent.replace(/\s+/g, ' ').trim(), ...subPoints].join('\n');
+    }
+
+    /**
+     * Format a plan as a Markdown checklist for copying
+     * @param {Object} plan - { title, drills }
+     * @returns {string} Plain text
+     */
+    static toText(plan) {
+        return [`## ${plan.title}`, '', ...plan.drills.map(drill => `- [ ] ${drill}`)].join('\n');
+    }
+}
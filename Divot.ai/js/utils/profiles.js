@@ -0,0 +1,168 @@
+import { StorageManager } from './storage.js';
+import { GolfHelpers } from './helpers.js';
+import { STORAGE_KEYS, DEFAULT_PROFILE } from './constants.js';
+
+/**
+ * Player profiles sharing one installation
+ *
+ * Profile shape: { id, name }
+ * Each profile owns its own sessions, rounds, settings and chat history.
+ */
+export class ProfileManager {
+    /**
+     * Get all profiles in creation order
+     * @returns {Array} Profile objects
+     */
+    static getProfiles() {
+        return StorageManager.getProfiles();
+    }
+
+    /**
+     * Get a profile by id
+     * @param {number} profileId - Profile id
+     * @returns {Object|null} Profile or null
+     */
+    static getProfile(profileId) {
+        return this.getProfiles().find(profile => profile.id === profileId) || null;
+    }
+
+    /**
+     * Get the profile currently in use, falling back to the first one
+     * @returns {Object} Active profile
+     */
+    static getActive() {
+        return this.getProfile(StorageManager.get(STORAGE_KEYS.ACTIVE_PROFILE)) || this.getProfiles()[0];
+    }
+
+    /**
+     * Remember which profile is in use
+     * @param {number} profileId - Profile id
+     * @returns {Object|null} The activated profile or null if it doesn't exist
+     */
+    static setActive(profileId) {
+        const profile = this.getProfile(profileId);
+        if (!profile) return null;
+
+        StorageManager.set(STORAGE_KEYS.ACTIVE_PROFILE, profile.id);
+        return profile;
+    }
+
+    /**
+     * Create a profile
+     * @param {string} name - Player name
+     * @returns {Object} The new profile
+     */
+    static create(name) {
+        const profiles = this.getProfiles();
+        const profile = {
+            id: Math.max(GolfHelpers.generateId(), ...profiles.map(existing => existing.id + 1)),
+            name: this.uniqueName(name)
+        };
+
+        StorageManager.setProfiles([...profiles, profile]);
+        return profile;
+    }
+
+    /**
+     * Rename a profile
+     * @param {number} profileId - Profile id
+     * @param {string} name - New name
+     * @returns {Object|null} The renamed profile or null
+     */
+    static rename(profileId, name) {
+        const profiles = this.getProfiles();
+        const profile = profiles.find(candidate => candidate.id === profileId);
+        if (!profile) return null;
+
+        profile.name = this.uniqueName(name, profileId);
+        StorageManager.setProfiles(profiles);
+        return profile;
+    }
+
+    /**
+     * Delete a profile and everything it owns except its backups, which stay
+     * until the profile is restored or discarded; the last profile can't be removed
+     * @param {number} profileId - Profile id
+     * @returns {Promise<boolean>} Whether the profile was removed
+     */
+    static async remove(profileId) {
+        const profiles = this.getProfiles();
+        const profile = profiles.find(candidate => candidate.id === profileId);
+        if (profiles.length <= 1 || !profile) return false;
+
+        if (!await StorageManager.clearProfile(profileId, { keepBackups: true })) return false;
+        StorageManager.setProfiles(profiles.filter(candidate => candidate.id !== profileId));
+        StorageManager.setDeletedProfiles([
+            { ...profile, deletedAt: new Date().toISOString() },
+            ...this.getDeleted().filter(candidate => candidate.id !== profileId)
+        ]);
+        return true;
+    }
+
+    /**
+     * Get deleted profiles whose backups are still kept
+     * @returns {Array} { id, name, deletedAt }, most recently deleted first
+     */
+    static getDeleted() {
+        return StorageManager.getDeletedProfiles();
+    }
+
+    /**
+     * Bring a deleted profile back, empty, with its backups
+     * @param {number} profileId - Deleted profile id
+     * @returns {Object|null} The restored profile or null
+     */
+    static undelete(profileId) {
+        const deleted = this.getDeleted();
+        const entry = deleted.find(candidate => candidate.id === profileId);
+        if (!entry) return null;
+
+        const profile = { id: entry.id, name: this.uniqueName(entry.name) };
+        StorageManager.setProfiles([...this.getProfiles(), profile]);
+        StorageManager.setDeletedProfiles(deleted.filter(candidate => candidate.id !== profileId));
+        return profile;
+    }
+
+    /**
+     * Remove a deleted profile's backups for good
+     * @param {number} profileId - Deleted profile id
+     * @returns {Promise<boolean>} Success status
+     */
+    static async discard(profileId) {
+        const deleted = this.getDeleted();
+        if (!deleted.some(candidate => candidate.id === profileId)) return false;
+
+        if (!await StorageManager.clearProfile(profileId)) return false;
+        StorageManager.setDeletedProfiles(deleted.filter(candidate => candidate.id !== profileId));
+        return true;
+    }
+
+    /**
+     * Find a profile by name, ignoring case and surrounding whitespace
+     * @param {string} name - Player name
+     * @returns {Object|null} Profile or null
+     */
+    static findByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.getProfiles().find(profile => profile.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Tidy a name and add a number if another profile already uses it
+     * @param {string} name - Requested name
+     * @param {number} ignoreId - Profile to ignore when checking (the one being renamed)
+     * @returns {string} Name to use
+     */
+    static uniqueName(name, ignoreId = null) {
+        const base = name.trim() || DEFAULT_PROFILE.name;
+        const taken = new Set(this.getProfiles()
+            .filter(profile => profile.id !== ignoreId)
+            .map(profile => profile.name.toLowerCase()));
+
+        let candidate = base;
+        for (let suffix = 2; taken.has(candidate.toLowerCase()); suffix++) {
+            candidate = `${base} ${suffix}`;
+        }
+        return candidate;
+    }
+}
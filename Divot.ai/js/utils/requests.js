@@ -0,0 +1,217 @@
+import { REQUEST_CONFIG } from './constants.js';
+
+// What the golfer can do about each kind of failure
+const GUIDANCE = {
+    auth: 'Check the API key in Settings.',
+    rate_limit: 'Too many requests for now. Wait a minute before asking again.',
+    overloaded: 'The AI service is busy. Try again in a few minutes, or switch to the offline demo coach in Settings.',
+    network: 'Check your internet connection, or the endpoint in Settings if you use a proxy.',
+    timeout: 'The AI service took too long to answer. Try again, perhaps with a shorter question.',
+    server: 'The AI service had a problem. Try again shortly.',
+    request: 'Check the model name and endpoint in Settings.'
+};
+
+// Failures that may pass on their own, so are worth another try
+const RETRYABLE = ['rate_limit', 'overloaded', 'network', 'timeout', 'server'];
+
+// Error types in Messages API error bodies and stream error events
+const API_ERROR_KINDS = {
+    authentication_error: 'auth',
+    permission_error: 'auth',
+    rate_limit_error: 'rate_limit',
+    overloaded_error: 'overloaded',
+    api_error: 'server',
+    invalid_request_error: 'request',
+    not_found_error: 'request',
+    request_too_large: 'request'
+};
+
+/**
+ * A failed coaching request, classified so it can be retried or explained
+ */
+export class CoachingError extends Error {
+    /**
+     * @param {string} kind - 'auth', 'rate_limit', 'overloaded', 'network', 'timeout', 'server' or 'request'
+     * @param {string} message - What went wrong
+     * @param {Object} details - { status, retryAfterMs } from the response, if any
+     */
+    constructor(kind, message, { status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'CoachingError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    /**
+     * @returns {boolean} True if trying again may succeed
+     */
+    get retryable() {
+        return RETRYABLE.includes(this.kind);
+    }
+
+    /**
+     * @returns {string} What the golfer can do about it
+     */
+    get guidance() {
+        return GUIDANCE[this.kind];
+    }
+
+    /**
+     * Classify an HTTP error response
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message
+     * @param {Object} details - { type, retryAfterMs }: API error type and retry-after wait, if given
+     * @returns {CoachingError} Error
+     */
+    static fromResponse(status, message, { type, retryAfterMs = null } = {}) {
+        let kind;
+        if (status === 401 || status === 403) kind = 'auth';
+        else if (status === 429) kind = 'rate_limit';
+        else if (status === 503 || status === 529) kind = 'overloaded';
+        else if (status === 408 || status === 504) kind = 'timeout';
+        else if (status >= 500) kind = 'server';
+        else kind = API_ERROR_KINDS[type] || 'request';
+
+        return new CoachingError(kind, message, { status, retryAfterMs });
+    }
+
+    /**
+     * Classify an error reported inside a streamed reply
+     * @param {string} type - API error type, e.g. 'overloaded_error'
+     * @param {string} message - Error message
+     * @returns {CoachingError} Error
+     */
+    static fromApiError(type, message) {
+        return new CoachingError(API_ERROR_KINDS[type] || 'server', message);
+    }
+}
+
+/**
+ * Runs coaching requests with a timeout, retrying failures that may pass with
+ * exponential backoff (or the wait the server asks for in retry-after)
+ */
+export class RequestPipeline {
+    /**
+     * Run a request
+     * @param {Function} attempt - Called for each try with { signal, touch }; touch() restarts
+     *   the timeout, so a streamed reply only times out if it stalls
+     * @param {Object} options - { signal, shouldRetry(error), onRetry({ attempt, attempts, delayMs, error }) }
+     * @returns {Promise<*>} What the successful attempt resolved with
+     * @throws {DOMException} AbortError when the signal cancels the request
+     * @throws {CoachingError} When the request fails and is not retried
+     */
+    static async run(attempt, { signal, shouldRetry = () => true, onRetry } = {}) {
+        for (let retries = 0; ; retries++) {
+            try {
+                return await this.withTimeout(attempt, signal);
+            } catch (error) {
+                const delayMs = error instanceof CoachingError && error.retryable
+                    && retries < REQUEST_CONFIG.MAX_RETRIES && shouldRetry(error)
+                    ? this.retryDelay(retries, error.retryAfterMs)
+                    : null;
+                if (delayMs === null) throw error;
+
+                if (onRetry) {
+                    onRetry({ attempt: retries + 2, attempts: REQUEST_CONFIG.MAX_RETRIES + 1, delayMs, error });
+                }
+                await this.sleep(delayMs, signal);
+            }
+        }
+    }
+
+    /**
+     * Make one attempt, cancelling it if nothing happens for REQUEST_CONFIG.TIMEOUT_MS
+     * @param {Function} attempt - See run
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<*>} What the attempt resolved with
+     */
+    static async withTimeout(attempt, signal) {
+        if (signal?.aborted) {
+            throw new DOMException('The request was aborted', 'AbortError');
+        }
+
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        let timedOut = false;
+        let timer;
+        const touch = () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, REQUEST_CONFIG.TIMEOUT_MS);
+        };
+
+        signal?.addEventListener('abort', cancel, { once: true });
+        touch();
+        try {
+            return await attempt({ signal: controller.signal, touch });
+        } catch (error) {
+            if (timedOut && error.name === 'AbortError') {
+                throw new CoachingError('timeout', `No response for ${REQUEST_CONFIG.TIMEOUT_MS / 1000} seconds`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    /**
+     * Work out how long to wait before the next try
+     * @param {number} retries - Retries made so far
+     * @param {number|null} retryAfterMs - Wait asked for by the server
+     * @returns {number|null} Delay in milliseconds, or null if the wait is too long to sit through
+     */
+    static retryDelay(retries, retryAfterMs = null) {
+        if (retryAfterMs !== null) {
+            return retryAfterMs <= REQUEST_CONFIG.MAX_RETRY_AFTER_MS ? retryAfterMs : null;
+        }
+
+        const backoff = Math.min(REQUEST_CONFIG.BACKOFF_BASE_MS * 2 ** retries, REQUEST_CONFIG.BACKOFF_MAX_MS);
+        // Jitter keeps several tabs or devices from retrying in step
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Parse a retry-after header
+     * @param {string|null} value - Seconds or an HTTP date
+     * @returns {number|null} Wait in milliseconds, or null if absent or unreadable
+     */
+    static parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Wait, unless the request is cancelled first
+     * @param {number} ms - Milliseconds
+     * @param {AbortSignal} signal - Cancels the wait
+     * @returns {Promise<void>}
+     * @throws {DOMException} AbortError when the signal fires
+     */
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was aborted', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+
+            if (signal?.aborted) {
+                abort();
+            } else {
+                signal?.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+}
@@ -1,9 +1,216 @@
-import { STORAGE_KEYS } from './constants.js';
+import {
+    STORAGE_KEYS,
+    LEGACY_STORAGE_KEYS,
+    PROFILE_STORAGE_KEYS,
+    SCHEMA_VERSION,
+    DATABASE,
+    DEFAULT_PROFILE,
+    LLM_CONFIG
+} from './constants.js';
+import { GolfHelpers } from './helpers.js';
+import { IndexedDBStore, LocalStorageStore, EncryptedStore } from './database.js';
 
 /**
- * Storage utility class for managing localStorage operations
+ * Ordered schema migrations. Each runs once, when the stored schema version is
+ * below its own; migrate() may return a notice to show the user.
+ * Unversioned storage counts as version 0.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Import data saved by the original script.js page',
+        async migrate(storage) {
+            const legacySessions = storage.get(LEGACY_STORAGE_KEYS.SESSIONS);
+            const legacyRounds = storage.get(LEGACY_STORAGE_KEYS.ROUNDS);
+            const legacySettings = storage.get(LEGACY_STORAGE_KEYS.SETTINGS);
+
+            let sessionsAdded = 0;
+            let roundsAdded = 0;
+
+            if (Array.isArray(legacySessions)) {
+                const merged = GolfHelpers.mergeById(await storage.getSessions(), legacySessions);
+                sessionsAdded = merged.added;
+                if (!await storage.setSessions(merged.records)) throw new Error('Could not save migrated sessions');
+            }
+
+            if (Array.isArray(legacyRounds)) {
+                const merged = GolfHelpers.mergeById(await storage.getRounds(), legacyRounds);
+                roundsAdded = merged.added;
+                if (!await storage.setRounds(merged.records)) throw new Error('Could not save migrated rounds');
+            }
+
+            // Settings saved by the modular app take precedence
+            if (legacySettings && typeof legacySettings === 'object' && !Array.isArray(legacySettings)) {
+                if (!storage.setSettings({ ...legacySettings, ...storage.getSettings() })) {
+                    throw new Error('Could not save migrated settings');
+                }
+            }
+
+            // Only drop the old keys once everything above has been written
+            Object.values(LEGACY_STORAGE_KEYS).forEach(key => storage.remove(key));
+
+            return sessionsAdded + roundsAdded > 0
+                ? `Recovered ${sessionsAdded} sessions and ${roundsAdded} rounds from the previous version`
+                : null;
+        }
+    },
+    {
+        version: 2,
+        description: 'Bring stored records up to the current shape',
+        async migrate(storage) {
+            const sessions = (await storage.getSessions()).map(session => ({
+                ...session,
+                duration: Number(session.duration),
+                ballsHit: Number(session.ballsHit),
+                rating: Number(session.rating)
+            }));
+            const rounds = (await storage.getRounds()).map(round => {
+                const migrated = {
+                    weather: '',
+                    notes: '',
+                    holesPlayed: 18,
+                    ...round,
+                    courseRating: Number(round.courseRating),
+                    slopeRating: Number(round.slopeRating),
+                    totalScore: Number(round.totalScore),
+                    par: Number(round.par)
+                };
+
+                if (!Number.isFinite(migrated.differential)) {
+                    migrated.differential = GolfHelpers.calculateDifferential(
+                        Number.isFinite(migrated.adjustedScore) ? migrated.adjustedScore : migrated.totalScore,
+                        migrated.courseRating,
+                        migrated.slopeRating
+                    );
+                }
+                return migrated;
+            });
+
+            if (!await storage.setSessions(sessions) || !await storage.setRounds(rounds)) {
+                throw new Error('Could not save migrated records');
+            }
+            return null;
+        }
+    },
+    {
+        version: 3,
+        description: 'Move settings into the default player profile',
+        async migrate(storage) {
+            const settings = storage.get(STORAGE_KEYS.SETTINGS);
+            if (settings) {
+                // Earlier migrations may already have written profile settings; these take precedence
+                if (!storage.setSettings({ ...storage.getSettings(DEFAULT_PROFILE.id), ...settings }, DEFAULT_PROFILE.id)) {
+                    throw new Error('Could not save migrated settings');
+                }
+                storage.remove(STORAGE_KEYS.SETTINGS);
+            }
+            return null;
+        }
+    },
+    {
+        version: 4,
+        description: 'Move each profile\'s chat history into a coaching thread',
+        async migrate(storage) {
+            const profileIds = new Set([DEFAULT_PROFILE.id, ...storage.getProfiles().map(profile => profile.id)]);
+
+            for (const profileId of profileIds) {
+                const key = storage.getProfileKey(STORAGE_KEYS.CHAT_HISTORY, profileId);
+                const messages = storage.get(key);
+
+                if (Array.isArray(messages) && messages.length > 0) {
+                    const thread = {
+                        id: GolfHelpers.generateId(),
+                        title: 'Earlier conversation',
+                        createdAt: messages[0].time,
+                        updatedAt: messages[messages.length - 1].time,
+                        messages,
+                        summary: '',
+                        summarizedCount: 0
+                    };
+                    if (!await storage.setThreads([thread, ...await storage.getThreads(profileId)], profileId)) {
+                        throw new Error('Could not save migrated chat history');
+                    }
+                }
+                storage.remove(key);
+            }
+            return null;
+        }
+    },
+    {
+        version: 5,
+        description: 'Move profiles off the retired default coach model',
+        async migrate(storage) {
+            let moved = false;
+            for (const profileId of storage.getProfileIds()) {
+                const settings = storage.getSettings(profileId);
+                // The old default was saved with the rest of the settings; a model chosen by hand is kept
+                if (settings.coachModel === 'claude-3-sonnet-20240229') {
+                    if (!storage.setSettings({ ...settings, coachModel: LLM_CONFIG.DEFAULT_MODEL }, profileId)) {
+                        throw new Error('Could not save migrated settings');
+                    }
+                    moved = true;
+                }
+            }
+            return moved ? `The AI coach now uses ${LLM_CONFIG.DEFAULT_MODEL}; its previous default model was retired.` : null;
+        }
+    },
+    {
+        version: 6,
+        description: 'Share AI coaching usage and its monthly budget between profiles',
+        async migrate(storage) {
+            const log = storage.getCoachingUsage();
+            const budgets = [];
+
+            for (const profileId of storage.getProfileIds()) {
+                const key = storage.getProfileKey(STORAGE_KEYS.COACHING_USAGE, profileId);
+                const profileLog = storage.get(key);
+                if (profileLog && profileLog.days) {
+                    Object.entries(profileLog.days).forEach(([day, usage]) => {
+                        const total = { ...log.days[day] };
+                        Object.keys(usage).forEach(field => {
+                            total[field] = (total[field] || 0) + usage[field];
+                        });
+                        log.days[day] = total;
+                    });
+                }
+
+                const { coachMonthlyBudget, ...settings } = storage.getSettings(profileId);
+                if (coachMonthlyBudget > 0) budgets.push(coachMonthlyBudget);
+                if (coachMonthlyBudget !== undefined && !storage.setSettings(settings, profileId)) {
+                    throw new Error('Could not save migrated settings');
+                }
+                storage.remove(key);
+            }
+
+            // The strictest budget any profile set now covers them all
+            if (!storage.setCoachingUsage(log)
+                || (budgets.length > 0 && !storage.setCoachingBudget(Math.min(...budgets)))) {
+                throw new Error('Could not save migrated AI coaching usage');
+            }
+            return null;
+        }
+    }
+];
+
+/**
+ * Storage utility class
+ *
+ * Sessions, rounds, backups and coaching threads live in IndexedDB (or localStorage when IndexedDB is
+ * unavailable) behind an async API; only records that changed since the last
+ * load or save are written. Settings, courses and other small values stay in
+ * localStorage so they can be read synchronously.
+ *
+ * Records, settings and practice plans belong to the active player profile
+ * (see useProfile); courses are shared by every profile.
  */
 export class StorageManager {
+    static store = null;
+    static backend = null;
+    static profileId = DEFAULT_PROFILE.id;
+
+    // Last persisted JSON per record id, keyed "profileId:type", used to write only what changed
+    static snapshots = {};
+
     /**
      * Get data from localStorage
      * @param {string} key - Storage key
@@ -52,44 +259,408 @@ export class StorageManager {
     }
 
     /**
-     * Clear all golf-related data
-     * @returns {boolean} Success status
+     * Clear all golf-related data for every profile
+     * @returns {Promise<boolean>} Success status
      */
-    static clearAll() {
+    static async clearAll() {
         try {
+            for (const name of Object.keys(DATABASE.STORES)) {
+                await this.store.clear(name);
+            }
+            this.snapshots = {};
+            this.getProfiles().forEach(profile => {
+                PROFILE_STORAGE_KEYS.forEach(key => localStorage.removeItem(this.getProfileKey(STORAGE_KEYS[key], profile.id)));
+            });
             Object.values(STORAGE_KEYS).forEach(key => {
                 localStorage.removeItem(key);
             });
             return true;
         } catch (error) {
-            console.error('Error clearing localStorage:', error);
+            console.error('Error clearing storage:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove every profile's sessions, rounds and backups, keeping settings and profiles
+     * @returns {Promise<boolean>} Success status
+     */
+    static async clearRecords() {
+        try {
+            for (const name of Object.keys(DATABASE.STORES)) {
+                await this.store.clear(name);
+            }
+            this.snapshots = {};
+            return true;
+        } catch (error) {
+            console.error('Error clearing records:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Clear the records, settings and coaching threads of one profile
+     * @param {number} profileId - Profile id
+     * @param {Object} options - { keepBackups } to leave the profile's backups in place
+     * @returns {Promise<boolean>} Success status
+     */
+    static async clearProfile(profileId, { keepBackups = false } = {}) {
+        try {
+            for (const name of Object.keys(DATABASE.STORES)) {
+                if (keepBackups && name === 'backups') continue;
+                await this.store.clear(name, profileId);
+                delete this.snapshots[`${profileId}:${name}`];
+            }
+            PROFILE_STORAGE_KEYS.forEach(key => localStorage.removeItem(this.getProfileKey(STORAGE_KEYS[key], profileId)));
+            return true;
+        } catch (error) {
+            console.error(`Error clearing profile ${profileId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Make a profile the owner of records, settings and coaching threads read or written from now on
+     * @param {number} profileId - Profile id
+     */
+    static useProfile(profileId) {
+        this.profileId = profileId;
+    }
+
+    /**
+     * Build the localStorage key for a per-profile value
+     * @param {string} key - Value from STORAGE_KEYS
+     * @param {number} profileId - Profile id
+     * @returns {string} Profile-specific key
+     */
+    static getProfileKey(key, profileId = this.profileId) {
+        return `${key}_${profileId}`;
+    }
+
+    /**
+     * Pick a backend, moving localStorage records into IndexedDB the first time
+     * @returns {Promise<string>} 'indexeddb' or 'localstorage'
+     */
+    static async init() {
+        try {
+            this.store = await new IndexedDBStore().open();
+            this.backend = 'indexeddb';
+            await this.moveFromLocalStorage();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+            this.store = await new LocalStorageStore().open();
+            this.backend = 'localstorage';
+        }
+        return this.backend;
+    }
+
+    /**
+     * Read and write records through a cipher from now on (after unlocking)
+     * @param {Object} cipher - { encrypt(value), decrypt(sealed) }
+     */
+    static useCipher(cipher) {
+        this.store = new EncryptedStore(this.getBaseStore(), cipher);
+    }
+
+    /**
+     * Get every profile that may own stored records, including deleted profiles
+     * whose backups are kept
+     * @returns {Set<number>} Profile ids
+     */
+    static getProfileIds() {
+        return new Set([
+            DEFAULT_PROFILE.id,
+            ...this.getProfiles().map(profile => profile.id),
+            ...this.getDeletedProfiles().map(profile => profile.id)
+        ]);
+    }
+
+    /**
+     * Rewrite every profile's records encrypted with a cipher, or unencrypted
+     * when no cipher is given, then keep using that choice
+     * @param {Object|null} cipher - { encrypt(value), decrypt(sealed) } or null
+     * @returns {Promise<boolean>} Success status
+     */
+    static async setCipher(cipher) {
+        const current = this.store;
+        const next = cipher ? new EncryptedStore(this.getBaseStore(), cipher) : this.getBaseStore();
+        const profileIds = this.getProfileIds();
+
+        try {
+            for (const name of Object.keys(DATABASE.STORES)) {
+                for (const profileId of profileIds) {
+                    const records = await current.getAll(name, profileId);
+                    if (records.length > 0) await next.write(name, profileId, records, []);
+                }
+            }
+        } catch (error) {
+            console.error('Error re-encrypting records:', error);
+            return false;
+        }
+
+        this.store = next;
+        return true;
+    }
+
+    /**
+     * Get the store that actually holds records, unwrapping encryption
+     * @returns {IndexedDBStore|LocalStorageStore} Underlying store
+     */
+    static getBaseStore() {
+        return this.store instanceof EncryptedStore ? this.store.inner : this.store;
+    }
+
+    /**
+     * Copy records saved as localStorage arrays into IndexedDB, then drop the arrays
+     */
+    static async moveFromLocalStorage() {
+        const fallback = new LocalStorageStore();
+        const moved = [];
+
+        for (const name of Object.keys(DATABASE.STORES)) {
+            const key = fallback.getKey(name);
+            if (!Array.isArray(this.get(key))) continue;
+
+            const profileIds = this.getProfileIds();
+            for (const profileId of profileIds) {
+                const records = await fallback.getAll(name, profileId);
+                if (records.length === 0) continue;
+
+                // The localStorage copy wins: it is what the app was last using
+                const merged = GolfHelpers.mergeById(records, await this.store.getAll(name, profileId)).records;
+                await this.store.write(name, profileId, merged, []);
+            }
+            moved.push(key);
+        }
+
+        // Only drop the arrays once every store has been written
+        moved.forEach(key => this.remove(key));
+    }
+
+    /**
+     * Load every record of a type and remember it for change tracking
+     * @param {string} name - Store name from DATABASE.STORES
+     * @param {number} profileId - Owning profile, the active one by default
+     * @returns {Promise<Array>} Records, newest first
+     */
+    static async getRecords(name, profileId = this.profileId) {
+        try {
+            const records = await this.store.getAll(name, profileId);
+            this.snapshots[`${profileId}:${name}`] = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+            return GolfHelpers.sortNewestFirst(records);
+        } catch (error) {
+            console.error(`Error reading ${name}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the full list of records, writing only added or changed ones
+     * and deleting records no longer in the list
+     * @param {string} name - Store name from DATABASE.STORES
+     * @param {Array} records - Every record of this type
+     * @param {number} profileId - Owning profile, the active one by default
+     * @returns {Promise<boolean>} Success status
+     */
+    static async setRecords(name, records, profileId = this.profileId) {
+        const snapshotKey = `${profileId}:${name}`;
+        if (!this.snapshots[snapshotKey]) {
+            await this.getRecords(name, profileId);
+        }
+
+        const previous = this.snapshots[snapshotKey] || new Map();
+        const next = new Map(records.map(record => [
+            record.id,
+            JSON.stringify({ ...record, [DATABASE.PROFILE_FIELD]: profileId })
+        ]));
+
+        const puts = records.filter(record => previous.get(record.id) !== next.get(record.id));
+        const deletes = [...previous.keys()].filter(id => !next.has(id));
+
+        // Update first so overlapping saves diff against the latest state
+        this.snapshots[snapshotKey] = next;
+
+        try {
+            await this.store.write(name, profileId, puts, deletes);
+            return true;
+        } catch (error) {
+            console.error(`Error writing ${name}:`, error);
+            // Forget the snapshot so the next save reloads and compares against what was stored
+            delete this.snapshots[snapshotKey];
             return false;
         }
     }
 
-    // Specific getters for golf data
-    static getSessions() {
-        return this.get(STORAGE_KEYS.SESSIONS, []);
+    /**
+     * Get records whose indexed field matches a value or range
+     * @param {string} name - 'sessions' or 'rounds'
+     * @param {string} index - Index from DATABASE.STORES, e.g. 'date' or 'courseName'
+     * @param {*} range - Exact value or { from, to }
+     * @returns {Promise<Array>} Matching records, newest first
+     */
+    static async queryRecords(name, index, range) {
+        try {
+            return GolfHelpers.sortNewestFirst(await this.store.query(name, this.profileId, index, range));
+        } catch (error) {
+            console.error(`Error querying ${name} by ${index}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Run any migrations newer than the stored schema version
+     * @returns {Promise<Object>} { from, to, notices }
+     */
+    static async migrate() {
+        const from = this.get(STORAGE_KEYS.SCHEMA_VERSION, 0);
+        const notices = [];
+        let version = from;
+
+        if (from > SCHEMA_VERSION) {
+            console.warn(`Stored data uses schema ${from}, newer than this app (${SCHEMA_VERSION})`);
+            return { from, to: from, notices };
+        }
+
+        for (const migration of MIGRATIONS.filter(step => step.version > from)) {
+            try {
+                const notice = await migration.migrate(this);
+                if (notice) notices.push(notice);
+            } catch (error) {
+                // Leave the version where it is so the step is retried next load
+                console.error(`Migration ${migration.version} failed (${migration.description}):`, error);
+                break;
+            }
+
+            version = migration.version;
+            this.set(STORAGE_KEYS.SCHEMA_VERSION, version);
+        }
+
+        return { from, to: version, notices };
+    }
+
+    // Record getters and setters are async; everything else is synchronous
+    static getSessions(profileId) {
+        return this.getRecords('sessions', profileId);
+    }
+
+    static getRounds(profileId) {
+        return this.getRecords('rounds', profileId);
+    }
+
+    static getRoundsByCourse(courseName) {
+        return this.queryRecords('rounds', 'courseName', courseName);
+    }
+
+    static getRoundsBetween(from, to) {
+        return this.queryRecords('rounds', 'date', { from, to });
+    }
+
+    static getSessionsBetween(from, to) {
+        return this.queryRecords('sessions', 'date', { from, to });
+    }
+
+    static getBackups(profileId) {
+        return this.getRecords('backups', profileId);
+    }
+
+    static getSettings(profileId) {
+        return this.get(this.getProfileKey(STORAGE_KEYS.SETTINGS, profileId), {});
+    }
+
+    static getThreads(profileId) {
+        return this.getRecords('threads', profileId);
+    }
+
+    static getPracticePlans(profileId) {
+        return this.get(this.getProfileKey(STORAGE_KEYS.PRACTICE_PLANS, profileId), []);
+    }
+
+    static getSyncState(profileId) {
+        return this.get(this.getProfileKey(STORAGE_KEYS.SYNC_STATE, profileId), {});
+    }
+
+    static getCourses() {
+        return this.get(STORAGE_KEYS.COURSES, []);
+    }
+
+    static getProfiles() {
+        return this.get(STORAGE_KEYS.PROFILES, [DEFAULT_PROFILE]);
+    }
+
+    static getDeletedProfiles() {
+        return this.get(STORAGE_KEYS.DELETED_PROFILES, []);
+    }
+
+    static getCoachingQueue() {
+        return this.get(STORAGE_KEYS.COACHING_QUEUE, []);
+    }
+
+    static getCoachingUsage() {
+        return this.get(STORAGE_KEYS.COACHING_USAGE, { days: {} });
     }
 
-    static getRounds() {
-        return this.get(STORAGE_KEYS.ROUNDS, []);
+    static getCoachingBudget() {
+        return this.get(STORAGE_KEYS.COACHING_BUDGET, 0);
     }
 
-    static getSettings() {
-        return this.get(STORAGE_KEYS.SETTINGS, {});
+    static getCoachTemplates(profileId) {
+        return this.get(this.getProfileKey(STORAGE_KEYS.COACH_TEMPLATES, profileId), []);
     }
 
     // Specific setters for golf data
-    static setSessions(sessions) {
-        return this.set(STORAGE_KEYS.SESSIONS, sessions);
+    static setSessions(sessions, profileId) {
+        return this.setRecords('sessions', sessions, profileId);
+    }
+
+    static setRounds(rounds, profileId) {
+        return this.setRecords('rounds', rounds, profileId);
+    }
+
+    static setBackups(backups, profileId) {
+        return this.setRecords('backups', backups, profileId);
+    }
+
+    static setSettings(settings, profileId) {
+        return this.set(this.getProfileKey(STORAGE_KEYS.SETTINGS, profileId), settings);
+    }
+
+    static setThreads(threads, profileId) {
+        return this.setRecords('threads', threads, profileId);
+    }
+
+    static setPracticePlans(plans, profileId) {
+        return this.set(this.getProfileKey(STORAGE_KEYS.PRACTICE_PLANS, profileId), plans);
+    }
+
+    static setSyncState(state, profileId) {
+        return this.set(this.getProfileKey(STORAGE_KEYS.SYNC_STATE, profileId), state);
+    }
+
+    static setCourses(courses) {
+        return this.set(STORAGE_KEYS.COURSES, courses);
+    }
+
+    static setProfiles(profiles) {
+        return this.set(STORAGE_KEYS.PROFILES, profiles);
+    }
+
+    static setDeletedProfiles(profiles) {
+        return this.set(STORAGE_KEYS.DELETED_PROFILES, profiles);
+    }
+
+    static setCoachingQueue(queue) {
+        return this.set(STORAGE_KEYS.COACHING_QUEUE, queue);
+    }
+
+    static setCoachingUsage(usage) {
+        return this.set(STORAGE_KEYS.COACHING_USAGE, usage);
     }
 
-    static setRounds(rounds) {
-        return this.set(STORAGE_KEYS.ROUNDS, rounds);
+    static setCoachingBudget(budget) {
+        return this.set(STORAGE_KEYS.COACHING_BUDGET, budget);
     }
 
-    static setSettings(settings) {
-        return this.set(STORAGE_KEYS.SETTINGS, settings);
+    static setCoachTemplates(templates, profileId) {
+        return this.set(this.getProfileKey(STORAGE_KEYS.COACH_TEMPLATES, profileId), templates);
     }
 }
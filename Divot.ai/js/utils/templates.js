@@ -0,0 +1,328 @@
+import { StorageManager } from './storage.js';
+import { GolfHelpers } from './helpers.js';
+import { COACHING_CONFIG } from './constants.js';
+
+// Values a template can use as {{name}}; the data ones are sections of the CoachingContext digest
+const VARIABLES = {
+    golferData: 'Everything below, sized to the data context budget',
+    name: "The golfer's profile name",
+    today: "Today's date",
+    handicap: 'Current handicap index',
+    overview: 'Number of sessions, hours practised and rounds',
+    handicapTrend: 'Handicap index and its monthly trajectory',
+    recentRounds: 'Recent rounds with notes and weather, older ones by month',
+    courses: 'Averages per course',
+    scorecards: 'Hole-by-hole stats from scorecards',
+    practice: 'Practice minutes by month and focus',
+    recentSessions: 'Recent practice sessions with summaries'
+};
+
+// Personas every profile has; they can be duplicated and edited but not changed
+const BUILT_IN = [
+    {
+        id: 'standard',
+        name: 'Balanced coach',
+        prompt: `You are Claude, an expert AI golf coach and analyst. You help golfers improve their game through data-driven insights and personalized advice.
+
+Your expertise includes:
+- Golf swing mechanics and technique
+- Course management and strategy
+- Practice routines and drills
+- Mental game and course psychology
+- Equipment recommendations
+- Handicap analysis and improvement strategies
+
+Current golfer data (dates are YYYY-MM-DD; ratings are course rating/slope):
+{{golferData}}
+
+Guidelines for responses:
+1. Be encouraging and positive while being honest about areas for improvement
+2. Provide specific, actionable advice based on the data provided
+3. Use golf terminology appropriately but explain complex concepts clearly
+4. Suggest specific drills or practice routines when relevant
+5. Reference the golfer's actual data when making recommendations
+6. Keep responses concise but comprehensive (aim for 2-3 paragraphs)
+7. Ask follow-up questions to better understand their goals when appropriate
+8. Format replies in Markdown: short headings, bullet or numbered lists for drills, and bold drill names
+
+Always base your advice on the actual data provided and be specific about what the numbers mean for their game.`
+    },
+    {
+        id: 'beginner',
+        name: 'Beginner-friendly coach',
+        prompt: `You are a friendly, patient golf coach for beginners and junior golfers, talking with {{name}}. You help them enjoy the game and get better one small step at a time.
+
+How you talk:
+1. Use short sentences and everyday words. When you need a golf term, explain it in a few words
+2. Give one or two things to work on at a time, never a long list
+3. Start with something they are doing well, however small
+4. Suggest simple, fun practice games rather than technical drills
+5. Keep replies short: a few sentences or a short list
+6. Format replies in Markdown, with numbered lists for practice games
+
+Handicap index: {{handicap}}
+
+Their golf so far (dates are YYYY-MM-DD; ratings are course rating/slope):
+{{golferData}}
+
+Use their data to choose what to work on, but explain what the numbers mean in plain words.`
+    },
+    {
+        id: 'technical',
+        name: 'Tour-style technical coach',
+        prompt: `You are a tour-level golf coach working with a skilled, low-handicap player who wants blunt, technical feedback.
+
+How you work:
+1. Be direct. Skip encouragement and pleasantries: say what the data shows and what to fix
+2. Use precise technical language: swing mechanics, launch conditions, dispersion, strokes-gained thinking, course management
+3. Quantify: cite the golfer's numbers and compare them with what scratch and tour players typically achieve
+4. Prescribe drills with measurable targets and rep counts
+5. Point out weaknesses even when not asked
+6. Format replies in Markdown: short headings, bullet or numbered lists for drills, and bold drill names
+
+Dates are YYYY-MM-DD; ratings are course rating/slope.
+
+{{handicapTrend}}
+
+{{recentRounds}}
+
+{{scorecards}}
+
+{{courses}}
+
+{{practice}}`
+    },
+    {
+        id: 'mental',
+        name: 'Mental-game coach',
+        prompt: `You are a golf mental-game coach. You help golfers manage nerves, stay focused, recover from bad holes and play with confidence.
+
+How you work:
+1. Look for mental patterns in the data: scores that balloon late in a round, gaps between practice and play, notes about nerves, frustration or confidence
+2. Suggest pre-shot routines, breathing and focus techniques, and ways to reset after a bad shot
+3. Ask how they felt on the course when the data can't tell you
+4. Be calm, supportive and practical; leave swing mechanics aside unless the golfer asks
+5. Format replies in Markdown, with numbered lists for routines and exercises
+
+Golfer data (dates are YYYY-MM-DD; ratings are course rating/slope):
+{{golferData}}`
+    }
+];
+
+// Marks a file written by exportFile
+const FILE_FORMAT = 'golf-coach-templates';
+
+/**
+ * System prompt templates for the AI coach: the built-in personas plus a
+ * profile's own templates
+ *
+ * Template shape: { id, name, prompt, builtIn } where prompt may use {{variable}}
+ * placeholders (see variables). Built-in ids are words such as 'standard'; a
+ * profile's own templates get 'custom-<number>' ids and are kept up to
+ * COACHING_CONFIG.MAX_TEMPLATES. Threads remember the template they use by id.
+ */
+export class PromptTemplates {
+    /**
+     * @returns {string} Id of the template used when no other is chosen
+     */
+    static get DEFAULT_ID() {
+        return BUILT_IN[0].id;
+    }
+
+    /**
+     * @returns {Object} Descriptions of the variables templates can use, by name
+     */
+    static get variables() {
+        return VARIABLES;
+    }
+
+    /**
+     * Get the built-in personas and a profile's own templates
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Array} Templates, built-in first
+     */
+    static list(profileId) {
+        return [
+            ...BUILT_IN.map(template => ({ ...template, builtIn: true })),
+            ...StorageManager.getCoachTemplates(profileId).map(template => ({ ...template, builtIn: false }))
+        ];
+    }
+
+    /**
+     * Find the first of several template ids that still exists
+     * @param {Array} ids - Template ids in order of preference, e.g. the thread's and the default
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Object} Template, the standard one if none of the ids exist
+     */
+    static resolve(ids, profileId) {
+        const templates = this.list(profileId);
+        for (const id of ids) {
+            const template = templates.find(candidate => candidate.id === id);
+            if (template) return template;
+        }
+        return templates[0];
+    }
+
+    /**
+     * Check a template before saving it
+     * @param {Object} template - { name, prompt }
+     * @returns {Array} Problems found, empty if it can be saved
+     */
+    static validate({ name, prompt }) {
+        const errors = [];
+        if (typeof name !== 'string' || !name.trim()) {
+            errors.push('Give the template a name');
+        } else if (name.trim().length > COACHING_CONFIG.TEMPLATE_NAME_LENGTH) {
+            errors.push(`Keep the name under ${COACHING_CONFIG.TEMPLATE_NAME_LENGTH} characters`);
+        }
+
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            errors.push('Write the prompt');
+        } else {
+            if (prompt.length > COACHING_CONFIG.TEMPLATE_MAX_LENGTH) {
+                errors.push(`Keep the prompt under ${COACHING_CONFIG.TEMPLATE_MAX_LENGTH} characters`);
+            }
+            const unknown = this.findVariables(prompt).filter(variable => !(variable in VARIABLES));
+            if (unknown.length > 0) {
+                errors.push(`Unknown variables: ${unknown.map(variable => `{{${variable}}}`).join(', ')}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Add a template, or update one of the profile's own
+     * @param {Object} template - { id, name, prompt }; without an id a new template is added
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Object|null} The saved template, or null if it is invalid, there are
+     *   too many or it couldn't be stored
+     */
+    static save({ id, name, prompt }, profileId) {
+        if (this.validate({ name, prompt }).length > 0) return null;
+
+        const templates = StorageManager.getCoachTemplates(profileId);
+        const existing = id ? templates.find(template => template.id === id) : null;
+        if (!existing && templates.length >= COACHING_CONFIG.MAX_TEMPLATES) return null;
+
+        const template = { id: existing ? existing.id : this.nextId(templates), name: name.trim(), prompt };
+        const next = existing
+            ? templates.map(candidate => (candidate.id === existing.id ? template : candidate))
+            : [...templates, template];
+        return StorageManager.setCoachTemplates(next, profileId) ? { ...template, builtIn: false } : null;
+    }
+
+    /**
+     * Delete one of the profile's own templates
+     * @param {string} id - Template id
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {boolean} Success status
+     */
+    static remove(id, profileId) {
+        return StorageManager.setCoachTemplates(
+            StorageManager.getCoachTemplates(profileId).filter(template => template.id !== id),
+            profileId
+        );
+    }
+
+    /**
+     * Fill in a template's variables
+     * @param {string} prompt - Template text
+     * @param {Object} values - Variable values by name
+     * @returns {string} System prompt
+     */
+    static render(prompt, values) {
+        return prompt
+            .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in values ? String(values[name] ?? '') : match))
+            // Sections with nothing to say leave gaps behind
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * List the variables a template uses
+     * @param {string} prompt - Template text
+     * @returns {Array} Variable names, each once
+     */
+    static findVariables(prompt) {
+        return [...new Set([...prompt.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))];
+    }
+
+    /**
+     * Write templates to an export file
+     * @param {Array} templates - Templates to export
+     * @returns {string} JSON file content
+     */
+    static exportFile(templates) {
+        return JSON.stringify({
+            format: FILE_FORMAT,
+            version: 1,
+            exportDate: new Date().toISOString(),
+            templates: templates.map(({ name, prompt }) => ({ name, prompt }))
+        }, null, 2);
+    }
+
+    /**
+     * Read templates from an export file
+     * @param {string} text - File content
+     * @returns {Object} { templates, errors }: the valid templates and why others were skipped
+     * @throws {Error} If the file isn't a template export
+     */
+    static parseFile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON');
+        }
+        if (!data || data.format !== FILE_FORMAT || !Array.isArray(data.templates)) {
+            throw new Error('The file is not a coach template export');
+        }
+
+        const templates = [];
+        const errors = [];
+        data.templates.forEach((template, index) => {
+            const problems = this.validate(template || {});
+            if (problems.length > 0) {
+                errors.push(`Template ${index + 1}${template?.name ? ` (${template.name})` : ''}: ${problems.join('; ')}`);
+            } else {
+                templates.push({ name: template.name.trim(), prompt: template.prompt });
+            }
+        });
+        return { templates, errors };
+    }
+
+    /**
+     * Add imported templates, replacing the profile's own templates of the same name
+     * @param {Array} templates - { name, prompt } from parseFile
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Object|null} { added, updated, skipped } counts, or null if they couldn't be stored
+     */
+    static import(templates, profileId) {
+        const next = [...StorageManager.getCoachTemplates(profileId)];
+        const result = { added: 0, updated: 0, skipped: 0 };
+
+        templates.forEach(({ name, prompt }) => {
+            const index = next.findIndex(existing => existing.name.toLowerCase() === name.toLowerCase());
+            if (index >= 0) {
+                next[index] = { ...next[index], prompt };
+                result.updated++;
+            } else if (next.length < COACHING_CONFIG.MAX_TEMPLATES) {
+                next.push({ id: this.nextId(next), name, prompt });
+                result.added++;
+            } else {
+                result.skipped++;
+            }
+        });
+
+        return StorageManager.setCoachTemplates(next, profileId) ? result : null;
+    }
+
+    /**
+     * @param {Array} templates - The profile's own templates
+     * @returns {string} An unused id
+     */
+    static nextId(templates) {
+        const numbers = templates.map(template => Number(template.id.replace('custom-', '')) + 1);
+        return `custom-${Math.max(GolfHelpers.generateId(), ...numbers)}`;
+    }
+}
@@ -0,0 +1,101 @@
+import { StorageManager } from './storage.js';
+import { GolfHelpers } from './helpers.js';
+import { PromptTemplates } from './templates.js';
+import { COACHING_CONFIG } from './constants.js';
+
+/**
+ * Coaching conversations, kept per profile
+ *
+ * Thread shape: { id, title, createdAt, updatedAt, messages, summary, summarizedCount, templateId }
+ * messages are { sender: 'user'|'ai', text, time }; templateId is the coach persona
+ * (see PromptTemplates) the conversation uses. When a conversation outgrows
+ * the history budget, summary describes its first summarizedCount messages so
+ * they no longer need to be sent; every message is still kept for reading back.
+ */
+export class ThreadManager {
+    /**
+     * Get a profile's threads
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Promise<Array>} Threads, most recently active first
+     */
+    static async list(profileId) {
+        return this.sort(await StorageManager.getThreads(profileId));
+    }
+
+    /**
+     * Save a profile's threads
+     * @param {Array} threads - Every thread of the profile
+     * @param {number} profileId - Profile id, the active one by default
+     * @returns {Promise<boolean>} Success status
+     */
+    static save(threads, profileId) {
+        return StorageManager.setThreads(this.prune(threads), profileId);
+    }
+
+    /**
+     * Sort threads and drop the least recently active beyond COACHING_CONFIG.MAX_THREADS
+     * @param {Array} threads - Threads
+     * @returns {Array} Threads to keep, most recently active first
+     */
+    static prune(threads) {
+        return this.sort(threads).slice(0, COACHING_CONFIG.MAX_THREADS);
+    }
+
+    /**
+     * Start an empty thread
+     * @param {Array} threads - Existing threads, to keep the id unique
+     * @param {string} templateId - Prompt template the conversation uses
+     * @returns {Object} New thread
+     */
+    static create(threads = [], templateId = PromptTemplates.DEFAULT_ID) {
+        const now = new Date().toISOString();
+        return {
+            id: Math.max(GolfHelpers.generateId(), ...threads.map(thread => thread.id + 1)),
+            title: '',
+            createdAt: now,
+            updatedAt: now,
+            messages: [],
+            summary: '',
+            summarizedCount: 0,
+            templateId
+        };
+    }
+
+    /**
+     * Add a message to a thread; the first question becomes its title
+     * @param {Object} thread - Thread
+     * @param {string} sender - 'user' or 'ai'
+     * @param {string} text - Message text
+     * @returns {Object} Updated thread
+     */
+    static addMessage(thread, sender, text) {
+        const time = new Date().toISOString();
+        return {
+            ...thread,
+            title: thread.title || (sender === 'user' ? this.titleFrom(text) : ''),
+            updatedAt: time,
+            messages: [...thread.messages, { sender, text, time }]
+        };
+    }
+
+    /**
+     * Shorten a question into a thread title
+     * @param {string} text - First question
+     * @returns {string} Title
+     */
+    static titleFrom(text) {
+        const title = text.replace(/\s+/g, ' ').trim();
+        return title.length > COACHING_CONFIG.TITLE_LENGTH
+            ? `${title.slice(0, COACHING_CONFIG.TITLE_LENGTH - 1).trimEnd()}…`
+            : title;
+    }
+
+    /**
+     * Sort threads most recently active first
+     * @param {Array} threads - Threads
+     * @returns {Array} Sorted threads
+     */
+    static sort(threads) {
+        return [...threads].sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt) || b.id - a.id);
+    }
+}
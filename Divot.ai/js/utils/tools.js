@@ -0,0 +1,203 @@
+import { HandicapEngine } from './handicap.js';
+import { GolfHelpers } from './helpers.js';
+import { DATABASE } from './constants.js';
+
+const DATE_RANGE = {
+    from: { type: 'string', description: 'Earliest date to include, YYYY-MM-DD' },
+    to: { type: 'string', description: 'Latest date to include, YYYY-MM-DD' }
+};
+
+/**
+ * Tools the AI coach can call to look up the golfer's own data
+ *
+ * Definitions follow the Messages API tool format. Tools run locally against
+ * the sessions and rounds passed in, and return plain JSON-friendly objects.
+ */
+export class CoachingTools {
+    static definitions = [
+        {
+            name: 'search_rounds',
+            description: 'Find rounds by course name and/or date range. Returns a short line per round, newest first; ' +
+                'use get_round for hole-by-hole detail.',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    course: { type: 'string', description: 'Part of the course name, case-insensitive' },
+                    ...DATE_RANGE,
+                    holes: { type: 'integer', enum: [9, 18], description: 'Only 9- or 18-hole rounds' },
+                    limit: { type: 'integer', description: 'Most rounds to return (default 10, max 50)' }
+                }
+            }
+        },
+        {
+            name: 'get_round',
+            description: 'Get everything recorded for one round: scores, course rating, notes, weather and the scorecard if kept.',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer', description: 'Round id from search_rounds' }
+                },
+                required: ['id']
+            }
+        },
+        {
+            name: 'practice_summary',
+            description: 'Summarize practice sessions in a date range, optionally for one focus area ' +
+                '(e.g. Putting, Driver, Short Game): totals, averages, a per-focus breakdown and the latest sessions.',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    ...DATE_RANGE,
+                    focus: { type: 'string', description: 'Focus area to restrict to' }
+                }
+            }
+        },
+        {
+            name: 'handicap_history',
+            description: 'Handicap index after each posted score, oldest first, with any caps or exceptional score reductions.',
+            input_schema: {
+                type: 'object',
+                properties: {
+                    ...DATE_RANGE,
+                    limit: { type: 'integer', description: 'Most recent entries to return (default 20)' }
+                }
+            }
+        }
+    ];
+
+    /**
+     * Run a tool
+     * @param {string} name - Tool name from definitions
+     * @param {Object} input - Tool input from the model
+     * @param {Object} data - { sessions, rounds } to search
+     * @returns {Object} Tool result
+     * @throws {Error} For unknown tools or bad input, reported back to the model
+     */
+    static run(name, input = {}, data = {}) {
+        const { sessions = [], rounds = [] } = data;
+
+        switch (name) {
+            case 'search_rounds':
+                return this.searchRounds(rounds, input);
+            case 'get_round':
+                return this.getRound(rounds, input);
+            case 'practice_summary':
+                return this.practiceSummary(sessions, input);
+            case 'handicap_history':
+                return this.handicapHistory(rounds, input);
+            default:
+                throw new Error(`Unknown tool: ${name}`);
+        }
+    }
+
+    /**
+     * search_rounds: short summaries of matching rounds, newest first
+     * @param {Array} rounds - Rounds, newest first
+     * @param {Object} input - { course, from, to, holes, limit }
+     * @returns {Object} { total, rounds }
+     */
+    static searchRounds(rounds, { course, from, to, holes, limit = 10 }) {
+        const query = course ? course.trim().toLowerCase() : '';
+        const matches = this.inRange(rounds, from, to)
+            .filter(round => !query || (round.courseName || '').toLowerCase().includes(query))
+            .filter(round => !holes || (round.holesPlayed || 18) === holes);
+
+        return {
+            total: matches.length,
+            rounds: matches.slice(0, Math.min(Math.max(limit, 1), 50)).map(round => ({
+                id: round.id,
+                date: round.date,
+                course: round.courseName,
+                holes: round.holesPlayed || 18,
+                score: round.totalScore,
+                par: round.par,
+                differential: round.differential
+            }))
+        };
+    }
+
+    /**
+     * get_round: one round as stored
+     * @param {Array} rounds - Rounds
+     * @param {Object} input - { id }
+     * @returns {Object} Round
+     */
+    static getRound(rounds, { id }) {
+        const round = rounds.find(candidate => candidate.id === Number(id));
+        if (!round) throw new Error(`No round with id ${id}`);
+
+        const { [DATABASE.PROFILE_FIELD]: profileId, ...details } = round;
+        return details;
+    }
+
+    /**
+     * practice_summary: totals and a per-focus breakdown of matching sessions
+     * @param {Array} sessions - Sessions, newest first
+     * @param {Object} input - { from, to, focus }
+     * @returns {Object} Summary
+     */
+    static practiceSummary(sessions, { from, to, focus }) {
+        const query = focus ? focus.trim().toLowerCase() : '';
+        const matches = this.inRange(sessions, from, to)
+            .filter(session => !query || (session.focus || '').toLowerCase() === query);
+
+        const byFocus = {};
+        matches.forEach(session => {
+            const entry = byFocus[session.focus] || (byFocus[session.focus] = { sessions: 0, minutes: 0, ratings: [] });
+            entry.sessions++;
+            entry.minutes += session.duration || 0;
+            entry.ratings.push(session.rating);
+        });
+
+        return {
+            sessions: matches.length,
+            totalMinutes: matches.reduce((sum, session) => sum + (session.duration || 0), 0),
+            ballsHit: matches.reduce((sum, session) => sum + (session.ballsHit || 0), 0),
+            averageRating: GolfHelpers.calculateAverage(matches.map(session => session.rating)),
+            byFocus: Object.fromEntries(Object.entries(byFocus).map(([name, entry]) => [name, {
+                sessions: entry.sessions,
+                minutes: entry.minutes,
+                averageRating: GolfHelpers.calculateAverage(entry.ratings)
+            }])),
+            latest: matches.slice(0, 5).map(session => ({
+                date: session.date,
+                focus: session.focus,
+                minutes: session.duration,
+                rating: session.rating,
+                summary: session.summary
+            }))
+        };
+    }
+
+    /**
+     * handicap_history: the index after each posted score
+     * @param {Array} rounds - Rounds
+     * @param {Object} input - { from, to, limit }
+     * @returns {Object} { current, history }
+     */
+    static handicapHistory(rounds, { from, to, limit = 20 }) {
+        const history = HandicapEngine.calculateRevisions(rounds)
+            .filter(revision => revision.index !== null)
+            .filter(revision => (!from || revision.date >= from) && (!to || revision.date <= to))
+            .map(revision => ({
+                date: revision.date,
+                roundId: revision.roundId,
+                index: revision.index,
+                cap: revision.cap,
+                exceptionalScoreReduction: revision.exceptionalScore ? revision.exceptionalScore.reduction : undefined
+            }));
+
+        return { current: HandicapEngine.getIndex(rounds), history: history.slice(-Math.max(limit, 1)) };
+    }
+
+    /**
+     * Keep records dated within a range; records are kept newest first
+     * @param {Array} records - Sessions or rounds
+     * @param {string} from - Earliest date, YYYY-MM-DD
+     * @param {string} to - Latest date, YYYY-MM-DD
+     * @returns {Array} Matching records
+     */
+    static inRange(records, from, to) {
+        return records.filter(record => (!from || record.date >= from) && (!to || record.date <= to));
+    }
+}
@@ -1,3 +1,5 @@
+import { html, HtmlUtils } from './html.js';
+
 /**
  * UI utility functions for notifications, DOM manipulation, and user feedback
  */
@@ -53,6 +55,38 @@ export class UIUtils {
                 }
             }, 300);
         }, duration);
+
+        return notification;
+    }
+
+    /**
+     * Show notification with an undo button
+     * @param {string} message - Notification message
+     * @param {Function} onUndo - Called if the user clicks undo
+     * @param {number} duration - Display duration in milliseconds
+     */
+    static showUndoNotification(message, onUndo, duration = 6000) {
+        const notification = this.showNotification(message, 'info', duration);
+
+        const undoButton = this.createElement('button', { type: 'button' }, 'Undo');
+        Object.assign(undoButton.style, {
+            marginLeft: '1rem',
+            padding: '0.25rem 0.75rem',
+            border: '1px solid white',
+            borderRadius: '4px',
+            background: 'transparent',
+            color: 'white',
+            cursor: 'pointer',
+            fontWeight: '600'
+        });
+
+        undoButton.addEventListener('click', () => {
+            undoButton.disabled = true;
+            notification.style.transform = 'translateX(100%)';
+            onUndo();
+        }, { once: true });
+
+        notification.appendChild(undoButton);
     }
 
     /**
@@ -89,12 +123,12 @@ export class UIUtils {
      */
     static showLoading(element, text = 'Loading...') {
         element.dataset.originalContent = element.innerHTML;
-        element.innerHTML = `
+        HtmlUtils.render(element, html`
             <div style="display: flex; align-items: center; gap: 0.5rem;">
                 <div class="spinner"></div>
                 <span>${text}</span>
             </div>
-        `;
+        `);
         element.disabled = true;
     }
 
@@ -110,6 +144,56 @@ export class UIUtils {
         element.disabled = false;
     }
 
+    /**
+     * Download text content as a file
+     * @param {string} content - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type
+     */
+    static downloadFile(content, filename, type = 'text/plain') {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Copy text to the clipboard
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} True if the text was copied
+     */
+    static async copyToClipboard(text) {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (error) {
+                // Fall through to the selection-based copy, e.g. when the page isn't focused
+            }
+        }
+
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+
+        try {
+            return document.execCommand('copy');
+        } catch (error) {
+            return false;
+        } finally {
+            document.body.removeChild(textarea);
+        }
+    }
+
     /**
      * Smooth scroll to element
      * @param {HTMLElement} element - Element to scroll to
@@ -0,0 +1,120 @@
+import { StorageManager } from './storage.js';
+import { USAGE_CONFIG } from './constants.js';
+
+/**
+ * Token usage and estimated cost of AI coaching, kept for the whole browser
+ * since every profile uses the same API key
+ *
+ * Usage shape: { requests, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, cost, unpriced }
+ * cost is in USD and priced when the usage is recorded, so later price changes
+ * don't rewrite history; unpriced counts requests to models without a known price.
+ * The log keeps one usage total per day: { days: { "YYYY-MM-DD": usage } }.
+ */
+export class UsageTracker {
+    /**
+     * Find the price of a model
+     * @param {string} model - Model id
+     * @param {Object} overrides - Prices set in Settings, by model id
+     * @returns {Object|null} { input, output } in USD per million tokens, or null if unknown
+     */
+    static getPrice(model, overrides = {}) {
+        if (!model) return null;
+        if (overrides[model]) return overrides[model];
+
+        // Dated and aliased ids share their family's price, so the longest matching prefix wins
+        const prefix = Object.keys(USAGE_CONFIG.PRICES)
+            .filter(candidate => model.startsWith(candidate))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? USAGE_CONFIG.PRICES[prefix] : null;
+    }
+
+    /**
+     * Turn a Messages API usage block into a usage total for one request
+     * @param {Object} usage - { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens }
+     * @param {string} model - Model that answered
+     * @param {Object} overrides - Prices set in Settings, by model id
+     * @returns {Object} Usage
+     */
+    static fromResponse(usage, model, overrides = {}) {
+        const entry = {
+            requests: 1,
+            inputTokens: usage.input_tokens || 0,
+            outputTokens: usage.output_tokens || 0,
+            cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+            cacheReadTokens: usage.cache_read_input_tokens || 0,
+            cost: 0,
+            unpriced: 0
+        };
+
+        const price = this.getPrice(model, overrides);
+        if (!price) {
+            return { ...entry, unpriced: 1 };
+        }
+
+        const inputCost = entry.inputTokens
+            + entry.cacheWriteTokens * USAGE_CONFIG.CACHE_WRITE_FACTOR
+            + entry.cacheReadTokens * USAGE_CONFIG.CACHE_READ_FACTOR;
+        return { ...entry, cost: (inputCost * price.input + entry.outputTokens * price.output) / 1e6 };
+    }
+
+    /**
+     * Add two usage totals
+     * @param {Object|undefined} total - Usage so far, if any
+     * @param {Object} entry - Usage to add
+     * @returns {Object} Combined usage
+     */
+    static add(total, entry) {
+        const result = { ...entry };
+        if (total) {
+            Object.keys(entry).forEach(key => {
+                result[key] = (total[key] || 0) + entry[key];
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Add a request's usage to today's total
+     * @param {Object} entry - Usage from fromResponse
+     * @returns {boolean} Success status
+     */
+    static record(entry) {
+        const log = StorageManager.getCoachingUsage();
+        const today = new Date().toISOString().split('T')[0];
+        const days = { ...log.days, [today]: this.add(log.days[today], entry) };
+
+        // Drop the oldest days beyond USAGE_CONFIG.KEEP_DAYS
+        const kept = Object.keys(days).sort().slice(-USAGE_CONFIG.KEEP_DAYS);
+        return StorageManager.setCoachingUsage({ days: Object.fromEntries(kept.map(day => [day, days[day]])) });
+    }
+
+    /**
+     * Total a month's usage
+     * @param {Object} log - Usage log
+     * @param {string} month - Month as YYYY-MM, the current one by default
+     * @returns {Object|null} Usage, or null if nothing was used that month
+     */
+    static monthTotal(log, month = new Date().toISOString().slice(0, 7)) {
+        return Object.entries(log.days)
+            .filter(([day]) => day.startsWith(month))
+            .reduce((total, [, usage]) => this.add(total, usage), null);
+    }
+
+    /**
+     * Format an estimated cost
+     * @param {number} cost - Cost in USD
+     * @returns {string} e.g. "$1.25", or "$0.0042" for small amounts
+     */
+    static formatCost(cost) {
+        return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+    }
+
+    /**
+     * Format a token count
+     * @param {number} tokens - Token count
+     * @returns {string} e.g. "950" or "12.3k"
+     */
+    static formatTokens(tokens) {
+        return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+    }
+}
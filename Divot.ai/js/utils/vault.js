@@ -0,0 +1,125 @@
+import { StorageManager } from './storage.js';
+import { CryptoUtils } from './crypto.js';
+import { STORAGE_KEYS, ENCRYPTION_CONFIG } from './constants.js';
+
+/**
+ * Optional passphrase protection for this browser's data
+ *
+ * Stored config (STORAGE_KEYS.ENCRYPTION): { salt, iterations, check, encryptData }
+ * check is a known value sealed with the key, used to tell whether a passphrase
+ * is right. The derived key only ever lives in memory: reloading the page locks.
+ */
+export class Vault {
+    static key = null;
+
+    static getConfig() {
+        return StorageManager.get(STORAGE_KEYS.ENCRYPTION);
+    }
+
+    /**
+     * Check whether a passphrase has been set
+     * @returns {boolean} True if encryption is on
+     */
+    static isEnabled() {
+        return Boolean(this.getConfig());
+    }
+
+    /**
+     * Check whether sessions, rounds and backups are encrypted too
+     * @returns {boolean} True if records are encrypted
+     */
+    static isDataEncrypted() {
+        const config = this.getConfig();
+        return Boolean(config && config.encryptData);
+    }
+
+    /**
+     * Check whether the key is available in memory
+     * @returns {boolean} True if unlocked
+     */
+    static isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * Turn encryption on with a new passphrase and unlock
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise<void>}
+     */
+    static async enable(passphrase) {
+        const salt = CryptoUtils.createSalt();
+        const iterations = ENCRYPTION_CONFIG.ITERATIONS;
+        const key = await CryptoUtils.deriveKey(passphrase, salt, iterations);
+
+        StorageManager.set(STORAGE_KEYS.ENCRYPTION, {
+            salt,
+            iterations,
+            check: await CryptoUtils.encrypt(key, ENCRYPTION_CONFIG.CHECK_VALUE),
+            encryptData: false
+        });
+        this.key = key;
+    }
+
+    /**
+     * Remember whether records are encrypted
+     * @param {boolean} encryptData - True once every record is encrypted
+     */
+    static setDataEncrypted(encryptData) {
+        StorageManager.set(STORAGE_KEYS.ENCRYPTION, { ...this.getConfig(), encryptData });
+    }
+
+    /**
+     * Turn encryption off; the caller decrypts anything stored first
+     */
+    static disable() {
+        StorageManager.remove(STORAGE_KEYS.ENCRYPTION);
+        this.key = null;
+    }
+
+    /**
+     * Derive the key from a passphrase and keep it if the passphrase is right
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} Whether the passphrase was right
+     */
+    static async unlock(passphrase) {
+        const config = this.getConfig();
+        if (!config) return false;
+
+        const key = await CryptoUtils.deriveKey(passphrase, config.salt, config.iterations);
+        try {
+            if (await CryptoUtils.decrypt(key, config.check) !== ENCRYPTION_CONFIG.CHECK_VALUE) return false;
+        } catch (error) {
+            return false;
+        }
+
+        this.key = key;
+        return true;
+    }
+
+    /**
+     * Forget the key
+     */
+    static lock() {
+        this.key = null;
+    }
+
+    /**
+     * Encrypt a value with the unlocked key
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} { iv, data }
+     */
+    static async encrypt(value) {
+        if (!this.key) throw new Error('Encrypted storage is locked');
+        return CryptoUtils.encrypt(this.key, value);
+    }
+
+    /**
+     * Decrypt a value with the unlocked key
+     * @param {Object} sealed - { iv, data }
+     * @returns {Promise<*>} Original value
+     */
+    static async decrypt(sealed) {
+        if (!this.key) throw new Error('Encrypted storage is locked');
+        return CryptoUtils.decrypt(this.key, sealed);
+    }
+}
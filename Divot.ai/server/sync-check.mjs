@@ -0,0 +1,117 @@
+// Offline check of the app's sync client against a local sync server
+//
+// No dependencies or network: run with `node server/sync-check.mjs`.
+// Starts an in-memory server on 127.0.0.1, syncs two simulated devices with
+// js/modules/SyncService.js and exits with status 1 if any step goes wrong.
+import assert from 'node:assert/strict';
+import { createSyncServer } from './sync-server.mjs';
+
+// Each simulated device has its own localStorage, swapped in before it syncs
+const devices = { a: new Map(), b: new Map() };
+let current = devices.a;
+
+globalThis.localStorage = {
+    getItem: key => (current.has(key) ? current.get(key) : null),
+    setItem: (key, value) => current.set(key, String(value)),
+    removeItem: key => current.delete(key),
+    key: index => [...current.keys()][index] ?? null,
+    get length() {
+        return current.size;
+    }
+};
+
+const { SyncService } = await import('../js/modules/SyncService.js');
+
+const PROFILE_ID = 1;
+const round = (id, score) => ({
+    id,
+    date: '2026-06-10',
+    courseName: 'Pine Valley',
+    courseRating: 72,
+    slopeRating: 130,
+    totalScore: score,
+    par: 72
+});
+
+/**
+ * Sync one device's records and apply what the server sends back, as the app does
+ * @param {Object} device - { storage, data, settings }
+ * @returns {Promise<Object>} Result of SyncService.sync()
+ */
+async function syncDevice(device) {
+    current = device.storage;
+    const service = new SyncService(device.settings, PROFILE_ID);
+    const result = await service.sync(device.data);
+
+    for (const type of ['sessions', 'rounds']) {
+        const changes = result.changes.filter(change => change.type === type);
+        device.data[type] = SyncService.applyChanges(device.data[type], changes);
+    }
+    return result;
+}
+
+/**
+ * Note a device's pending edits now, so its push carries this time
+ * @param {Object} device - { storage, data, settings }
+ */
+function editDevice(device) {
+    current = device.storage;
+    new SyncService(device.settings, PROFILE_ID).trackChanges(device.data);
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run(baseURL) {
+    const settings = { syncUrl: baseURL, syncSpace: 'check', syncToken: 'secret' };
+    const a = { storage: devices.a, data: { sessions: [], rounds: [round(1, 85)] }, settings };
+    const b = { storage: devices.b, data: { sessions: [], rounds: [] }, settings };
+
+    let result = await syncDevice(a);
+    assert.equal(result.pushed, 1, 'a new round is pushed');
+
+    result = await syncDevice(b);
+    assert.equal(result.pulled, 1, 'the other device pulls it');
+    assert.equal(b.data.rounds[0].totalScore, 85);
+    console.log('ok - a new round reaches the other device');
+
+    // Both edit the round; the later edit wins on both devices
+    a.data.rounds = [round(1, 86)];
+    editDevice(a);
+    await wait(5);
+    b.data.rounds = [round(1, 87)];
+    editDevice(b);
+
+    result = await syncDevice(b);
+    assert.equal(result.conflicts, 0, 'the later edit is saved');
+    result = await syncDevice(a);
+    assert.equal(result.conflicts, 1, 'the earlier edit loses');
+    assert.equal(a.data.rounds[0].totalScore, 87);
+    console.log('ok - conflicting edits end with the later one on both devices');
+
+    a.data.rounds = [];
+    await syncDevice(a);
+    result = await syncDevice(b);
+    assert.equal(b.data.rounds.length, 0, 'the deletion reaches the other device');
+    console.log('ok - deletions reach the other device');
+
+    current = devices.a;
+    await assert.rejects(
+        new SyncService({ ...settings, syncToken: 'wrong' }, PROFILE_ID).sync(a.data),
+        /401/,
+        'a wrong token is refused'
+    );
+    console.log('ok - a wrong token is refused');
+}
+
+const server = createSyncServer({ dataFile: null, token: 'secret' });
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+    console.log('Sync check passed');
+} catch (error) {
+    console.error(`not ok - ${error.message}`);
+    process.exitCode = 1;
+} finally {
+    server.close();
+}
@@ -0,0 +1,261 @@
+// Reference sync server for Divot.ai (see README.md in this folder for the protocol)
+//
+// No dependencies: run with `node server/sync-server.mjs`.
+// Environment: PORT (default 8787), HOST (default 127.0.0.1),
+// SYNC_DATA (JSON file, default ./sync-data.json), SYNC_TOKEN (optional bearer token).
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const PROTOCOL_VERSION = 1;
+
+const RECORD_TYPES = ['sessions', 'rounds'];
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const SPACE_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Decide whether an incoming change beats the stored version of a record.
+ * Later updatedAt wins; equal timestamps fall back to the larger deviceId,
+ * so every server and client reaches the same answer.
+ * @param {Object} incoming - Pushed change
+ * @param {Object} current - Stored record
+ * @returns {boolean} True if the incoming change should be kept
+ */
+export function incomingWins(incoming, current) {
+    if (incoming.updatedAt !== current.updatedAt) {
+        return incoming.updatedAt > current.updatedAt;
+    }
+    return incoming.deviceId > current.deviceId;
+}
+
+/**
+ * In-memory spaces persisted to a JSON file
+ */
+export class SyncStore {
+    constructor(dataFile) {
+        this.dataFile = dataFile;
+        this.spaces = {};
+
+        if (dataFile && fs.existsSync(dataFile)) {
+            this.spaces = JSON.parse(fs.readFileSync(dataFile, 'utf8')).spaces || {};
+        }
+    }
+
+    getSpace(name) {
+        if (!this.spaces[name]) {
+            this.spaces[name] = { seq: 0, records: {} };
+        }
+        return this.spaces[name];
+    }
+
+    /**
+     * Records changed after a sequence number, oldest first
+     * @param {string} name - Space name
+     * @param {number} since - Last sequence number the client has seen
+     * @returns {Object} { seq, changes }
+     */
+    getChanges(name, since) {
+        const space = this.getSpace(name);
+        const changes = Object.values(space.records)
+            .filter(record => record.rev > since)
+            .sort((a, b) => a.rev - b.rev);
+
+        return { seq: space.seq, changes };
+    }
+
+    /**
+     * Apply pushed changes, resolving conflicts
+     * @param {string} name - Space name
+     * @param {string} deviceId - Pushing device
+     * @param {Array} changes - [{ type, id, baseRev, updatedAt, deleted, data }]
+     * @returns {Object} { seq, results: [{ type, id, status, record }] }
+     */
+    applyChanges(name, deviceId, changes) {
+        const space = this.getSpace(name);
+
+        const results = changes.map(change => {
+            const key = `${change.type}:${change.id}`;
+            const current = space.records[key];
+            const incoming = { ...change, deviceId };
+
+            const data = change.deleted ? null : change.data;
+
+            // Re-sending what the server already has (e.g. a second device's first sync) is a no-op
+            if (current && current.deleted === Boolean(change.deleted)
+                && JSON.stringify(current.data) === JSON.stringify(data)) {
+                return { type: change.type, id: change.id, status: 'unchanged', record: current };
+            }
+
+            const upToDate = (current ? current.rev : 0) === change.baseRev;
+            if (current && !upToDate && !incomingWins(incoming, current)) {
+                return { type: change.type, id: change.id, status: 'conflict', record: current };
+            }
+
+            space.seq += 1;
+            const record = {
+                type: change.type,
+                id: change.id,
+                rev: space.seq,
+                updatedAt: change.updatedAt,
+                deviceId,
+                deleted: Boolean(change.deleted),
+                data
+            };
+            space.records[key] = record;
+
+            return { type: change.type, id: change.id, status: upToDate ? 'applied' : 'resolved', record };
+        });
+
+        this.save();
+        return { seq: space.seq, results };
+    }
+
+    save() {
+        if (!this.dataFile) return;
+
+        // Write then rename so a crash never leaves a half-written file
+        const temporary = `${this.dataFile}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ spaces: this.spaces }));
+        fs.renameSync(temporary, this.dataFile);
+    }
+}
+
+/**
+ * Check one pushed change
+ * @param {Object} change - Pushed change
+ * @returns {string|null} Problem description or null
+ */
+function validateChange(change) {
+    if (!change || typeof change !== 'object') return 'change must be an object';
+    if (!RECORD_TYPES.includes(change.type)) return `type must be one of ${RECORD_TYPES.join(', ')}`;
+    if (!Number.isFinite(change.id)) return 'id must be a number';
+    if (!Number.isInteger(change.baseRev) || change.baseRev < 0) return 'baseRev must be a non-negative integer';
+    if (typeof change.updatedAt !== 'string' || Number.isNaN(Date.parse(change.updatedAt))) {
+        return 'updatedAt must be an ISO date string';
+    }
+    if (!change.deleted && (!change.data || typeof change.data !== 'object')) return 'data must be an object';
+    return null;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(new HttpError(400, 'Body is not valid JSON'));
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Create the HTTP server
+ * @param {Object} options - { dataFile, token }
+ * @returns {http.Server} Server (not yet listening)
+ */
+export function createSyncServer({ dataFile = null, token = null } = {}) {
+    const store = new SyncStore(dataFile);
+
+    async function route(request, url) {
+        if (url.pathname === '/v1/health' && request.method === 'GET') {
+            return { ok: true, protocol: PROTOCOL_VERSION };
+        }
+
+        if (token && request.headers.authorization !== `Bearer ${token}`) {
+            throw new HttpError(401, 'Missing or invalid token');
+        }
+
+        const match = url.pathname.match(/^\/v1\/spaces\/([^/]+)\/changes$/);
+        if (!match) throw new HttpError(404, 'Not found');
+
+        const space = decodeURIComponent(match[1]);
+        if (!SPACE_PATTERN.test(space)) throw new HttpError(400, 'Invalid space name');
+
+        if (request.method === 'GET') {
+            const since = Number(url.searchParams.get('since') || 0);
+            if (!Number.isInteger(since) || since < 0) throw new HttpError(400, 'since must be a non-negative integer');
+            return store.getChanges(space, since);
+        }
+
+        if (request.method === 'POST') {
+            const body = await readBody(request);
+            if (typeof body.deviceId !== 'string' || !body.deviceId) throw new HttpError(400, 'deviceId is required');
+            if (!Array.isArray(body.changes)) throw new HttpError(400, 'changes must be an array');
+
+            const problems = body.changes
+                .map((change, position) => {
+                    const problem = validateChange(change);
+                    return problem ? `change #${position + 1}: ${problem}` : null;
+                })
+                .filter(Boolean);
+            if (problems.length > 0) throw new HttpError(400, problems.join('; '));
+
+            return store.applyChanges(space, body.deviceId, body.changes);
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    }
+
+    return http.createServer(async (request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204);
+            response.end();
+            return;
+        }
+
+        let status = 200;
+        let payload;
+        try {
+            payload = await route(request, new URL(request.url, 'http://localhost'));
+        } catch (error) {
+            status = error.status || 500;
+            payload = { error: status === 500 ? 'Internal server error' : error.message };
+            if (status === 500) console.error(error);
+        }
+
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(payload));
+    });
+}
+
+// Start when run directly
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT || 8787);
+    const host = process.env.HOST || '127.0.0.1';
+    const dataFile = path.resolve(process.env.SYNC_DATA || 'sync-data.json');
+
+    createSyncServer({ dataFile, token: process.env.SYNC_TOKEN || null }).listen(port, host, () => {
+        console.log(`Divot.ai sync server listening on http://${host}:${port} (data: ${dataFile})`);
+    });
+}